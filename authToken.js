@@ -0,0 +1,86 @@
+const { ethers } = require('ethers');
+
+// EIP-712 signed authorizations issued by /inference/authorize.
+// Downstream services verify them offline with verifyAuthorization() instead
+// of calling the oracle again. Domain: { name, version, chainId, verifyingContract }
+// where verifyingContract is the RavenAccess address.
+
+const DOMAIN_NAME = 'RavenOracle';
+const DOMAIN_VERSION = '1';
+
+const AUTHORIZATION_TYPES = {
+    InferenceAuthorization: [
+        { name: 'user', type: 'address' },
+        { name: 'mode', type: 'string' },
+        { name: 'quantity', type: 'uint256' },
+        { name: 'method', type: 'string' },
+        { name: 'cost', type: 'uint256' },
+        { name: 'reservationId', type: 'string' },
+        { name: 'nonce', type: 'bytes32' },
+        { name: 'expiry', type: 'uint256' }
+    ]
+};
+
+function buildDomain(chainId, verifyingContract) {
+    return {
+        name: DOMAIN_NAME,
+        version: DOMAIN_VERSION,
+        chainId: Number(chainId),
+        verifyingContract: ethers.getAddress(verifyingContract)
+    };
+}
+
+// Sign an allowed authorization decision. ttlSeconds bounds its lifetime.
+// reservationId is the decision's global quota reservation ('' when none).
+// Returns { domain, types, message, signature, signer }
+async function signAuthorization(signer, domain, { user, mode, quantity, method, cost, reservationId = '' }, ttlSeconds = 120) {
+    if (!signer) throw new Error('Signer is required');
+    const message = {
+        user: ethers.getAddress(user),
+        mode: String(mode),
+        quantity: Number(quantity),
+        method: String(method),
+        cost: Number(cost),
+        reservationId: String(reservationId),
+        nonce: ethers.hexlify(ethers.randomBytes(32)),
+        expiry: Math.floor(Date.now() / 1000) + ttlSeconds
+    };
+    const signature = await signer.signTypedData(domain, AUTHORIZATION_TYPES, message);
+    return { domain, types: AUTHORIZATION_TYPES, message, signature, signer: await signer.getAddress() };
+}
+
+// Verify a signed authorization offline.
+// options: { domain, expectedSigner, nonceStore?, now? }
+// nonceStore is anything with async setIfAbsent(key, value, ttlMs) (e.g. a
+// StateStore); when given, each nonce is accepted once and replays fail.
+// Resolves { valid, reason, message? }
+async function verifyAuthorization({ message, signature } = {}, { domain, expectedSigner, nonceStore, now = Date.now() } = {}) {
+    if (!message || typeof signature !== 'string') return { valid: false, reason: 'malformed' };
+    if (!domain || !expectedSigner) throw new Error('domain and expectedSigner are required');
+
+    let recovered;
+    try {
+        recovered = ethers.verifyTypedData(domain, AUTHORIZATION_TYPES, message, signature);
+    } catch (_) {
+        return { valid: false, reason: 'bad_signature' };
+    }
+    if (recovered.toLowerCase() !== String(expectedSigner).toLowerCase()) {
+        return { valid: false, reason: 'wrong_signer' };
+    }
+
+    const expiryMs = Number(message.expiry) * 1000;
+    if (!(expiryMs > now)) return { valid: false, reason: 'expired' };
+
+    if (nonceStore) {
+        const fresh = await nonceStore.setIfAbsent(`auth_nonce:${message.nonce}`, now, expiryMs - now);
+        if (!fresh) return { valid: false, reason: 'replayed' };
+    }
+    return { valid: true, reason: 'ok', message };
+}
+
+module.exports = {
+    AUTHORIZATION_TYPES,
+    buildDomain,
+    signAuthorization,
+    verifyAuthorization
+};
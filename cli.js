@@ -0,0 +1,388 @@
+#!/usr/bin/env node
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { ethers } = require('ethers');
+const { loadOracleConfig, createRegistry, createSharedStateStore, createOracle } = require('./oracleConfig');
+const { Logger } = require('./logger');
+const CreditBatcher = require('./creditBatcher');
+const { MemoryStateStore } = require('./stateStore');
+const { normalizeMemoryPointer, computeMemoryCid } = require('./memoryPointer');
+const { AuthorizationSimulator, parseAuthorizeLog } = require('./simulator');
+
+// raven-oracle: operator CLI over RavenOracle. Reads the same env / .env as
+// the server (RPC_URL, RAVEN_ACCESS_ADDRESS or DEPLOYMENTS, PRICING_CONFIG,
+// STATE_STORE, PRIVATE_KEY, ...).
+const USAGE = `Usage: raven-oracle <command> [options]
+
+Commands:
+  chains                                   List configured deployments
+  user <address...>                        Credits, subscription window, eligibility, pending debits
+                                           (usage and debits need STATE_STORE=file)
+  cost <mode> [quantity] [--plan <id>]     Inference cost in credits
+  credits calc <reason> <parameter>        Credits awarded for a reason
+  credits queue <user> <reason> <parameter> | --file <awards.csv|json>
+                                           Queue awards and print awardCreditsBatch calldata;
+                                           --flush sends the batches with PRIVATE_KEY
+  memory get <user>                        Current memory pointer
+  memory build <user> <pointer> | --file <memory.json>
+                                           updateUserMemoryPointer calldata
+  memory send <user> <pointer> | --file <memory.json>
+                                           Send the update with PRIVATE_KEY
+  export users <address...> | --file <addresses.txt>
+  export usage <address> [--limit <n>]     Consumed inference records (needs STATE_STORE=file)
+  export history <address> [--limit <n>]   Indexed contract events (needs STATE_STORE=file)
+  export quota [--window YYYY-MM]          Global quota usage (needs STATE_STORE=file)
+  simulate snapshot --file <log>           Current state of the log's users (read-only)
+  simulate run --file <log> --rules <rules.json> [--snapshot <snapshot.json>]
+                                           Replay authorize requests under the live and the
+                                           candidate rules; csv prints the per-mode comparison
+
+Options:
+  --chain <id>         Deployment (default: the first one)
+  --format json|csv    Output format (default json)
+  --out <path>         Write output to a file instead of stdout
+  -h, --help           Show this help`;
+
+const OPTIONS = {
+    chain: { type: 'string' },
+    format: { type: 'string', default: 'json' },
+    out: { type: 'string' },
+    file: { type: 'string' },
+    plan: { type: 'string' },
+    limit: { type: 'string' },
+    window: { type: 'string' },
+    rules: { type: 'string' },
+    snapshot: { type: 'string' },
+    flush: { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+// Usage mistakes (exit code 2); anything else exits with 1
+class CliUsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CliUsageError';
+        this.exitCode = 2;
+    }
+}
+
+function requireAddress(value, what = 'address') {
+    if (!value || !ethers.isAddress(value)) throw new CliUsageError(`valid ${what} required`);
+    return ethers.getAddress(value);
+}
+
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+}
+
+function requireNumber(value, what) {
+    const n = Number(value);
+    if (value === undefined || !Number.isFinite(n)) throw new CliUsageError(`${what} must be a number`);
+    return n;
+}
+
+// CSV cell: nested values as JSON, quoted when needed
+function csvCell(value) {
+    if (value === undefined || value === null) return '';
+    const text = typeof value === 'object' ? toJson(value, 0) : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+    const columns = [];
+    for (const row of rows) {
+        for (const key of Object.keys(row)) if (!columns.includes(key)) columns.push(key);
+    }
+    return [columns.join(','), ...rows.map(row => columns.map(c => csvCell(row[c])).join(','))].join('\n');
+}
+
+function toJson(value, indent = 2) {
+    return JSON.stringify(value, (_k, v) => (typeof v === 'bigint' ? v.toString() : v), indent);
+}
+
+// Top-level subscription fields for CSV rows of user summaries
+function flattenSummary(summary) {
+    const { subscription, eligibility, window, pendingDebits, ...rest } = summary;
+    return {
+        ...rest,
+        planId: subscription ? subscription.planId : 0,
+        planActive: subscription ? subscription.plan.active : false,
+        windowEndsAt: window ? window.windowEndsAt : '',
+        lapsed: window ? window.lapsed : '',
+        used: window ? window.used : '',
+        cap: window ? window.cap : '',
+        remaining: window ? window.remaining : '',
+        eligible: eligibility.eligible,
+        eligibilityReason: eligibility.reason,
+        pendingCredits: pendingDebits.credits,
+        pendingSubscriptionUnits: pendingDebits.subscriptionUnits
+    };
+}
+
+// Rows from a .json array or a CSV file with a header line
+function readRows(file) {
+    const text = fs.readFileSync(path.resolve(file), 'utf8');
+    if (file.endsWith('.json')) {
+        const rows = JSON.parse(text);
+        if (!Array.isArray(rows)) throw new CliUsageError(`${file} must hold a JSON array`);
+        return rows;
+    }
+    const [header, ...lines] = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    const columns = header.split(',').map(c => c.trim());
+    return lines.map(line => Object.fromEntries(line.split(',').map((v, i) => [columns[i], v.trim()])));
+}
+
+// Memory pointer from the argument, or the CID of a memory JSON file
+function readPointer(pointer, file) {
+    if (file) return computeMemoryCid(JSON.parse(fs.readFileSync(path.resolve(file), 'utf8')));
+    if (!pointer) throw new CliUsageError('memory pointer or --file <memory.json> required');
+    return normalizeMemoryPointer(pointer);
+}
+
+class Cli {
+    constructor(options, env = process.env) {
+        this.options = options;
+        this.env = env;
+        this.config = loadOracleConfig(env);
+        // Data goes to stdout; keep logs on stderr unless LOG_LEVEL asks for more
+        this.logger = new Logger({ level: env.LOG_LEVEL || 'warn', toFile: env.LOG_TO_FILE === 'true', filePath: env.LOG_FILE_PATH });
+        this._registry = null;
+        this._oracle = null;
+    }
+
+    get registry() {
+        if (!this._registry) this._registry = createRegistry(this.config, this.env);
+        return this._registry;
+    }
+
+    get chainId() {
+        return this.options.chain !== undefined ? requireNumber(this.options.chain, '--chain') : this.registry.defaultChainId;
+    }
+
+    get oracle() {
+        if (!this._oracle) {
+            this._oracle = createOracle(this.registry, this.chainId, this.config, {
+                stateStore: createSharedStateStore(this.config),
+                logger: this.logger.child({ chain: this.chainId })
+            });
+        }
+        return this._oracle;
+    }
+
+    signer() {
+        if (!this.env.PRIVATE_KEY) throw new CliUsageError('PRIVATE_KEY is required to send transactions');
+        return new ethers.Wallet(this.env.PRIVATE_KEY, this.registry.getProvider(this.chainId));
+    }
+
+    // Usage, debits, quota and history live in the state store: the memory
+    // store starts empty in every CLI process, so it would report nothing
+    requireSharedState(what) {
+        if (this.config.stateStore === 'memory') {
+            throw new CliUsageError(`${what} needs STATE_STORE=file (the memory store is empty outside the server process)`);
+        }
+    }
+
+    // Verify the RPC is on the deployment's chain before touching it
+    async connect() {
+        await this.registry.ensureVerified(this.chainId);
+        return this.oracle;
+    }
+
+    async run(command, args) {
+        switch (command) {
+            case 'chains':
+                return this.registry.list().map(d => ({
+                    chainId: d.chainId,
+                    name: d.name,
+                    accessAddress: d.accessAddress,
+                    default: d.chainId === this.registry.defaultChainId
+                }));
+            case 'user':
+                return this.users(args);
+            case 'cost': {
+                const [mode, quantity = '1'] = args;
+                if (!mode) throw new CliUsageError('mode required');
+                const planId = this.options.plan !== undefined ? requireNumber(this.options.plan, '--plan') : 0;
+                const q = requireNumber(quantity, 'quantity');
+                return { mode, quantity: q, planId, cost: this.oracle.getInferenceCost(mode, q, planId) };
+            }
+            case 'credits':
+                return this.credits(args);
+            case 'memory':
+                return this.memory(args);
+            case 'export':
+                return this.export(args);
+            case 'simulate':
+                return this.simulate(args);
+            default:
+                throw new CliUsageError(command ? `unknown command '${command}'` : 'command required');
+        }
+    }
+
+    async users(addresses) {
+        if (addresses.length === 0) throw new CliUsageError('at least one address required');
+        if (this.config.stateStore === 'memory') {
+            this.logger.warn('STATE_STORE=memory: window usage and pending debits read as zero; set STATE_STORE=file to see the server\'s');
+        }
+        const oracle = await this.connect();
+        const out = [];
+        for (const address of addresses.map(a => requireAddress(a))) {
+            const summary = await oracle.getUserSummary(address);
+            const window = summary.subscription ? await oracle.getSubscriptionWindow(address, summary.subscription) : null;
+            out.push({ ...summary, window, pendingDebits: await oracle.usage.getPendingDebits(address) });
+        }
+        return this.options.format === 'csv' ? out.map(flattenSummary) : out;
+    }
+
+    async credits([sub, ...args]) {
+        if (sub === 'calc') {
+            const [reason, parameter] = args;
+            if (!reason) throw new CliUsageError('reason required');
+            const p = requireNumber(parameter, 'parameter');
+            return { reason, parameter: p, credits: this.oracle.calculateCredits(reason, p) };
+        }
+        if (sub !== 'queue') throw new CliUsageError("credits subcommand must be 'calc' or 'queue'");
+
+        const awards = this.options.file
+            ? readRows(this.options.file)
+            : [{ user: args[0], reason: args[1], parameter: args[2] }];
+        // The queue lives in this process (not the shared state store the
+        // server flushes): print the batches or send them now
+        const batcher = new CreditBatcher(this.oracle, { state: new MemoryStateStore() });
+        for (const [i, a] of awards.entries()) {
+            const where = this.options.file ? ` (row ${i + 1})` : '';
+            if (!a.reason) throw new CliUsageError(`reason required${where}`);
+            await batcher.queueAward(requireAddress(a.user, `user${where}`), a.reason, requireNumber(a.parameter, `parameter${where}`));
+        }
+
+        if (!this.options.flush) return batcher.buildCalldata();
+        const signer = this.signer();
+        await this.connect();
+        const results = await batcher.flush(signer);
+        if (results.some(r => r.status !== 'confirmed')) process.exitCode = 1;
+        return results;
+    }
+
+    async memory([sub, user, pointer]) {
+        if (!['get', 'build', 'send'].includes(sub)) throw new CliUsageError("memory subcommand must be 'get', 'build' or 'send'");
+        const address = requireAddress(user, 'user address');
+        if (sub === 'get') {
+            const oracle = await this.connect();
+            return { address, memory: await oracle.getUserMemoryPointer(address) };
+        }
+        const memory = readPointer(pointer, this.options.file);
+        const oracle = this.oracle;
+        if (sub === 'build') {
+            const iface = new ethers.Interface(oracle.getAccessABI());
+            const data = iface.encodeFunctionData('updateUserMemoryPointer', [address, memory.pointer]);
+            return { to: oracle.ravenAccess.target, data, memory };
+        }
+        const signer = this.signer();
+        await this.connect();
+        const receipt = await oracle.updateUserMemoryPointer(signer, address, memory.pointer);
+        return { address, memory, txHash: receipt.hash, blockNumber: receipt.blockNumber };
+    }
+
+    async export([kind, ...args]) {
+        const limit = this.options.limit !== undefined ? requireNumber(this.options.limit, '--limit') : 50;
+        switch (kind) {
+            case 'users': {
+                const addresses = this.options.file
+                    ? readRows(this.options.file).map(r => (typeof r === 'string' ? r : r.address))
+                    : args;
+                return this.users(addresses);
+            }
+            case 'usage': {
+                const address = requireAddress(args[0]);
+                this.requireSharedState('export usage');
+                return this.oracle.usage.getUsage(address, limit);
+            }
+            case 'history': {
+                const address = requireAddress(args[0]);
+                this.requireSharedState('export history');
+                return (await this.oracle.indexer.getHistory(address, { limit })).items;
+            }
+            case 'quota':
+                this.requireSharedState('export quota');
+                return this.oracle.globalQuota.getUsage(this.options.window);
+            default:
+                throw new CliUsageError("export kind must be 'users', 'usage', 'history' or 'quota'");
+        }
+    }
+
+    // Authorize requests from a JSON-lines log (LOG_TO_FILE) or a JSON array;
+    // log entries of other chains are skipped
+    async simulate([sub]) {
+        if (!['snapshot', 'run'].includes(sub)) throw new CliUsageError("simulate subcommand must be 'snapshot' or 'run'");
+        if (!this.options.file) throw new CliUsageError('--file <log> required');
+        const chainId = this.chainId;
+        const requests = parseAuthorizeLog(fs.readFileSync(path.resolve(this.options.file), 'utf8'))
+            .filter(r => r.chain === undefined || r.chain === chainId);
+        if (requests.length === 0) throw new CliUsageError(`no authorize requests in ${this.options.file}`);
+
+        if (sub === 'snapshot') return new AuthorizationSimulator(await this.connect()).snapshot(requests);
+        if (!this.options.rules) throw new CliUsageError('--rules <rules.json> required');
+        // A saved snapshot needs no RPC at all
+        const snapshot = this.options.snapshot ? readJson(this.options.snapshot) : undefined;
+        const oracle = snapshot ? this.oracle : await this.connect();
+        const report = await new AuthorizationSimulator(oracle).run({ requests, rules: readJson(this.options.rules), snapshot });
+        if (this.options.format !== 'csv') return report;
+        const modes = [...new Set([...Object.keys(report.baseline.byMode), ...Object.keys(report.candidate.byMode)])];
+        const empty = { requests: 0, allowed: 0, denied: 0, creditsCharged: 0 };
+        return modes.map((mode) => {
+            const a = report.baseline.byMode[mode] || empty;
+            const b = report.candidate.byMode[mode] || empty;
+            return {
+                mode,
+                requests: a.requests || b.requests,
+                baselineAllowed: a.allowed,
+                candidateAllowed: b.allowed,
+                baselineDenied: a.denied,
+                candidateDenied: b.denied,
+                baselineCredits: a.creditsCharged,
+                candidateCredits: b.creditsCharged
+            };
+        });
+    }
+
+    format(result) {
+        if (this.options.format === 'csv') return toCsv(Array.isArray(result) ? result : [result]);
+        return toJson(result);
+    }
+}
+
+async function main(argv = process.argv.slice(2)) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+    const { values: options, positionals: [command, ...args] } = parsed;
+    if (options.help || !command) {
+        console.log(USAGE);
+        return options.help ? 0 : 2;
+    }
+
+    const cli = new Cli(options);
+    try {
+        if (!['json', 'csv'].includes(options.format)) throw new CliUsageError("--format must be 'json' or 'csv'");
+        const output = cli.format(await cli.run(command, args));
+        if (options.out) fs.writeFileSync(path.resolve(options.out), `${output}\n`);
+        else console.log(output);
+        return process.exitCode || 0;
+    } catch (error) {
+        console.error(`raven-oracle: ${error.shortMessage || error.message}`);
+        if (error instanceof CliUsageError) console.error(`\n${USAGE}`);
+        return error.exitCode || 1;
+    }
+}
+
+module.exports = { Cli, CliUsageError, toCsv, main };
+
+if (require.main === module) {
+    main().then((code) => process.exit(code));
+}
@@ -2,26 +2,45 @@
 // Copy this to config.js and fill in your values
 
 module.exports = {
-    // Network configuration
-    RPC_URL: 'https://sepolia.infura.io/v3/YOUR_INFURA_KEY', // Replace with your RPC URL
-    CHAIN_ID: 11155111, // Sepolia testnet
+    // Network configuration (load with DEPLOYMENTS_PATH=./config.js)
+    RPC_URL: 'https://sepolia.infura.io/v3/YOUR_INFURA_KEY', // Replace with your RPC URL (comma-separated for fallbacks)
+    CHAIN_ID: 11155111, // Sepolia testnet; checked against the RPC at startup
     
     // Contract addresses (update when deployed)
     RAVEN_ACCESS_ADDRESS: '0x0000000000000000000000000000000000000000', // Replace with deployed access address
     
+    // Several deployments (takes precedence over the three fields above); the
+    // first one is served on the unscoped routes, each on /chains/:chainId/...
+    // DEPLOYMENTS: [
+    //     { chainId: 11155111, name: 'sepolia', rpcUrls: ['https://...', 'https://...'], accessAddress: '0x...' },
+    //     { chainId: 84532, name: 'base-sepolia', rpcUrls: ['https://...'], accessAddress: '0x...',
+    //       pricing: { version: '1', costs: { basic: 1, tags: 2, price_accuracy: 3, full: 5 } } }
+    // ],
+    
     // Batch configuration
     BATCH_INTERVAL: 60 * 60 * 1000, // 1 hour in milliseconds
     MAX_BATCH_SIZE: 100, // Maximum users per batch
     
-    // Credit calculation constants
-    CREDIT_CONSTANTS: {
-        AI_INFERENCE_PROMPTS_PER_CREDIT: 4,
-        REFERRAL_CREDIT_AMOUNT: 6,
-        SOCIAL_QUEST_CREDIT_AMOUNT: 2,
-        MAX_SOCIAL_QUESTS_PER_USER: 5
+    // Pricing & credit rules (load with PRICING_CONFIG_PATH=./config.js).
+    // Either one rule set or { activeVersion?, ruleSets: [...] }; see pricing.js.
+    // A legacy CREDIT_CONSTANTS block is still accepted when PRICING is absent.
+    PRICING: {
+        version: '1',
+        costs: { basic: 1, tags: 2, price_accuracy: 4, full: 6 }, // credits per unit
+        planOverrides: {}, // e.g. { '2': { costs: { full: 4 } } }
+        globalCapModes: ['price_accuracy', 'full'],
+        globalPriceAccuracyCap: 3000,
+        rateLimitPerMinute: 30, // per user without an active plan
+        // rateLimits: { plans: { '2': { perMinute: 120, burst: 60 } }, modes: { full: { perMinute: 6, burst: 3 } } },
+        promptsPerCredit: 2,
+        referralCreditAmount: 6,
+        socialQuestCreditAmount: 2,
+        maxSocialQuestsPerUser: 5,
+        streakMinPromptsPerDay: 1,
+        streakMilestones: { 3: 2, 7: 5, 14: 10, 30: 25 } // streak days -> bonus credits
     },
     
-    // Logging
+    // Logging (read from the env vars of the same name)
     LOG_LEVEL: 'info', // debug, info, warn, error
     LOG_TO_FILE: false,
     LOG_FILE_PATH: './oracle.log'
@@ -0,0 +1,391 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+
+// Pending credit-award queue flushed on-chain through awardCreditsBatch.
+// Awards are grouped by reason (one reason per batch tx), summed per user and
+// chunked to maxBatchSize. A chunk whose tx could not be broadcast is retried
+// on the next flush until maxRetries is reached. A broadcast chunk is never
+// re-sent while its tx can still mine: it stays 'submitted' and later flushes
+// settle it from the receipt. It is only sent again once it is known to have
+// awarded nothing (reverted, or cancelled by a replacement).
+// The queue and the unsettled chunks live in the state store, so a restart
+// loses neither:
+//   credit_queue      -> { <reason>: { <user>: { amount, refs } } }
+//   credit_chunks     -> { <id>: { id, reason, users, amounts, refs, attempts,
+//                                  status: 'queued'|'retrying'|'sending'|'submitted', txHash?, nonce?, relayTxId?,
+//                                  owner?, leaseUntil? } }
+//   credit_batch_seq  -> last chunk id
+//   credit_last_batch -> time of the last flush (ms)
+// Several processes may flush the same store: a chunk is leased (owner,
+// leaseUntil) in the same atomic update that moves it to 'sending', and is
+// only sent or re-checked by the batcher holding its lease. A 'sending' chunk
+// is only taken for interrupted once its lease has expired.
+// refs are opaque strings given with queueAmount (e.g. a quest completion);
+// onConfirmed listeners receive them once the award is mined.
+class CreditBatcher {
+    // options: { maxBatchSize, batchInterval, maxRetries, maxHistory, waitTimeoutMs, leaseMs, state }
+    // leaseMs must outlast a broadcast plus waitTimeoutMs
+    constructor(oracle, options = {}) {
+        this.oracle = oracle;
+        this.state = options.state || oracle.state;
+        this.maxBatchSize = options.maxBatchSize || 100;
+        this.batchInterval = options.batchInterval || oracle.batchInterval;
+        this.maxRetries = options.maxRetries || 3;
+        this.maxHistory = options.maxHistory || 500;
+        this.waitTimeoutMs = options.waitTimeoutMs || 2 * 60 * 1000;
+        this.leaseMs = options.leaseMs || this.waitTimeoutMs + 3 * 60 * 1000;
+        this.owner = `${process.pid}.${crypto.randomBytes(6).toString('hex')}`;
+
+        this._batches = []; // most recent batch results (receipts / failures)
+        this._listeners = [];
+        this._flushing = null;
+        this._timer = null;
+    }
+
+    // Queue an award computed from calculateCredits(reason, parameter)
+    async queueAward(userAddress, reason, parameter, options) {
+        const amount = this.oracle.calculateCredits(reason, parameter);
+        return this.queueAmount(userAddress, reason, amount, options);
+    }
+
+    // Queue a precomputed credit amount for a user under the given reason.
+    // options.ref is handed to onConfirmed listeners once the award is mined.
+    async queueAmount(userAddress, reason, amount, { ref } = {}) {
+        if (!ethers.isAddress(userAddress)) throw new Error('valid user address required');
+        if (typeof reason !== 'string' || reason.length === 0) throw new Error('reason required');
+        if (!Number.isInteger(amount) || amount < 0) throw new Error('amount must be a non-negative integer');
+        if (amount === 0) return null;
+
+        const user = ethers.getAddress(userAddress);
+        let pendingAmount = 0;
+        await this.state.update('credit_queue', (queue = {}) => {
+            const byUser = { ...queue[reason] };
+            const entry = byUser[user] || { amount: 0, refs: [] };
+            byUser[user] = { amount: entry.amount + amount, refs: ref ? [...entry.refs, ref] : entry.refs };
+            pendingAmount = byUser[user].amount;
+            return { ...queue, [reason]: byUser };
+        });
+        if (this.oracle.metrics) this.oracle.metrics.creditAwardQueued(reason, amount);
+        return { user, reason, amount, pendingAmount };
+    }
+
+    // listener(chunk, { txHash, blockNumber }) after a chunk's tx is mined
+    onConfirmed(listener) {
+        this._listeners.push(listener);
+    }
+
+    async _chunks() {
+        return Object.values((await this.state.get('credit_chunks')) || {});
+    }
+
+    async _saveChunk(chunk) {
+        await this.state.update('credit_chunks', (chunks = {}) => ({ ...chunks, [chunk.id]: chunk }));
+    }
+
+    async _dropChunk(id) {
+        await this.state.update('credit_chunks', (chunks = {}) => {
+            const next = { ...chunks };
+            delete next[id];
+            return Object.keys(next).length ? next : undefined;
+        });
+    }
+
+    // Atomically lease a stored chunk to this batcher when test(chunk) holds
+    // and no other batcher holds an unexpired lease on it. change(chunk)
+    // returns further fields to set. Resolves the leased chunk or null.
+    async _lease(id, test, change = () => ({}), now = Date.now()) {
+        let leased = null;
+        await this.state.update('credit_chunks', (chunks = {}) => {
+            const chunk = chunks[id];
+            if (!chunk || !test(chunk) || (chunk.owner !== this.owner && chunk.leaseUntil > now)) {
+                return Object.keys(chunks).length ? chunks : undefined;
+            }
+            leased = { ...chunk, ...change(chunk), owner: this.owner, leaseUntil: now + this.leaseMs };
+            return { ...chunks, [id]: leased };
+        });
+        return leased;
+    }
+
+    // Give up the lease on a chunk left for a later flush
+    async _unlease(chunk) {
+        const next = { ...chunk };
+        delete next.owner;
+        delete next.leaseUntil;
+        await this._saveChunk(next);
+    }
+
+    // Snapshot of queued awards, chunks awaiting retry and chunks awaiting a receipt
+    async getPending() {
+        const awards = [];
+        for (const [reason, byUser] of Object.entries((await this.state.get('credit_queue')) || {})) {
+            for (const [user, { amount }] of Object.entries(byUser)) awards.push({ user, reason, amount });
+        }
+        const chunks = await this._chunks();
+        const lastBatchTime = await this._lastBatchTime();
+        return {
+            awards,
+            retrying: chunks.filter(c => c.status === 'retrying'),
+            submitted: chunks.filter(c => c.status === 'submitted'),
+            lastBatchTime,
+            nextBatchAt: lastBatchTime + this.batchInterval
+        };
+    }
+
+    // Last flush by any process sharing the store (else this process's start)
+    async _lastBatchTime() {
+        return (await this.state.get('credit_last_batch')) || this.oracle.lastBatchTime;
+    }
+
+    // Split a queue into awardCreditsBatch-sized chunks
+    _split(queue) {
+        const chunks = [];
+        for (const [reason, byUser] of Object.entries(queue || {})) {
+            const entries = Object.entries(byUser);
+            for (let i = 0; i < entries.length; i += this.maxBatchSize) {
+                const slice = entries.slice(i, i + this.maxBatchSize);
+                chunks.push({
+                    reason,
+                    users: slice.map(([user]) => user),
+                    amounts: slice.map(([, e]) => e.amount),
+                    refs: slice.map(([, e]) => e.refs)
+                });
+            }
+        }
+        return chunks;
+    }
+
+    // The pending queue as chunks, without draining it
+    async buildChunks() {
+        return this._split(await this.state.get('credit_queue')).map(({ reason, users, amounts }) => ({ reason, users, amounts }));
+    }
+
+    // Encode calldata for each pending chunk (for callers signing elsewhere)
+    async buildCalldata() {
+        const iface = new ethers.Interface(this.oracle.getAccessABI());
+        const to = this.oracle.ravenAccess.target;
+        return (await this.buildChunks()).map(chunk => ({
+            ...chunk,
+            to,
+            data: iface.encodeFunctionData('awardCreditsBatch', [chunk.users, chunk.amounts, chunk.reason])
+        }));
+    }
+
+    async isDue(now = Date.now()) {
+        return now - (await this._lastBatchTime()) >= this.batchInterval;
+    }
+
+    // Settle chunks submitted earlier, then drain the queue and submit every
+    // chunk (plus previously failed ones).
+    // `signer` is an ethers Signer or a TxRelayer (nonce/fee managed sends).
+    // Concurrent calls in this process share the same in-flight flush; other
+    // processes only send chunks they lease.
+    async flush(signer) {
+        if (!signer) throw new Error('Signer is required');
+        if (this._flushing) return this._flushing;
+        this._flushing = this._flush(signer).finally(() => {
+            this._flushing = null;
+        });
+        return this._flushing;
+    }
+
+    async _flush(signer) {
+        const send = this._sender(signer);
+        const results = await this._reconcile(send);
+
+        // Move the queue into stored chunks before anything is sent
+        let queue = null;
+        await this.state.update('credit_queue', (current) => {
+            queue = current;
+            return undefined;
+        });
+        for (const chunk of this._split(queue)) {
+            const id = await this.state.update('credit_batch_seq', (n = 0) => n + 1);
+            await this._saveChunk({ id, attempts: 0, status: 'queued', ...chunk });
+        }
+
+        const ready = (await this._chunks()).filter(c => c.status === 'queued' || c.status === 'retrying');
+        for (const { id } of ready) {
+            const chunk = await this._lease(id,
+                c => c.status === 'queued' || c.status === 'retrying',
+                c => ({ attempts: c.attempts + 1, status: 'sending' }));
+            if (!chunk) continue; // another process took it
+            let sent;
+            try {
+                sent = await send.broadcast(chunk);
+            } catch (error) {
+                // Nothing reached the network: safe to send again
+                results.push(await this._retryOrFail(chunk, error.shortMessage || error.message));
+                continue;
+            }
+            Object.assign(chunk, sent, { status: 'submitted' });
+            await this._saveChunk(chunk);
+            const result = await this._settle(chunk, await send.wait(chunk));
+            if (result.status === 'submitted') await this._unlease(chunk);
+            results.push(result);
+        }
+
+        this.oracle.lastBatchTime = Date.now();
+        await this.state.set('credit_last_batch', this.oracle.lastBatchTime);
+        this._batches.push(...results);
+        if (this._batches.length > this.maxHistory) this._batches.splice(0, this._batches.length - this.maxHistory);
+        return results;
+    }
+
+    // Re-check chunks broadcast by earlier flushes (skipping chunks another
+    // process holds a lease on)
+    async _reconcile(send) {
+        const results = [];
+        for (const { id, status } of await this._chunks()) {
+            if (status !== 'sending' && status !== 'submitted') continue;
+            const chunk = await this._lease(id, c => c.status === status);
+            if (!chunk) continue;
+            if (status === 'sending') {
+                // Its sender died between leasing it and recording the tx: it may have been broadcast
+                await this._dropChunk(chunk.id);
+                results.push({ ...chunk, status: 'failed', error: 'interrupted while sending' });
+                continue;
+            }
+            let outcome;
+            try {
+                outcome = await send.check(chunk);
+            } catch (error) {
+                outcome = { status: 'pending' };
+            }
+            const result = await this._settle(chunk, outcome);
+            if (result.status === 'submitted') await this._unlease(chunk);
+            else results.push(result);
+        }
+        return results;
+    }
+
+    async _retryOrFail(chunk, error) {
+        const willRetry = chunk.attempts < this.maxRetries;
+        const next = { ...chunk, status: 'retrying', error };
+        delete next.txHash;
+        delete next.nonce;
+        delete next.relayTxId;
+        delete next.owner;
+        delete next.leaseUntil;
+        if (willRetry) await this._saveChunk(next);
+        else await this._dropChunk(chunk.id);
+        return { ...chunk, status: willRetry ? 'retrying' : 'failed', error };
+    }
+
+    // outcome: { status: 'confirmed'|'pending'|'reverted'|'cancelled'|'unknown', txHash?, blockNumber?, error? }
+    async _settle(chunk, outcome) {
+        switch (outcome.status) {
+            case 'confirmed':
+                await this._dropChunk(chunk.id);
+                if (this.oracle.cache) chunk.users.forEach(user => this.oracle.cache.invalidate(user));
+                for (const listener of [...this._listeners, (c, o) => this.oracle.webhooks.onAwarded(c, o)]) {
+                    try {
+                        await listener(chunk, outcome);
+                    } catch (error) {
+                        this.oracle.logger.error('credit award listener failed', { batch: chunk.id, error });
+                    }
+                }
+                return { ...chunk, status: 'confirmed', txHash: outcome.txHash, blockNumber: outcome.blockNumber };
+            case 'pending':
+                return { ...chunk, status: 'submitted' };
+            case 'reverted':
+            case 'cancelled':
+                // Mined without awarding anything: safe to send again
+                return this._retryOrFail(chunk, outcome.status);
+            default:
+                // The nonce went to a tx we cannot match: it may have awarded, so never resend
+                await this._dropChunk(chunk.id);
+                return { ...chunk, status: 'failed', error: outcome.error || 'nonce used by another transaction' };
+        }
+    }
+
+    // { broadcast(chunk) -> { txHash, nonce, relayTxId? }, wait(chunk) -> outcome, check(chunk) -> outcome }
+    // broadcast throws only when nothing was sent.
+    _sender(signer) {
+        const iface = new ethers.Interface(this.oracle.getAccessABI());
+        const request = chunk => ({
+            to: this.oracle.ravenAccess.target,
+            data: iface.encodeFunctionData('awardCreditsBatch', [chunk.users, chunk.amounts, chunk.reason]),
+            label: `awardCreditsBatch:${chunk.reason}`
+        });
+
+        // TxRelayer: it re-sends on the same nonce itself, we only read its record
+        if (typeof signer.submit === 'function') {
+            const check = async (chunk) => {
+                const record = await signer.refresh(chunk.relayTxId);
+                if (!record) return { status: 'unknown', error: 'relayed transaction record expired' };
+                if (record.status === 'confirmed') return { status: 'confirmed', txHash: record.txHash, blockNumber: record.blockNumber };
+                if (record.status === 'failed') return record.error === 'reverted' ? { status: 'reverted' } : { status: 'unknown', error: record.error };
+                return { status: 'pending' };
+            };
+            return {
+                broadcast: async (chunk) => {
+                    const record = await signer.submit(request(chunk));
+                    return { relayTxId: record.id, txHash: record.hashes[record.hashes.length - 1], nonce: record.nonce };
+                },
+                wait: check,
+                check
+            };
+        }
+
+        const contractWithSigner = this.oracle.ravenAccess.connect(signer);
+        const provider = this.oracle.provider;
+        const sent = new Map(); // chunk id -> tx, for this flush
+        return {
+            broadcast: async (chunk) => {
+                const tx = await contractWithSigner.awardCreditsBatch(chunk.users, chunk.amounts, chunk.reason);
+                sent.set(chunk.id, tx);
+                return { txHash: tx.hash, nonce: tx.nonce };
+            },
+            wait: async (chunk) => {
+                try {
+                    const receipt = await sent.get(chunk.id).wait(1, this.waitTimeoutMs);
+                    return { status: 'confirmed', txHash: receipt.hash, blockNumber: receipt.blockNumber };
+                } catch (error) {
+                    if (error.code === 'CALL_EXCEPTION' && error.receipt) return { status: 'reverted' };
+                    if (error.code === 'TRANSACTION_REPLACED') {
+                        if (error.cancelled) return { status: 'cancelled' };
+                        const { receipt } = error;
+                        return receipt.status === 1
+                            ? { status: 'confirmed', txHash: receipt.hash, blockNumber: receipt.blockNumber }
+                            : { status: 'reverted' };
+                    }
+                    // Timed out or lost track of it: reconcile from the receipt later
+                    return { status: 'pending' };
+                }
+            },
+            check: async (chunk) => {
+                // Nonce first, so a tx mined in between is not taken for a foreign one
+                const latestNonce = await signer.getNonce('latest');
+                const receipt = await provider.getTransactionReceipt(chunk.txHash);
+                if (receipt) {
+                    return receipt.status === 1
+                        ? { status: 'confirmed', txHash: receipt.hash, blockNumber: receipt.blockNumber }
+                        : { status: 'reverted' };
+                }
+                return latestNonce > chunk.nonce ? { status: 'unknown' } : { status: 'pending' };
+            }
+        };
+    }
+
+    // Recent batch results, newest first
+    getBatches(limit = 50) {
+        return this._batches.slice(-limit).reverse();
+    }
+
+    // Flush on BATCH_INTERVAL while a long-running process holds the signer
+    start(signer) {
+        if (!signer) throw new Error('Signer is required');
+        if (this._timer) return;
+        this._timer = setInterval(() => {
+            this.flush(signer).catch(error => this.oracle.logger.error('credit batch flush failed', { error }));
+        }, this.batchInterval);
+        if (this._timer.unref) this._timer.unref();
+    }
+
+    stop() {
+        if (this._timer) clearInterval(this._timer);
+        this._timer = null;
+    }
+}
+
+module.exports = CreditBatcher;
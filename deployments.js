@@ -0,0 +1,244 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { PricingConfig, loadPricingConfig } = require('./pricing');
+
+// Access-contract deployments the server serves, keyed by chain id:
+// {
+//   chainId: 11155111,
+//   name: 'sepolia',                        // optional label
+//   rpcUrls: ['https://...', 'https://...'], // tried in order (fallbacks)
+//   accessAddress: '0x...',
+//   pricing: { version: '1', ... },         // optional rule set / { ruleSets }; default: PRICING_CONFIG(_PATH)
+//   multicallAddress: '0x...' | null,       // optional; default MULTICALL_ADDRESS
+//   indexerStartBlock: 123                  // optional; enables background indexing
+// }
+// The first deployment is the default one (served on the unscoped routes).
+
+class DeploymentConfigError extends Error {
+    constructor(message, status = 500) {
+        super(message);
+        this.name = 'DeploymentConfigError';
+        this.status = status;
+    }
+}
+
+// Host part of an RPC url (urls often carry API keys)
+function describeUrl(url) {
+    try {
+        return new URL(url).host;
+    } catch (_) {
+        return 'invalid-url';
+    }
+}
+
+function validateDeployment(input, defaults = {}) {
+    if (!input || typeof input !== 'object') throw new DeploymentConfigError('deployment must be an object');
+    const chainId = Number(input.chainId);
+    if (!Number.isSafeInteger(chainId) || chainId <= 0) throw new DeploymentConfigError(`invalid chainId '${input.chainId}'`);
+    const where = `deployment ${chainId}`;
+
+    const rpcUrls = typeof input.rpcUrls === 'string'
+        ? input.rpcUrls.split(',').map(u => u.trim()).filter(Boolean)
+        : input.rpcUrls;
+    if (!Array.isArray(rpcUrls) || rpcUrls.length === 0) throw new DeploymentConfigError(`${where}: rpcUrls must list at least one url`);
+    for (const url of rpcUrls) {
+        if (!/^https?:\/\//.test(url)) throw new DeploymentConfigError(`${where}: invalid rpc url '${describeUrl(url)}'`);
+    }
+
+    if (!ethers.isAddress(input.accessAddress) || input.accessAddress === ethers.ZeroAddress) {
+        throw new DeploymentConfigError(`${where}: accessAddress not configured`);
+    }
+
+    let pricing = defaults.pricing || null;
+    if (input.pricing) pricing = input.pricing instanceof PricingConfig ? input.pricing : new PricingConfig(input.pricing);
+    if (input.pricingPath) pricing = loadPricingConfig({ PRICING_CONFIG_PATH: input.pricingPath });
+
+    return Object.freeze({
+        chainId,
+        name: input.name || String(chainId),
+        rpcUrls: Object.freeze([...rpcUrls]),
+        accessAddress: ethers.getAddress(input.accessAddress),
+        pricing,
+        multicallAddress: input.multicallAddress !== undefined ? input.multicallAddress : defaults.multicallAddress,
+        indexerStartBlock: input.indexerStartBlock !== undefined ? Number(input.indexerStartBlock) : undefined
+    });
+}
+
+// Deployments from DEPLOYMENTS (inline JSON array) or DEPLOYMENTS_PATH (.json,
+// or a .js module exporting DEPLOYMENTS, or RPC_URL / CHAIN_ID /
+// RAVEN_ACCESS_ADDRESS like config.example.js). Without either, a single deployment
+// from RPC_URL (comma-separated for fallbacks), CHAIN_ID and RAVEN_ACCESS_ADDRESS.
+// defaults: { pricing, multicallAddress } for fields a deployment leaves out, and
+// indexerStartBlock for the env-configured deployment.
+function loadDeployments(env = process.env, defaults = {}) {
+    let list;
+    if (env.DEPLOYMENTS) {
+        try {
+            list = JSON.parse(env.DEPLOYMENTS);
+        } catch (error) {
+            throw new DeploymentConfigError(`DEPLOYMENTS is not valid JSON: ${error.message}`);
+        }
+    } else if (env.DEPLOYMENTS_PATH) {
+        const file = path.resolve(env.DEPLOYMENTS_PATH);
+        if (file.endsWith('.json')) {
+            list = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } else {
+            const config = require(file);
+            list = config.DEPLOYMENTS || [{ chainId: config.CHAIN_ID, rpcUrls: config.RPC_URL, accessAddress: config.RAVEN_ACCESS_ADDRESS }];
+        }
+    } else {
+        list = [{
+            chainId: env.CHAIN_ID || 11155111,
+            rpcUrls: env.RPC_URL || 'https://sepolia.infura.io/v3/YOUR_INFURA_KEY',
+            accessAddress: env.RAVEN_ACCESS_ADDRESS,
+            indexerStartBlock: defaults.indexerStartBlock
+        }];
+    }
+    if (!Array.isArray(list) || list.length === 0) throw new DeploymentConfigError('DEPLOYMENTS must be a non-empty array');
+
+    const seen = new Set();
+    return list.map((input) => {
+        const deployment = validateDeployment(input, defaults);
+        if (seen.has(deployment.chainId)) throw new DeploymentConfigError(`duplicate deployment for chain ${deployment.chainId}`);
+        seen.add(deployment.chainId);
+        return deployment;
+    });
+}
+
+// JsonRpcProvider reporting every request: onRpc(method, seconds, errorCode?)
+class InstrumentedJsonRpcProvider extends ethers.JsonRpcProvider {
+    constructor(url, network, options, onRpc) {
+        super(url, network, options);
+        this._onRpc = onRpc;
+    }
+
+    _report(method, started, errorCode) {
+        try {
+            this._onRpc(method, (Date.now() - started) / 1000, errorCode);
+        } catch (_) {
+            // metrics must never break a request
+        }
+    }
+
+    async _send(payload) {
+        const started = Date.now();
+        const payloads = Array.isArray(payload) ? payload : [payload];
+        let results;
+        try {
+            results = await super._send(payload);
+        } catch (error) {
+            for (const p of payloads) this._report(p.method, started, error.code || 'NETWORK_ERROR');
+            throw error;
+        }
+        const errors = new Map(results.filter(r => r.error).map(r => [r.id, r.error.code]));
+        for (const p of payloads) this._report(p.method, started, errors.get(p.id));
+        return results;
+    }
+}
+
+// Provider pinned to the deployment's chain. Several urls become a
+// FallbackProvider (quorum 1) that tries them in order.
+// options: { stallTimeoutMs, onRpc(method, seconds, errorCode?) }
+function createProvider(deployment, options = {}) {
+    const network = ethers.Network.from(deployment.chainId);
+    const providers = deployment.rpcUrls.map(url => (options.onRpc
+        ? new InstrumentedJsonRpcProvider(url, network, { staticNetwork: network }, options.onRpc)
+        : new ethers.JsonRpcProvider(url, network, { staticNetwork: network })));
+    if (providers.length === 1) return providers[0];
+    return new ethers.FallbackProvider(providers.map((provider, i) => ({
+        provider,
+        priority: i + 1,
+        weight: 1,
+        stallTimeout: options.stallTimeoutMs || 2000
+    })), network, { quorum: 1 });
+}
+
+class DeploymentRegistry {
+    // options: { verifyTimeoutMs, verifyRetryMs, onRpc(chainId, method, seconds, errorCode?) }
+    constructor(deployments, options = {}) {
+        if (!deployments || deployments.length === 0) throw new DeploymentConfigError('at least one deployment is required');
+        this.deployments = new Map(deployments.map(d => [d.chainId, d]));
+        this.defaultChainId = deployments[0].chainId;
+        this.verifyTimeoutMs = options.verifyTimeoutMs || 5000;
+        this.verifyRetryMs = options.verifyRetryMs || 30 * 1000;
+        this.onRpc = options.onRpc || null;
+        this._providers = new Map();
+        this._verified = new Map(); // chainId -> Promise of the verify() report
+    }
+
+    list() {
+        return [...this.deployments.values()];
+    }
+
+    // Deployment for a chain id (default deployment when omitted)
+    get(chainId = this.defaultChainId) {
+        const deployment = this.deployments.get(Number(chainId));
+        if (!deployment) throw new DeploymentConfigError(`unknown chain ${chainId}`, 404);
+        return deployment;
+    }
+
+    getProvider(chainId = this.defaultChainId) {
+        const deployment = this.get(chainId);
+        if (!this._providers.has(deployment.chainId)) {
+            const onRpc = this.onRpc ? (...args) => this.onRpc(deployment.chainId, ...args) : undefined;
+            this._providers.set(deployment.chainId, createProvider(deployment, { onRpc }));
+        }
+        return this._providers.get(deployment.chainId);
+    }
+
+    // Ask every rpc url for eth_chainId. Returns { chainId, ok, urls: [{ host, chainId?, error? }] };
+    // ok is false when a url answers with another chain id or none answers.
+    async verify(chainId = this.defaultChainId) {
+        const deployment = this.get(chainId);
+        const urls = await Promise.all(deployment.rpcUrls.map(async (url) => {
+            const request = new ethers.FetchRequest(url);
+            request.setHeader('content-type', 'application/json');
+            request.body = JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'eth_chainId', params: [] });
+            request.timeout = this.verifyTimeoutMs;
+            try {
+                const response = await request.send();
+                response.assertOk();
+                const body = response.bodyJson;
+                if (!body || body.result === undefined) throw new Error('no eth_chainId result');
+                return { host: describeUrl(url), chainId: Number(body.result) };
+            } catch (error) {
+                return { host: describeUrl(url), error: error.shortMessage || error.message };
+            }
+        }));
+        const mismatched = urls.filter(u => u.chainId !== undefined && u.chainId !== deployment.chainId);
+        const answered = urls.filter(u => u.chainId !== undefined);
+        return { chainId: deployment.chainId, ok: mismatched.length === 0 && answered.length > 0, urls };
+    }
+
+    // verify() once per chain; throws on a chain id mismatch. When no url
+    // answered, the result is kept for verifyRetryMs and then checked again.
+    async ensureVerified(chainId = this.defaultChainId) {
+        const deployment = this.get(chainId);
+        if (!this._verified.has(deployment.chainId)) {
+            const forget = () => this._verified.delete(deployment.chainId);
+            const run = this.verify(deployment.chainId).then((report) => {
+                if (!report.urls.some(u => u.chainId !== undefined)) setTimeout(forget, this.verifyRetryMs).unref();
+                return report;
+            }, (error) => {
+                forget();
+                throw error;
+            });
+            this._verified.set(deployment.chainId, run);
+        }
+        const report = await this._verified.get(deployment.chainId);
+        const wrong = report.urls.find(u => u.chainId !== undefined && u.chainId !== deployment.chainId);
+        if (wrong) {
+            throw new DeploymentConfigError(`rpc ${wrong.host} is on chain ${wrong.chainId}, deployment expects ${deployment.chainId}`, 502);
+        }
+        return report;
+    }
+}
+
+module.exports = {
+    DeploymentRegistry,
+    DeploymentConfigError,
+    loadDeployments,
+    validateDeployment,
+    createProvider
+};
@@ -0,0 +1,175 @@
+const { ethers } = require('ethers');
+
+// Follows RavenAccess logs and keeps a per-user history in the oracle's
+// state store. Only blocks at least `confirmations` deep are indexed; if the
+// block at the cursor was replaced anyway (deeper reorg), the indexer rewinds
+// and re-indexes from before it.
+// Events are decoded with the deployed contract's own ABI (options.abi, e.g.
+// the compiled artifact's `abi`): every event with an address `user` argument
+// is kept with all of its named arguments. Without an ABI nothing is indexed.
+//
+// Keys: indexer:cursor -> { blockNumber, blockHash }
+//       history:<user> -> [entry, ...] (oldest first)
+class EventIndexer {
+    constructor(oracle, options = {}) {
+        this.oracle = oracle;
+        this.startBlock = Number(options.startBlock) || 0;
+        this.confirmations = options.confirmations ?? 6;
+        this.chunkSize = options.chunkSize || 2000;
+        this.pollInterval = options.pollInterval || 30 * 1000;
+        const events = new ethers.Interface(options.abi || []).fragments.filter(f => f.type === 'event');
+        this.iface = events.length ? new ethers.Interface(events) : null;
+        this._syncing = null;
+        this._timer = null;
+    }
+
+    async getCursor() {
+        return (await this.oracle.state.get('indexer:cursor')) || null;
+    }
+
+    // Whether the contract's event ABI was configured
+    isConfigured() {
+        return this.iface !== null;
+    }
+
+    // Index every confirmed block since the cursor. Concurrent calls share one run.
+    async sync() {
+        if (!this.isConfigured()) throw new Error('no contract event ABI configured (INDEXER_ABI_PATH)');
+        if (this._syncing) return this._syncing;
+        this._syncing = this._sync().finally(() => {
+            this._syncing = null;
+        });
+        return this._syncing;
+    }
+
+    async _sync() {
+        const provider = this.oracle.provider;
+        let cursor = await this.getCursor();
+
+        if (cursor) {
+            const block = await provider.getBlock(cursor.blockNumber);
+            if (!block || block.hash !== cursor.blockHash) {
+                cursor = await this._rewind(Math.max(this.startBlock - 1, cursor.blockNumber - this.confirmations * 2));
+            }
+        }
+
+        const head = await provider.getBlockNumber();
+        const target = head - this.confirmations;
+        let from = cursor ? cursor.blockNumber + 1 : this.startBlock;
+        let indexed = 0;
+
+        while (from <= target) {
+            const to = Math.min(from + this.chunkSize - 1, target);
+            const logs = await provider.getLogs({ address: this.oracle.ravenAccess.target, fromBlock: from, toBlock: to });
+            indexed += await this._store(logs);
+
+            const toBlock = await provider.getBlock(to);
+            await this.oracle.state.set('indexer:cursor', { blockNumber: to, blockHash: toBlock.hash });
+            from = to + 1;
+        }
+
+        return { indexed, cursor: await this.getCursor(), head };
+    }
+
+    // Drop history above blockNumber and move the cursor back to it
+    async _rewind(blockNumber) {
+        const keys = await this.oracle.state.keys('history:');
+        for (const key of keys) {
+            await this.oracle.state.update(key, (list = []) => {
+                const kept = list.filter(e => e.blockNumber <= blockNumber);
+                return kept.length ? kept : undefined;
+            });
+        }
+        if (blockNumber < this.startBlock) {
+            await this.oracle.state.delete('indexer:cursor');
+            return null;
+        }
+        const block = await this.oracle.provider.getBlock(blockNumber);
+        const cursor = { blockNumber, blockHash: block.hash };
+        await this.oracle.state.set('indexer:cursor', cursor);
+        return cursor;
+    }
+
+    // Decode a log with the contract's event ABI; returns a history entry or null
+    decode(log) {
+        let parsed;
+        try {
+            parsed = this.iface.parseLog(log);
+        } catch (_) {
+            return null;
+        }
+        const userInput = parsed && parsed.fragment.inputs.find(input => input.name === 'user' && input.type === 'address');
+        if (!userInput) return null;
+
+        const entry = {
+            event: parsed.name,
+            user: ethers.getAddress(parsed.args.user),
+            blockNumber: log.blockNumber,
+            txHash: log.transactionHash,
+            logIndex: log.index ?? log.logIndex
+        };
+        for (const input of parsed.fragment.inputs) {
+            if (!input.name || input === userInput || input.name in entry) continue;
+            const value = parsed.args[input.name];
+            entry[input.name] = typeof value === 'bigint' ? value.toString() : value;
+        }
+        return entry;
+    }
+
+    async _store(logs) {
+        const byUser = new Map();
+        const timestamps = new Map();
+        for (const log of logs) {
+            const entry = this.decode(log);
+            if (!entry) continue;
+            if (!timestamps.has(entry.blockNumber)) {
+                const block = await this.oracle.provider.getBlock(entry.blockNumber);
+                timestamps.set(entry.blockNumber, block ? block.timestamp : null);
+            }
+            entry.timestamp = timestamps.get(entry.blockNumber);
+            const key = entry.user.toLowerCase();
+            if (!byUser.has(key)) byUser.set(key, []);
+            byUser.get(key).push(entry);
+        }
+
+        for (const [user, entries] of byUser) {
+            await this.oracle.state.update(`history:${user}`, (list = []) => {
+                // Skip entries already stored (re-run after a partial chunk)
+                const seen = new Set(list.map(e => `${e.txHash}:${e.logIndex}`));
+                return [...list, ...entries.filter(e => !seen.has(`${e.txHash}:${e.logIndex}`))];
+            });
+        }
+        return [...byUser.values()].reduce((n, entries) => n + entries.length, 0);
+    }
+
+    // Paginated history, newest first.
+    // filters: { reason?, event?, offset?, limit? }
+    async getHistory(userAddress, { reason, event, offset = 0, limit = 50 } = {}) {
+        const list = (await this.oracle.state.get(`history:${String(userAddress).toLowerCase()}`)) || [];
+        const filtered = list
+            .filter(e => (reason ? e.reason === reason : true))
+            .filter(e => (event ? e.event === event : true))
+            .reverse();
+        return {
+            total: filtered.length,
+            offset,
+            limit,
+            items: filtered.slice(offset, offset + limit)
+        };
+    }
+
+    start() {
+        if (this._timer || !this.isConfigured()) return;
+        this._timer = setInterval(() => {
+            this.sync().catch(error => this.oracle.logger.error('event indexer sync failed', { error }));
+        }, this.pollInterval);
+        if (this._timer.unref) this._timer.unref();
+    }
+
+    stop() {
+        if (this._timer) clearInterval(this._timer);
+        this._timer = null;
+    }
+}
+
+module.exports = EventIndexer;
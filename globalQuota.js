@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+
+// Shared quota for the globalCapModes (price_accuracy, full) across all users
+// and tiers, per UTC calendar month. One state-store entry per window:
+//   global_quota:<YYYY-MM> -> { consumed, byMode: { mode: units }, reservations: { id: { user, mode, units, expiresAt } } }
+// authorizeInference reserves units atomically; consuming the inference
+// captures the reservation, a failed inference releases it, and reservations
+// that are neither expire after reservationTtlMs.
+class GlobalQuota {
+    constructor(oracle, options = {}) {
+        this.oracle = oracle;
+        this.reservationTtlMs = options.reservationTtlMs || 10 * 60 * 1000;
+    }
+
+    // Window label (YYYY-MM, UTC) and its bounds in ms
+    window(now = Date.now()) {
+        const d = new Date(now);
+        const startsAt = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1);
+        const endsAt = Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1);
+        return { id: new Date(startsAt).toISOString().slice(0, 7), startsAt, endsAt };
+    }
+
+    _key(windowId) {
+        return `global_quota:${windowId}`;
+    }
+
+    // Window a reservation id belongs to (ids are <YYYY-MM>.<16 hex>)
+    _windowOf(reservationId) {
+        const match = /^(\d{4}-\d{2})\.[0-9a-f]{16}$/.exec(String(reservationId));
+        return match ? match[1] : null;
+    }
+
+    _empty() {
+        return { consumed: 0, byMode: {}, reservations: {} };
+    }
+
+    // Drop expired reservations; returns the entry and the units still reserved
+    _prune(entry, now) {
+        const next = { ...this._empty(), ...entry, reservations: {} };
+        let reserved = 0;
+        for (const [id, r] of Object.entries((entry && entry.reservations) || {})) {
+            if (r.expiresAt <= now) continue;
+            next.reservations[id] = r;
+            reserved += r.units;
+        }
+        return { entry: next, reserved };
+    }
+
+    // Reserve `units` for the current window. Returns { reservationId, ... }
+    // or null when the cap would be exceeded. ttlMs defaults to reservationTtlMs.
+    async reserve(userAddress, mode, units, now = Date.now(), ttlMs = this.reservationTtlMs) {
+        const cap = this.oracle.GLOBAL_PRICE_ACCURACY_CAP;
+        const { id: windowId } = this.window(now);
+        const reservationId = `${windowId}.${crypto.randomBytes(8).toString('hex')}`;
+        let reserved = false;
+
+        await this.oracle.state.update(this._key(windowId), (current) => {
+            const pruned = this._prune(current, now);
+            if (pruned.entry.consumed + pruned.reserved + units > cap) return pruned.entry;
+            reserved = true;
+            pruned.entry.reservations[reservationId] = {
+                user: String(userAddress).toLowerCase(),
+                mode,
+                units,
+                expiresAt: now + ttlMs
+            };
+            return pruned.entry;
+        });
+        return reserved ? { reservationId, units, expiresAt: now + ttlMs } : null;
+    }
+
+    // Count a consumed inference. Captures its reservation if it still has
+    // one (even an expired one: the inference did run); otherwise the units
+    // are added directly, so every consumed inference counts exactly once.
+    // Returns { window, units, reserved }
+    async capture({ reservationId, mode, units }, now = Date.now()) {
+        const windowId = this._windowOf(reservationId) || this.window(now).id;
+        let result = null;
+        await this.oracle.state.update(this._key(windowId), (current) => {
+            const pruned = this._prune(current, now);
+            const r = current && current.reservations ? current.reservations[reservationId] : undefined;
+            const counted = r ? { mode: r.mode, units: r.units } : { mode, units };
+            delete pruned.entry.reservations[reservationId];
+            pruned.entry.consumed += counted.units;
+            pruned.entry.byMode = { ...pruned.entry.byMode, [counted.mode]: (pruned.entry.byMode[counted.mode] || 0) + counted.units };
+            result = { window: windowId, units: counted.units, reserved: !!r };
+            return pruned.entry;
+        });
+        return result;
+    }
+
+    // Whether `units` more would fit in the current window, without reserving
+    async hasRoom(units, now = Date.now()) {
+        const { entry, reserved } = this._prune(await this.oracle.state.get(this._key(this.window(now).id)), now);
+        return entry.consumed + reserved + units <= this.oracle.GLOBAL_PRICE_ACCURACY_CAP;
+    }
+
+    // Give reserved units back (inference failed or was never run). With
+    // `userAddress`, only a reservation held by that user is released.
+    async release(reservationId, now = Date.now(), userAddress = null) {
+        const windowId = this._windowOf(reservationId);
+        if (!windowId) return false;
+        let released = false;
+        await this.oracle.state.update(this._key(windowId), (current) => {
+            if (!current) return current;
+            const pruned = this._prune(current, now);
+            const r = pruned.entry.reservations[reservationId];
+            if (!r || (userAddress && r.user !== String(userAddress).toLowerCase())) return pruned.entry;
+            released = true;
+            delete pruned.entry.reservations[reservationId];
+            return pruned.entry;
+        });
+        return released;
+    }
+
+    // Take `units` off a reservation without counting them (a job quote whose
+    // units are consumed one capture at a time; each capture counts its own
+    // units). The reservation goes away when nothing is left.
+    async shrink(reservationId, units, now = Date.now()) {
+        const windowId = this._windowOf(reservationId);
+        if (!windowId) return false;
+        let shrunk = false;
+        await this.oracle.state.update(this._key(windowId), (current) => {
+            if (!current) return current;
+            const pruned = this._prune(current, now);
+            const r = pruned.entry.reservations[reservationId];
+            if (!r) return pruned.entry;
+            shrunk = true;
+            if (r.units <= units) delete pruned.entry.reservations[reservationId];
+            else pruned.entry.reservations[reservationId] = { ...r, units: r.units - units };
+            return pruned.entry;
+        });
+        return shrunk;
+    }
+
+    // Admin view: { window, startsAt, endsAt, cap, consumed, reserved, remaining, byMode, reservations }
+    async getUsage(windowId = this.window().id, now = Date.now()) {
+        if (!/^\d{4}-\d{2}$/.test(windowId)) throw new Error('window must be YYYY-MM');
+        const { entry, reserved } = this._prune(await this.oracle.state.get(this._key(windowId)), now);
+        const [year, month] = windowId.split('-').map(Number);
+        const cap = this.oracle.GLOBAL_PRICE_ACCURACY_CAP;
+        return {
+            window: windowId,
+            startsAt: new Date(Date.UTC(year, month - 1, 1)).toISOString(),
+            endsAt: new Date(Date.UTC(year, month, 1)).toISOString(),
+            modes: this.oracle.getRules().globalCapModes,
+            cap,
+            consumed: entry.consumed,
+            reserved,
+            remaining: Math.max(0, cap - entry.consumed - reserved),
+            byMode: entry.byMode,
+            reservations: Object.keys(entry.reservations).length
+        };
+    }
+}
+
+module.exports = GlobalQuota;
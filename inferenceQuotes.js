@@ -0,0 +1,337 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { canonicalJson } = require('./memoryPointer');
+
+// Quote-and-reserve for multi-step inference jobs (POST /inference/quote).
+// A quote prices a job plan of mixed modes with the user's plan and holds
+// what it needs until it expires: subscription units of the current window
+// first, credits for the rest, and global quota units for globalCapModes.
+// authorizeInference and later quotes subtract held capacity, so concurrent
+// requests cannot overdraw it. Captures consume part of a hold (usage records
+// and pending debits, as /inference/consume); release gives the rest back.
+// Requests come from an operator, or carry the user's personal_sign of
+// requestMessage (verifyRequest). One state-store entry per user:
+//   quotes:<user> -> { <quoteId>: { id, user, planId, modes: { mode: { subscription, credits, unitCost } },
+//                                   credits, subscriptionUnits, reservations: { mode: reservationId }, createdAt, expiresAt } }
+class QuoteError extends Error {
+    constructor(message, code, status = 400) {
+        super(message);
+        this.name = 'QuoteError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+class InferenceQuotes {
+    // options: { ttlMs, maxTtlMs, maxSteps, maxQuantity, signatureTtlMs }
+    constructor(oracle, options = {}) {
+        this.oracle = oracle;
+        this.ttlMs = options.ttlMs || 10 * 60 * 1000;
+        this.maxTtlMs = options.maxTtlMs || 60 * 60 * 1000;
+        this.maxSteps = options.maxSteps || 50;
+        this.maxQuantity = options.maxQuantity || 1000; // total over a quote's steps
+        this.signatureTtlMs = options.signatureTtlMs || 5 * 60 * 1000;
+    }
+
+    // The message a user signs for a quote request. action: quote | capture |
+    // release; payload: the request's parameters; issuedAt: unix seconds
+    requestMessage(action, userAddress, payload, issuedAt) {
+        return `Raven inference ${action} for ${ethers.getAddress(userAddress)}\n${canonicalJson(payload)}\nIssued at: ${issuedAt}`;
+    }
+
+    // Check a user's signature over requestMessage: signed by the user, issued
+    // within signatureTtlMs, and not used before
+    async verifyRequest(action, userAddress, payload, { signature, issuedAt } = {}, now = Date.now()) {
+        if (!ethers.isAddress(userAddress)) throw new QuoteError('valid user address required', 'invalid_address');
+        if (typeof signature !== 'string' || !Number.isInteger(issuedAt)) {
+            throw new QuoteError('operator credentials or a user signature (signature, issuedAt) required', 'signature_required', 401);
+        }
+        if (Math.abs(now - issuedAt * 1000) > this.signatureTtlMs) {
+            throw new QuoteError('signature expired or issued in the future', 'stale_signature', 401);
+        }
+        const message = this.requestMessage(action, userAddress, payload, issuedAt);
+        let signer;
+        try {
+            signer = ethers.verifyMessage(message, signature);
+        } catch (_) {
+            throw new QuoteError('bad signature', 'bad_signature', 401);
+        }
+        if (signer !== ethers.getAddress(userAddress)) throw new QuoteError('signature is not from the user', 'bad_signature', 401);
+        const fresh = await this.oracle.state.setIfAbsent(`quote_request:${ethers.hashMessage(message)}`, now, 2 * this.signatureTtlMs);
+        if (!fresh) throw new QuoteError('signature already used', 'replayed_signature', 401);
+        return signer;
+    }
+
+    _key(userAddress) {
+        return `quotes:${String(userAddress).toLowerCase()}`;
+    }
+
+    // Quotes that have not expired
+    _live(holds, now) {
+        const live = {};
+        for (const [id, q] of Object.entries(holds || {})) {
+            if (q.expiresAt > now) live[id] = q;
+        }
+        return live;
+    }
+
+    _sum(holds) {
+        return Object.values(holds).reduce((sum, q) => ({
+            credits: sum.credits + q.credits,
+            subscriptionUnits: sum.subscriptionUnits + q.subscriptionUnits
+        }), { credits: 0, subscriptionUnits: 0 });
+    }
+
+    _view(q) {
+        return {
+            quoteId: q.id,
+            user: q.user,
+            planId: q.planId,
+            expiresAt: q.expiresAt,
+            remaining: { modes: q.modes, credits: q.credits, subscriptionUnits: q.subscriptionUnits }
+        };
+    }
+
+    // [{ mode, quantity? }] -> [{ mode, quantity }]
+    _steps(steps, what = 'steps') {
+        if (!Array.isArray(steps) || steps.length === 0) throw new QuoteError(`${what} must be a non-empty array`, `invalid_${what}`);
+        if (steps.length > this.maxSteps) throw new QuoteError(`at most ${this.maxSteps} ${what}`, `invalid_${what}`);
+        return steps.map((step, i) => {
+            const mode = step && step.mode;
+            const quantity = step && step.quantity !== undefined ? step.quantity : 1;
+            if (typeof mode !== 'string') throw new QuoteError(`${what}[${i}]: mode required`, `invalid_${what}`);
+            if (!Number.isInteger(quantity) || quantity <= 0) {
+                throw new QuoteError(`${what}[${i}]: quantity must be a positive integer`, `invalid_${what}`);
+            }
+            try {
+                this.oracle.getInferenceCost(mode, quantity);
+            } catch (error) {
+                throw new QuoteError(`${what}[${i}]: ${error.message}`, `invalid_${what}`);
+            }
+            return { mode, quantity };
+        });
+    }
+
+    // Bill steps in order: subscription while `unitsLeft` covers the whole
+    // step, credits otherwise (same preference as authorizeInference). Each
+    // mode keeps its unit cost, so captures are charged the quoted price.
+    _price(steps, planId, unitsLeft) {
+        const priced = [];
+        const modes = {};
+        let credits = 0;
+        let subscriptionUnits = 0;
+        for (const { mode, quantity } of steps) {
+            const m = modes[mode] || { subscription: 0, credits: 0, unitCost: this.oracle.getInferenceCost(mode, 1, planId) };
+            if (subscriptionUnits + quantity <= unitsLeft) {
+                subscriptionUnits += quantity;
+                m.subscription += quantity;
+                priced.push({ mode, quantity, method: 'subscription', cost: 0 });
+            } else {
+                const cost = m.unitCost * quantity;
+                credits += cost;
+                m.credits += quantity;
+                priced.push({ mode, quantity, method: 'credits', cost });
+            }
+            modes[mode] = m;
+        }
+        return { steps: priced, modes, credits, subscriptionUnits };
+    }
+
+    // Capacity held by the user's live quotes: { credits, subscriptionUnits }
+    async getHeld(userAddress, now = Date.now()) {
+        return this._sum(this._live(await this.oracle.state.get(this._key(userAddress)), now));
+    }
+
+    async list(userAddress, now = Date.now()) {
+        return Object.values(this._live(await this.oracle.state.get(this._key(userAddress)), now)).map(q => this._view(q));
+    }
+
+    // Price a job plan and hold its capacity for ttlSeconds (default ttlMs).
+    // Returns { reserved: true, quoteId, expiresAt, planId, steps: [{ mode, quantity, method, cost }], totals }
+    // or { reserved: false, reason, planId, steps, totals } when the job does not fit.
+    async quote(userAddress, steps, { ttlSeconds } = {}) {
+        if (!ethers.isAddress(userAddress)) throw new QuoteError('valid user address required', 'invalid_address');
+        const plan = this._steps(steps);
+        if (plan.reduce((sum, step) => sum + step.quantity, 0) > this.maxQuantity) {
+            throw new QuoteError(`at most ${this.maxQuantity} units per quote`, 'invalid_steps');
+        }
+        const ttlMs = ttlSeconds !== undefined ? Number(ttlSeconds) * 1000 : this.ttlMs;
+        if (!(ttlMs > 0) || ttlMs > this.maxTtlMs) {
+            throw new QuoteError(`ttlSeconds must be between 1 and ${this.maxTtlMs / 1000}`, 'invalid_ttl');
+        }
+        const oracle = this.oracle;
+        const user = ethers.getAddress(userAddress);
+
+        // On-chain state minus consumed-but-unsettled debits, as authorizeInference
+        const subscription = await oracle.getUserSubscription(user);
+        const onChainCredits = BigInt(await oracle.getUserCredits(user));
+        const pending = await oracle.usage.getPendingDebits(user);
+        const window = subscription ? await oracle.getSubscriptionWindow(user, subscription) : null;
+        const planId = subscription ? Number(subscription.planId) : 0;
+        const subscribed = oracle.isSubscriptionActive(subscription, window);
+
+        // Check and hold in one state update so concurrent quotes see each other
+        const now = Date.now();
+        const quoteId = crypto.randomBytes(12).toString('hex');
+        let priced = null;
+        let fits = false;
+        await oracle.state.update(this._key(user), (current) => {
+            const holds = this._live(current, now);
+            const held = this._sum(holds);
+            const unitsLeft = subscribed ? Math.max(0, window.cap - window.used - held.subscriptionUnits) : 0;
+            priced = this._price(plan, planId, unitsLeft);
+            fits = onChainCredits - BigInt(pending.credits) - BigInt(held.credits) >= BigInt(priced.credits);
+            if (!fits) return holds;
+            holds[quoteId] = {
+                id: quoteId,
+                user,
+                planId,
+                modes: priced.modes,
+                credits: priced.credits,
+                subscriptionUnits: priced.subscriptionUnits,
+                reservations: {},
+                createdAt: now,
+                expiresAt: now + ttlMs
+            };
+            return holds;
+        }, this.maxTtlMs);
+
+        const result = {
+            planId,
+            steps: priced.steps,
+            totals: { credits: priced.credits, subscriptionUnits: priced.subscriptionUnits }
+        };
+        if (!fits) return { reserved: false, reason: 'insufficient_balance_and_cap', ...result };
+
+        // Global quota units for the job's globalCapModes, held as long as the quote
+        const reservations = {};
+        for (const [mode, m] of Object.entries(priced.modes)) {
+            if (!oracle.isGlobalCapMode(mode)) continue;
+            const reservation = await oracle.globalQuota.reserve(user, mode, m.subscription + m.credits, now, ttlMs);
+            if (!reservation) {
+                await this.release(user, quoteId);
+                await Promise.all(Object.values(reservations).map(id => oracle.globalQuota.release(id)));
+                return { reserved: false, reason: 'global_cap_reached', ...result };
+            }
+            reservations[mode] = reservation.reservationId;
+        }
+        if (Object.keys(reservations).length > 0) {
+            await oracle.state.update(this._key(user), (current) => {
+                const holds = this._live(current, Date.now());
+                if (holds[quoteId]) holds[quoteId] = { ...holds[quoteId], reservations };
+                return holds;
+            }, this.maxTtlMs);
+        }
+        return { reserved: true, quoteId, expiresAt: now + ttlMs, ...result };
+    }
+
+    // Consume `usage` ([{ mode, quantity? }]) out of a quote. Each mode is
+    // billed as quoted (its subscription units first, then credits at the
+    // quoted unit cost); usage beyond what the quote holds for a mode is
+    // rejected. The quote is closed once everything is captured. requestId
+    // (optional) makes the call idempotent.
+    // Returns { quoteId, records, remaining (null when closed), pendingDebits }
+    async capture(userAddress, quoteId, usage, { requestId } = {}) {
+        if (!ethers.isAddress(userAddress)) throw new QuoteError('valid user address required', 'invalid_address');
+        const parts = this._steps(usage, 'usage');
+        const oracle = this.oracle;
+        const user = ethers.getAddress(userAddress);
+
+        const dedupeKey = requestId !== undefined ? `consumption:${requestId}` : null;
+        if (dedupeKey && !(await oracle.state.setIfAbsent(dedupeKey, Date.now(), oracle.usage.consumptionTtlMs))) {
+            throw new QuoteError('requestId already consumed', 'duplicate_request', 409);
+        }
+
+        const now = Date.now();
+        let quote = null;
+        let failure = null;
+        let charges = [];
+        await oracle.state.update(this._key(user), (current) => {
+            const holds = this._live(current, now);
+            const q = holds[quoteId];
+            if (!q) {
+                failure = new QuoteError('unknown or expired quote', 'unknown_quote', 404);
+                return holds;
+            }
+            // Price every part against the quote first; the hold only
+            // changes once all of them fit
+            const modes = { ...q.modes };
+            charges = [];
+            for (const { mode, quantity } of parts) {
+                const m = { ...(modes[mode] || { subscription: 0, credits: 0 }) };
+                if (m.subscription + m.credits < quantity) {
+                    failure = new QuoteError(`usage exceeds the quoted quantity for '${mode}'`, 'exceeds_quote', 409);
+                    return holds;
+                }
+                const fromSubscription = Math.min(m.subscription, quantity);
+                const fromCredits = quantity - fromSubscription;
+                if (fromSubscription > 0) charges.push({ mode, quantity: fromSubscription, method: 'subscription', cost: 0 });
+                if (fromCredits > 0) {
+                    const cost = m.unitCost !== undefined ? m.unitCost * fromCredits : oracle.getInferenceCost(mode, fromCredits, q.planId);
+                    charges.push({ mode, quantity: fromCredits, method: 'credits', cost });
+                }
+                m.subscription -= fromSubscription;
+                m.credits -= fromCredits;
+                modes[mode] = m;
+            }
+
+            const next = {
+                ...q,
+                modes,
+                credits: q.credits - charges.reduce((sum, c) => sum + c.cost, 0),
+                subscriptionUnits: q.subscriptionUnits - charges.filter(c => c.method === 'subscription').reduce((sum, c) => sum + c.quantity, 0)
+            };
+            const open = Object.values(next.modes).some(m => m.subscription + m.credits > 0);
+            if (open) holds[quoteId] = next;
+            else delete holds[quoteId];
+            quote = { ...next, open };
+            return holds;
+        }, this.maxTtlMs);
+        if (!failure && charges.length === 0) failure = new QuoteError('nothing to capture', 'invalid_usage');
+        if (failure) {
+            if (dedupeKey) await oracle.state.delete(dedupeKey);
+            throw failure;
+        }
+
+        const records = [];
+        let consumed = null;
+        for (const charge of charges) {
+            // The capture counts its own units; the quote's reservation shrinks by as many
+            const reservationId = quote.reservations[charge.mode];
+            if (reservationId) await oracle.globalQuota.shrink(reservationId, charge.quantity);
+            consumed = await oracle.usage.consume(user, {
+                mode: charge.mode,
+                quantity: charge.quantity,
+                authorization: { method: charge.method, cost: charge.cost, quoteId }
+            });
+            records.push(consumed.record);
+        }
+        return {
+            quoteId,
+            records,
+            remaining: quote.open ? this._view(quote).remaining : null,
+            pendingDebits: consumed.pendingDebits
+        };
+    }
+
+    // Drop a quote and give back what it still holds. Returns the released
+    // quote view, or null when it is unknown or expired.
+    async release(userAddress, quoteId) {
+        const now = Date.now();
+        let released = null;
+        await this.oracle.state.update(this._key(userAddress), (current) => {
+            const holds = this._live(current, now);
+            released = holds[quoteId] || null;
+            delete holds[quoteId];
+            return holds;
+        }, this.maxTtlMs);
+        if (!released) return null;
+        await Promise.all(Object.values(released.reservations).map(id => this.oracle.globalQuota.release(id)));
+        return this._view(released);
+    }
+}
+
+module.exports = {
+    InferenceQuotes,
+    QuoteError
+};
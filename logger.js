@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+
+// Leveled JSON-lines logger. One line per entry:
+//   {"time":"...","level":"info","msg":"...", ...fields}
+// Settings (env or config.example.js): LOG_LEVEL (debug|info|warn|error),
+// LOG_TO_FILE (append to LOG_FILE_PATH as well as stdout/stderr).
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Error -> plain fields (ethers errors carry code / shortMessage)
+function errorFields(error) {
+    if (!(error instanceof Error)) return error;
+    return {
+        name: error.name,
+        message: error.shortMessage || error.message,
+        ...(error.code !== undefined && { code: error.code }),
+        stack: error.stack
+    };
+}
+
+class Logger {
+    // options: { level, toFile, filePath, fields, stream? }
+    constructor(options = {}) {
+        const level = String(options.level || 'info').toLowerCase();
+        if (!LEVELS[level]) throw new Error(`unknown log level '${options.level}'`);
+        this.level = level;
+        this.fields = options.fields || {};
+        this._file = options.stream || null;
+        if (!this._file && options.toFile) {
+            const filePath = path.resolve(options.filePath || './oracle.log');
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            this._file = fs.createWriteStream(filePath, { flags: 'a' });
+        }
+    }
+
+    // Logger that adds `fields` to every entry (shares level and file)
+    child(fields) {
+        const child = Object.create(this);
+        child.fields = { ...this.fields, ...fields };
+        return child;
+    }
+
+    enabled(level) {
+        return LEVELS[level] >= LEVELS[this.level];
+    }
+
+    log(level, msg, fields = {}) {
+        if (!this.enabled(level)) return;
+        const entry = { time: new Date().toISOString(), level, msg, ...this.fields };
+        for (const [key, value] of Object.entries(fields)) {
+            entry[key] = value instanceof Error ? errorFields(value) : value;
+        }
+        let line;
+        try {
+            line = JSON.stringify(entry, (_k, v) => (typeof v === 'bigint' ? v.toString() : v));
+        } catch (_) {
+            line = JSON.stringify({ time: entry.time, level, msg, note: 'unserializable fields' });
+        }
+        (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+        if (this._file) this._file.write(`${line}\n`);
+    }
+
+    debug(msg, fields) { this.log('debug', msg, fields); }
+    info(msg, fields) { this.log('info', msg, fields); }
+    warn(msg, fields) { this.log('warn', msg, fields); }
+    error(msg, fields) { this.log('error', msg, fields); }
+}
+
+// Logger from LOG_LEVEL / LOG_TO_FILE / LOG_FILE_PATH
+function loadLogger(env = process.env) {
+    return new Logger({
+        level: env.LOG_LEVEL || 'info',
+        toFile: env.LOG_TO_FILE === 'true',
+        filePath: env.LOG_FILE_PATH || './oracle.log'
+    });
+}
+
+let _default = null;
+
+// Process-wide logger (env settings), used when none is passed in
+function getDefaultLogger() {
+    if (!_default) _default = loadLogger(process.env);
+    return _default;
+}
+
+module.exports = {
+    Logger,
+    LEVELS,
+    loadLogger,
+    getDefaultLogger
+};
@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+
+// Memory pointer formats accepted by /memory/update and their normalized form:
+//   Qm... (CIDv0), b... (CIDv1 base32, any case),
+//   ipfs://<cid>[/path], /ipfs/<cid>[/path]                    -> ipfs://<cid>[/path]
+//   64 hex chars, optionally 0x- or sha256:-prefixed, any case -> sha256:<hex>
+// Each pointer has one normalized spelling, so it is written (and looked up)
+// the same way however it was given.
+// Raw memory JSON can be hashed locally into a CIDv1 (json codec, sha2-256).
+
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+const JSON_CODEC = 0x0200;
+const SHA2_256 = 0x12;
+
+class MemoryPointerError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'MemoryPointerError';
+    }
+}
+
+function base32Encode(bytes) {
+    let bits = 0;
+    let value = 0;
+    let out = '';
+    for (const byte of bytes) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+        value &= (1 << bits) - 1;
+    }
+    if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    return out;
+}
+
+function base32Decode(str) {
+    let bits = 0;
+    let value = 0;
+    const out = [];
+    for (const ch of str) {
+        const idx = BASE32_ALPHABET.indexOf(ch);
+        if (idx === -1) throw new MemoryPointerError('invalid base32 character');
+        value = (value << 5) | idx;
+        bits += 5;
+        if (bits >= 8) {
+            out.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+        value &= (1 << bits) - 1;
+    }
+    return Uint8Array.from(out);
+}
+
+function encodeVarint(n) {
+    const out = [];
+    while (n >= 0x80) {
+        out.push((n & 0x7f) | 0x80);
+        n >>>= 7;
+    }
+    out.push(n);
+    return out;
+}
+
+// Returns [value, nextOffset]
+function decodeVarint(bytes, offset) {
+    let value = 0;
+    let shift = 0;
+    for (let i = offset; i < bytes.length && i < offset + 9; i++) {
+        value += (bytes[i] & 0x7f) * 2 ** shift;
+        if ((bytes[i] & 0x80) === 0) return [value, i + 1];
+        shift += 7;
+    }
+    throw new MemoryPointerError('invalid varint');
+}
+
+function assertMultihash(bytes, offset) {
+    const [, afterCode] = decodeVarint(bytes, offset);
+    const [length, afterLength] = decodeVarint(bytes, afterCode);
+    if (length === 0 || bytes.length - afterLength !== length) throw new MemoryPointerError('invalid multihash length');
+}
+
+function validateCid(cid) {
+    if (/^Qm[1-9A-HJ-NP-Za-km-z]{44}$/.test(cid)) {
+        let bytes;
+        try {
+            bytes = ethers.getBytes(ethers.toBeHex(ethers.decodeBase58(cid), 34));
+        } catch (_) {
+            throw new MemoryPointerError('invalid CIDv0');
+        }
+        if (bytes[0] !== SHA2_256 || bytes[1] !== 32) throw new MemoryPointerError('invalid CIDv0');
+        return cid;
+    }
+    // Base32 is case-insensitive; the lowercase spelling is canonical
+    if (/^b[a-z2-7]+$/i.test(cid)) {
+        const lower = cid.toLowerCase();
+        const bytes = base32Decode(lower.slice(1));
+        const [version, afterVersion] = decodeVarint(bytes, 0);
+        if (version !== 1) throw new MemoryPointerError('unsupported CID version');
+        const [, afterCodec] = decodeVarint(bytes, afterVersion);
+        assertMultihash(bytes, afterCodec);
+        return lower;
+    }
+    throw new MemoryPointerError('not a CIDv0 (Qm...) or base32 CIDv1 (b...)');
+}
+
+// Validate and normalize a pointer string. Returns { pointer, kind, cid?, digest? }
+function normalizeMemoryPointer(input) {
+    if (typeof input !== 'string' || input.trim().length === 0) throw new MemoryPointerError('memoryHash required');
+    const value = input.trim();
+
+    const hex = /^(?:0x|sha256:)?([0-9a-f]{64})$/i.exec(value);
+    if (hex) {
+        const digest = hex[1].toLowerCase();
+        return { pointer: `sha256:${digest}`, kind: 'sha256', digest };
+    }
+
+    const ipfs = /^(?:ipfs:\/\/|\/ipfs\/)([^/?#]+)(\/[^?#]*)?$/i.exec(value);
+    const cid = validateCid(ipfs ? ipfs[1] : value);
+    const path = ipfs && ipfs[2] ? ipfs[2].replace(/\/+$/, '') : '';
+    return { pointer: `ipfs://${cid}${path}`, kind: 'ipfs', cid };
+}
+
+// JSON with sorted object keys, so equal memories hash to the same CID
+function canonicalJson(value) {
+    if (Array.isArray(value)) return `[${value.map(v => canonicalJson(v) ?? 'null').join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).filter(k => value[k] !== undefined).sort().map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+// CIDv1 (json codec, sha2-256) of the canonical JSON. Pin `content` exactly
+// as returned for the CID to resolve. Returns { pointer, kind, cid, content }
+function computeMemoryCid(memory) {
+    if (memory === undefined) throw new MemoryPointerError('memory required');
+    const content = canonicalJson(memory);
+    if (content === undefined) throw new MemoryPointerError('memory must be JSON-serializable');
+    const digest = crypto.createHash('sha256').update(content, 'utf8').digest();
+    const bytes = Uint8Array.from([...encodeVarint(1), ...encodeVarint(JSON_CODEC), SHA2_256, digest.length, ...digest]);
+    const cid = `b${base32Encode(bytes)}`;
+    return { pointer: `ipfs://${cid}`, kind: 'ipfs', cid, content };
+}
+
+module.exports = {
+    MemoryPointerError,
+    normalizeMemoryPointer,
+    computeMemoryCid,
+    canonicalJson
+};
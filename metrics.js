@@ -0,0 +1,162 @@
+// Minimal Prometheus registry (text exposition format 0.0.4) and the oracle's
+// metrics. Counters and histograms keep one series per label combination.
+
+const DEFAULT_BUCKETS = [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}`;
+}
+
+class Counter {
+    constructor(name, help, labelNames = []) {
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.type = 'counter';
+        this._series = new Map(); // label key -> { labels, value }
+    }
+
+    _labels(labels) {
+        const out = {};
+        for (const name of this.labelNames) out[name] = labels[name] === undefined ? '' : String(labels[name]);
+        return out;
+    }
+
+    inc(labels = {}, value = 1) {
+        const l = this._labels(labels);
+        const key = JSON.stringify(l);
+        const series = this._series.get(key) || { labels: l, value: 0 };
+        series.value += value;
+        this._series.set(key, series);
+    }
+
+    get(labels = {}) {
+        const series = this._series.get(JSON.stringify(this._labels(labels)));
+        return series ? series.value : 0;
+    }
+
+    render() {
+        return [...this._series.values()].map(s => `${this.name}${formatLabels(s.labels)} ${s.value}`);
+    }
+}
+
+class Histogram extends Counter {
+    constructor(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+        super(name, help, labelNames);
+        this.type = 'histogram';
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    observe(labels = {}, value) {
+        const l = this._labels(labels);
+        const key = JSON.stringify(l);
+        const series = this._series.get(key) || { labels: l, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) series.counts[i] += 1;
+        });
+        series.sum += value;
+        series.count += 1;
+        this._series.set(key, series);
+    }
+
+    render() {
+        const lines = [];
+        for (const s of this._series.values()) {
+            this.buckets.forEach((bound, i) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...s.labels, le: bound })} ${s.counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`);
+            lines.push(`${this.name}_sum${formatLabels(s.labels)} ${s.sum}`);
+            lines.push(`${this.name}_count${formatLabels(s.labels)} ${s.count}`);
+        }
+        return lines;
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        this._metrics = new Map();
+    }
+
+    _add(metric) {
+        if (this._metrics.has(metric.name)) throw new Error(`metric ${metric.name} already registered`);
+        this._metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    counter(name, help, labelNames) {
+        return this._add(new Counter(name, help, labelNames));
+    }
+
+    histogram(name, help, labelNames, buckets) {
+        return this._add(new Histogram(name, help, labelNames, buckets));
+    }
+
+    // Prometheus text format
+    render() {
+        const lines = [];
+        for (const metric of this._metrics.values()) {
+            lines.push(`# HELP ${metric.name} ${metric.help}`);
+            lines.push(`# TYPE ${metric.name} ${metric.type}`);
+            lines.push(...metric.render());
+        }
+        return `${lines.join('\n')}\n`;
+    }
+}
+
+// The oracle API's metrics. forChain(chainId) gives the view an oracle
+// records through (every series carries a `chain` label).
+class OracleMetrics {
+    constructor(registry = new MetricsRegistry()) {
+        this.registry = registry;
+        this.contentType = 'text/plain; version=0.0.4; charset=utf-8';
+        this.httpRequests = registry.counter('raven_http_requests_total', 'HTTP requests by route and status', ['method', 'route', 'status']);
+        this.httpDuration = registry.histogram('raven_http_request_duration_seconds', 'HTTP request latency', ['method', 'route']);
+        this.authorizeDecisions = registry.counter('raven_authorize_decisions_total', 'authorizeInference decisions', ['chain', 'method', 'reason']);
+        this.rpcDuration = registry.histogram('raven_rpc_request_duration_seconds', 'JSON-RPC request latency', ['chain', 'method']);
+        this.rpcErrors = registry.counter('raven_rpc_errors_total', 'Failed JSON-RPC requests', ['chain', 'method', 'code']);
+        this.rateLimitHits = registry.counter('raven_rate_limit_hits_total', 'Requests denied by a rate limit (user, mode or ip bucket)', ['chain', 'scope']);
+        this.creditAwardsQueued = registry.counter('raven_credit_awards_queued_total', 'Credit awards queued for awardCreditsBatch', ['chain', 'reason']);
+        this.creditsQueued = registry.counter('raven_credits_queued_total', 'Credits queued for awardCreditsBatch', ['chain', 'reason']);
+        this.webhookDeliveries = registry.counter('raven_webhook_deliveries_total', 'Webhook delivery attempts by outcome', ['chain', 'event', 'outcome']);
+    }
+
+    httpRequest(method, route, status, seconds) {
+        this.httpRequests.inc({ method, route, status });
+        this.httpDuration.observe({ method, route }, seconds);
+    }
+
+    forChain(chainId) {
+        const chain = String(chainId);
+        return {
+            authorizeDecision: (method, reason) => this.authorizeDecisions.inc({ chain, method, reason }),
+            rpcCall: (method, seconds, errorCode) => {
+                this.rpcDuration.observe({ chain, method }, seconds);
+                if (errorCode !== undefined) this.rpcErrors.inc({ chain, method, code: errorCode });
+            },
+            rateLimitHit: (scope) => this.rateLimitHits.inc({ chain, scope }),
+            creditAwardQueued: (reason, amount) => {
+                this.creditAwardsQueued.inc({ chain, reason });
+                this.creditsQueued.inc({ chain, reason }, amount);
+            },
+            webhookDelivery: (event, outcome) => this.webhookDeliveries.inc({ chain, event, outcome })
+        };
+    }
+
+    render() {
+        return this.registry.render();
+    }
+}
+
+module.exports = {
+    MetricsRegistry,
+    Counter,
+    Histogram,
+    OracleMetrics
+};
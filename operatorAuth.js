@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+
+// Authentication for the privileged (oracle/owner) routes.
+// Two ways in:
+//   - static API keys:   X-API-Key: <key>
+//   - wallet sign-in:    GET /auth/nonce -> sign the returned SIWE-style
+//                        message -> POST /auth/login -> Authorization: Bearer <token>
+// Wallet logins are only accepted from the contract's oracle() or owner().
+// Nonces and sessions live in the oracle's state store.
+class OperatorAuth {
+    constructor(oracle, options = {}) {
+        this.oracle = oracle;
+        this.apiKeys = (options.apiKeys || []).filter(Boolean);
+        this.sessionTtlMs = options.sessionTtlMs || 12 * 60 * 60 * 1000;
+        this.nonceTtlMs = options.nonceTtlMs || 10 * 60 * 1000;
+        this.statement = options.statement || 'Sign in to the Raven Oracle operator API.';
+    }
+
+    // Create a one-time nonce and the message the wallet must sign
+    async issueNonce(address, { domain, uri, chainId }) {
+        if (!ethers.isAddress(address)) throw new Error('valid address required');
+        const nonce = crypto.randomBytes(16).toString('hex');
+        const issuedAt = new Date();
+        const expiresAt = new Date(issuedAt.getTime() + this.nonceTtlMs);
+        await this.oracle.state.set(`siwe_nonce:${nonce}`, ethers.getAddress(address), this.nonceTtlMs);
+        const message = [
+            `${domain} wants you to sign in with your Ethereum account:`,
+            ethers.getAddress(address),
+            '',
+            this.statement,
+            '',
+            `URI: ${uri}`,
+            'Version: 1',
+            `Chain ID: ${chainId}`,
+            `Nonce: ${nonce}`,
+            `Issued At: ${issuedAt.toISOString()}`,
+            `Expiration Time: ${expiresAt.toISOString()}`
+        ].join('\n');
+        return { nonce, message, expiresAt: expiresAt.toISOString() };
+    }
+
+    // Extract the fields login() checks from a signed message
+    parseMessage(message) {
+        if (typeof message !== 'string') return null;
+        const lines = message.split('\n');
+        const field = (name) => {
+            const line = lines.find(l => l.startsWith(`${name}: `));
+            return line ? line.slice(name.length + 2) : null;
+        };
+        const address = lines[1];
+        if (!address || !ethers.isAddress(address)) return null;
+        return {
+            domain: (lines[0] || '').replace(' wants you to sign in with your Ethereum account:', ''),
+            address: ethers.getAddress(address),
+            nonce: field('Nonce'),
+            expirationTime: field('Expiration Time')
+        };
+    }
+
+    // Verify the signed message and open a session for an oracle/owner wallet
+    async login(message, signature, { domain } = {}) {
+        const parsed = this.parseMessage(message);
+        if (!parsed || !parsed.nonce) throw new AuthError('malformed message', 400);
+        if (domain && parsed.domain !== domain) throw new AuthError('domain mismatch', 401);
+        if (!parsed.expirationTime || Date.parse(parsed.expirationTime) <= Date.now()) {
+            throw new AuthError('message expired', 401);
+        }
+
+        let recovered;
+        try {
+            recovered = ethers.verifyMessage(message, signature);
+        } catch (_) {
+            throw new AuthError('bad signature', 401);
+        }
+        if (recovered !== parsed.address) throw new AuthError('signature does not match address', 401);
+
+        // Nonces are single use
+        const nonceKey = `siwe_nonce:${parsed.nonce}`;
+        const nonceAddress = await this.oracle.state.get(nonceKey);
+        if (nonceAddress !== parsed.address) throw new AuthError('unknown or used nonce', 401);
+        await this.oracle.state.delete(nonceKey);
+
+        const role = await this.oracle.getOperatorRole(parsed.address);
+        if (!role) throw new AuthError('address is not the contract oracle or owner', 403);
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = Date.now() + this.sessionTtlMs;
+        await this.oracle.state.set(`session:${token}`, { address: parsed.address, role, expiresAt }, this.sessionTtlMs);
+        return { token, address: parsed.address, role, expiresAt };
+    }
+
+    async logout(token) {
+        if (token) await this.oracle.state.delete(`session:${token}`);
+    }
+
+    _matchesApiKey(key) {
+        const candidate = Buffer.from(String(key));
+        return this.apiKeys.some(k => {
+            const expected = Buffer.from(k);
+            return expected.length === candidate.length && crypto.timingSafeEqual(expected, candidate);
+        });
+    }
+
+    // Resolve the caller from request headers: { type, role, address? } or null
+    async authenticate(headers = {}) {
+        const apiKey = headers['x-api-key'];
+        if (apiKey && this._matchesApiKey(apiKey)) return { type: 'api_key', role: 'operator' };
+
+        const match = /^Bearer\s+([0-9a-f]{64})$/i.exec(headers.authorization || '');
+        if (match) {
+            const session = await this.oracle.state.get(`session:${match[1].toLowerCase()}`);
+            if (session && session.expiresAt > Date.now()) {
+                return { type: 'session', role: session.role, address: session.address };
+            }
+        }
+        return null;
+    }
+
+    // Express middleware guarding privileged routes
+    middleware() {
+        return async (req, res, next) => {
+            try {
+                const caller = await this.authenticate(req.headers);
+                if (!caller) return res.status(401).json({ error: 'operator authentication required' });
+                req.operator = caller;
+                return next();
+            } catch (e) {
+                return res.status(500).json({ error: e.message });
+            }
+        };
+    }
+}
+
+class AuthError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'AuthError';
+        this.status = status;
+    }
+}
+
+module.exports = OperatorAuth;
+module.exports.AuthError = AuthError;
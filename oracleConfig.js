@@ -0,0 +1,113 @@
+const fs = require('fs');
+const path = require('path');
+const RavenOracle = require('./ravenOracle');
+const { createStateStore, PrefixedStateStore } = require('./stateStore');
+const { WebhookVerifier } = require('./quests');
+const { loadPricingConfig } = require('./pricing');
+const { DeploymentRegistry, loadDeployments } = require('./deployments');
+
+// Oracle settings from the env (see Configuration in the README), shared by
+// the API server and the raven-oracle CLI so both read the same state.
+const DAY_SECONDS = 24 * 60 * 60;
+
+function loadOracleConfig(env = process.env) {
+    const graceDays = env.SUBSCRIPTION_GRACE_DAYS === 'none'
+        ? Infinity
+        : (env.SUBSCRIPTION_GRACE_DAYS !== undefined ? Number(env.SUBSCRIPTION_GRACE_DAYS) : 3);
+    return {
+        stateStore: env.STATE_STORE || 'memory', // memory | file
+        stateFilePath: env.STATE_FILE_PATH || './oracle-state.json',
+        cacheTtlMs: env.CACHE_TTL_MS !== undefined ? Number(env.CACHE_TTL_MS) : 5000, // 0 disables
+        multicallAddress: env.MULTICALL_ADDRESS === 'none' ? null : env.MULTICALL_ADDRESS,
+        indexerStartBlock: env.INDEXER_START_BLOCK, // enables background indexing when set
+        indexerConfirmations: env.INDEXER_CONFIRMATIONS !== undefined ? Number(env.INDEXER_CONFIRMATIONS) : 6,
+        indexerAbi: env.INDEXER_ABI_PATH ? loadContractAbi(env.INDEXER_ABI_PATH) : null, // the deployed contract's events
+        questWebhookSecret: env.QUEST_WEBHOOK_SECRET || '', // enables the 'webhook' quest verifier
+        batchInterval: Number(env.BATCH_INTERVAL) || 60 * 60 * 1000,
+        maxBatchSize: Number(env.MAX_BATCH_SIZE) || 100,
+        authTokenTtlSeconds: Number(env.AUTH_TOKEN_TTL) || 120,
+        maxQuantityPerRequest: Number(env.MAX_QUANTITY_PER_REQUEST) || 100,
+        initialGrantPendingMs: (Number(env.INITIAL_GRANT_PENDING_SECONDS) || 3600) * 1000,
+        subscriptionWindowSeconds: (Number(env.SUBSCRIPTION_WINDOW_DAYS) || 30) * DAY_SECONDS,
+        subscriptionGraceSeconds: graceDays * DAY_SECONDS,
+        readRetries: env.RPC_RETRIES !== undefined ? Number(env.RPC_RETRIES) : 2,
+        readRetryBaseMs: Number(env.RPC_RETRY_BASE_MS) || 200,
+        authorizeFailurePolicy: env.AUTHORIZE_FAILURE_POLICY || 'closed', // closed | open
+        streams: { maxClients: Number(env.STREAM_MAX_CLIENTS) || undefined },
+        quotes: {
+            ttlMs: (Number(env.QUOTE_TTL_SECONDS) || 600) * 1000,
+            maxTtlMs: (Number(env.QUOTE_MAX_TTL_SECONDS) || 3600) * 1000,
+            maxQuantity: Number(env.QUOTE_MAX_QUANTITY) || 1000
+        },
+        webhooks: {
+            capThresholds: env.WEBHOOK_CAP_THRESHOLDS ? env.WEBHOOK_CAP_THRESHOLDS.split(',').map(Number) : undefined,
+            lowCreditsInferences: env.WEBHOOK_LOW_CREDITS_INFERENCES !== undefined ? Number(env.WEBHOOK_LOW_CREDITS_INFERENCES) : undefined,
+            maxAttempts: Number(env.WEBHOOK_MAX_ATTEMPTS) || undefined,
+            timeoutMs: Number(env.WEBHOOK_TIMEOUT_MS) || undefined
+        }
+    };
+}
+
+// ABI JSON file: a plain ABI array or a compiled artifact with an `abi` field
+function loadContractAbi(file) {
+    const parsed = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+    const abi = Array.isArray(parsed) ? parsed : parsed.abi;
+    if (!Array.isArray(abi)) throw new Error(`${file}: expected an ABI array or an artifact with an abi field`);
+    return abi;
+}
+
+// Registry of the configured deployments (DEPLOYMENTS(_PATH) or RPC_URL / CHAIN_ID / RAVEN_ACCESS_ADDRESS)
+// registryOptions: see DeploymentRegistry
+function createRegistry(config, env = process.env, registryOptions = {}) {
+    return new DeploymentRegistry(loadDeployments(env, {
+        pricing: loadPricingConfig(env),
+        multicallAddress: config.multicallAddress,
+        indexerStartBlock: config.indexerStartBlock
+    }), registryOptions);
+}
+
+function createSharedStateStore(config) {
+    return createStateStore({ type: config.stateStore, filePath: config.stateFilePath });
+}
+
+// RavenOracle for one deployment. The default deployment keeps unprefixed
+// state keys (existing state files carry over); others use chain:<id>:.
+// deps: { stateStore, logger?, metrics? }
+function createOracle(registry, chainId, config, deps) {
+    const deployment = registry.get(chainId);
+    const stateStore = deployment.chainId === registry.defaultChainId
+        ? deps.stateStore
+        : new PrefixedStateStore(deps.stateStore, `chain:${deployment.chainId}:`);
+    return new RavenOracle(registry.getProvider(deployment.chainId), deployment.accessAddress, {
+        pricing: deployment.pricing || undefined,
+        logger: deps.logger,
+        metrics: deps.metrics,
+        questVerifiers: config.questWebhookSecret ? [new WebhookVerifier(config.questWebhookSecret)] : [],
+        batchInterval: config.batchInterval,
+        maxBatchSize: config.maxBatchSize,
+        authTokenTtlSeconds: config.authTokenTtlSeconds,
+        maxQuantityPerRequest: config.maxQuantityPerRequest,
+        initialGrantPendingMs: config.initialGrantPendingMs,
+        subscriptionWindowSeconds: config.subscriptionWindowSeconds,
+        subscriptionGraceSeconds: config.subscriptionGraceSeconds,
+        readRetries: config.readRetries,
+        readRetryBaseMs: config.readRetryBaseMs,
+        authorizeFailurePolicy: config.authorizeFailurePolicy,
+        webhooks: config.webhooks,
+        streams: config.streams,
+        quotes: config.quotes,
+        stateStore,
+        cache: config.cacheTtlMs > 0 ? {
+            ttlMs: config.cacheTtlMs,
+            multicallAddress: deployment.multicallAddress
+        } : false,
+        indexer: { abi: config.indexerAbi, startBlock: deployment.indexerStartBlock || 0, confirmations: config.indexerConfirmations }
+    });
+}
+
+module.exports = {
+    loadOracleConfig,
+    createRegistry,
+    createSharedStateStore,
+    createOracle
+};
@@ -0,0 +1,245 @@
+const fs = require('fs');
+const path = require('path');
+
+// Pricing and credit rules. A rule set:
+// {
+//   version: '1',                       // required, unique
+//   effectiveFrom: '2025-01-01T00:00:00Z', // optional ISO date
+//   costs: { basic: 1, tags: 2, ... },  // credits per unit, per inference mode
+//   planOverrides: { '2': { costs: { full: 4 } } }, // per planId
+//   globalCapModes: ['price_accuracy', 'full'],
+//   globalPriceAccuracyCap: 3000,
+//   rateLimitPerMinute: 30,             // per user without an active plan
+//   rateLimits: {                       // optional token buckets (burst = bucket size)
+//     default: { perMinute: 30, burst: 30 }, // overrides rateLimitPerMinute
+//     plans: { '2': { perMinute: 120, burst: 60 } }, // users with that active plan
+//     modes: { full: { perMinute: 6, burst: 3 } }    // per user & mode, on top of the above
+//   },
+//   promptsPerCredit: 2, referralCreditAmount: 6,
+//   socialQuestCreditAmount: 2, maxSocialQuestsPerUser: 5,
+//   streakMinPromptsPerDay: 1,          // prompts that make a UTC day count
+//   streakMilestones: { '3': 2, '7': 5 } // streak length (days) -> bonus credits
+// }
+// A pricing config holds one or more versioned rule sets; the active one is
+// `activeVersion` if set, otherwise the latest whose effectiveFrom has passed.
+
+const DEFAULT_RULE_SET = Object.freeze({
+    version: '1',
+    costs: { basic: 1, tags: 2, price_accuracy: 4, full: 6 },
+    planOverrides: {},
+    globalCapModes: ['price_accuracy', 'full'],
+    globalPriceAccuracyCap: 3000,
+    rateLimitPerMinute: 30,
+    rateLimits: {},
+    promptsPerCredit: 2, // Prompt streak: every 2 prompts -> +1 credit
+    referralCreditAmount: 6,
+    socialQuestCreditAmount: 2,
+    maxSocialQuestsPerUser: 5,
+    streakMinPromptsPerDay: 1,
+    streakMilestones: { 3: 2, 7: 5, 14: 10, 30: 25 }
+});
+
+const INTEGER_FIELDS = [
+    'globalPriceAccuracyCap',
+    'rateLimitPerMinute',
+    'promptsPerCredit',
+    'referralCreditAmount',
+    'socialQuestCreditAmount',
+    'maxSocialQuestsPerUser',
+    'streakMinPromptsPerDay'
+];
+
+class PricingConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PricingConfigError';
+    }
+}
+
+function isPositiveInteger(value) {
+    return Number.isInteger(value) && value > 0;
+}
+
+function validateCosts(costs, where) {
+    if (!costs || typeof costs !== 'object' || Array.isArray(costs)) {
+        throw new PricingConfigError(`${where} must be an object of mode -> credits`);
+    }
+    for (const [mode, unit] of Object.entries(costs)) {
+        if (!/^[a-z][a-z0-9_]*$/.test(mode)) throw new PricingConfigError(`${where}: invalid mode name '${mode}'`);
+        if (!isPositiveInteger(unit)) throw new PricingConfigError(`${where}.${mode} must be a positive integer`);
+    }
+}
+
+// { perMinute, burst? } -> { perMinute, burst } (burst defaults to perMinute)
+function validateBucket(bucket, where) {
+    if (!bucket || typeof bucket !== 'object') throw new PricingConfigError(`${where} must be { perMinute, burst? }`);
+    const { perMinute, burst = perMinute } = bucket;
+    if (!isPositiveInteger(perMinute)) throw new PricingConfigError(`${where}.perMinute must be a positive integer`);
+    if (!isPositiveInteger(burst)) throw new PricingConfigError(`${where}.burst must be a positive integer`);
+    return { perMinute, burst };
+}
+
+// Rate limits with defaults filled: { default, plans: { planId: bucket }, modes: { mode: bucket } }
+function validateRateLimits(ruleSet, where) {
+    const input = ruleSet.rateLimits || {};
+    if (typeof input !== 'object' || Array.isArray(input)) throw new PricingConfigError(`${where}: rateLimits must be an object`);
+    const limits = {
+        default: input.default
+            ? validateBucket(input.default, `${where}: rateLimits.default`)
+            : { perMinute: ruleSet.rateLimitPerMinute, burst: ruleSet.rateLimitPerMinute },
+        plans: {},
+        modes: {}
+    };
+    for (const [planId, bucket] of Object.entries(input.plans || {})) {
+        const id = Number(planId);
+        if (!Number.isInteger(id) || id < 1 || id > 255) throw new PricingConfigError(`${where}: rateLimits.plans key '${planId}' must be a planId (1-255)`);
+        limits.plans[String(id)] = validateBucket(bucket, `${where}: rateLimits.plans.${planId}`);
+    }
+    for (const [mode, bucket] of Object.entries(input.modes || {})) {
+        if (!Object.hasOwn(ruleSet.costs, mode)) throw new PricingConfigError(`${where}: rateLimits.modes has unknown mode '${mode}'`);
+        limits.modes[mode] = validateBucket(bucket, `${where}: rateLimits.modes.${mode}`);
+    }
+    return limits;
+}
+
+// Fill defaults and validate one rule set. Returns a frozen copy.
+function validateRuleSet(input) {
+    if (!input || typeof input !== 'object') throw new PricingConfigError('rule set must be an object');
+    const ruleSet = { ...DEFAULT_RULE_SET, ...input };
+
+    if (typeof ruleSet.version !== 'string' || ruleSet.version.length === 0) {
+        throw new PricingConfigError('version must be a non-empty string');
+    }
+    const where = `ruleSet ${ruleSet.version}`;
+    if (ruleSet.effectiveFrom !== undefined && Number.isNaN(Date.parse(ruleSet.effectiveFrom))) {
+        throw new PricingConfigError(`${where}: effectiveFrom must be an ISO date`);
+    }
+
+    validateCosts(ruleSet.costs, `${where}: costs`);
+    if (Object.keys(ruleSet.costs).length === 0) throw new PricingConfigError(`${where}: costs must define at least one mode`);
+
+    for (const field of INTEGER_FIELDS) {
+        if (!Number.isInteger(ruleSet[field]) || ruleSet[field] < 0) {
+            throw new PricingConfigError(`${where}: ${field} must be a non-negative integer`);
+        }
+    }
+    if (ruleSet.promptsPerCredit === 0) throw new PricingConfigError(`${where}: promptsPerCredit must be > 0`);
+    if (ruleSet.streakMinPromptsPerDay === 0) throw new PricingConfigError(`${where}: streakMinPromptsPerDay must be > 0`);
+
+    const milestones = ruleSet.streakMilestones;
+    if (!milestones || typeof milestones !== 'object' || Array.isArray(milestones)) {
+        throw new PricingConfigError(`${where}: streakMilestones must be an object of days -> credits`);
+    }
+    for (const [days, bonus] of Object.entries(milestones)) {
+        if (!isPositiveInteger(Number(days))) throw new PricingConfigError(`${where}: streakMilestones key '${days}' must be a positive integer`);
+        if (!isPositiveInteger(bonus)) throw new PricingConfigError(`${where}: streakMilestones.${days} must be a positive integer`);
+    }
+
+    if (!Array.isArray(ruleSet.globalCapModes)) throw new PricingConfigError(`${where}: globalCapModes must be an array`);
+    for (const mode of ruleSet.globalCapModes) {
+        if (!Object.hasOwn(ruleSet.costs, mode)) throw new PricingConfigError(`${where}: globalCapModes has unknown mode '${mode}'`);
+    }
+
+    const overrides = ruleSet.planOverrides || {};
+    for (const [planId, override] of Object.entries(overrides)) {
+        const id = Number(planId);
+        if (!Number.isInteger(id) || id < 1 || id > 255) throw new PricingConfigError(`${where}: planOverrides key '${planId}' must be a planId (1-255)`);
+        validateCosts(override && override.costs, `${where}: planOverrides.${planId}.costs`);
+        for (const mode of Object.keys(override.costs)) {
+            if (!Object.hasOwn(ruleSet.costs, mode)) throw new PricingConfigError(`${where}: planOverrides.${planId} prices unknown mode '${mode}'`);
+        }
+    }
+
+    const rateLimits = validateRateLimits(ruleSet, where);
+    return Object.freeze({ ...ruleSet, planOverrides: overrides, rateLimits, rateLimitPerMinute: rateLimits.default.perMinute });
+}
+
+class PricingConfig {
+    // config: a single rule set, or { activeVersion?, ruleSets: [...] }
+    constructor(config = DEFAULT_RULE_SET) {
+        const list = Array.isArray(config.ruleSets) ? config.ruleSets : [config];
+        if (list.length === 0) throw new PricingConfigError('ruleSets must not be empty');
+        this.ruleSets = list.map(validateRuleSet);
+
+        const versions = new Set();
+        for (const rs of this.ruleSets) {
+            if (versions.has(rs.version)) throw new PricingConfigError(`duplicate rule set version '${rs.version}'`);
+            versions.add(rs.version);
+        }
+        this.activeVersion = config.activeVersion || null;
+        if (this.activeVersion && !versions.has(this.activeVersion)) {
+            throw new PricingConfigError(`activeVersion '${this.activeVersion}' not found`);
+        }
+    }
+
+    getRuleSet(version) {
+        return this.ruleSets.find(rs => rs.version === version) || null;
+    }
+
+    // Active rule set at `now`
+    getActive(now = Date.now()) {
+        if (this.activeVersion) return this.getRuleSet(this.activeVersion);
+        const effective = this.ruleSets
+            .filter(rs => !rs.effectiveFrom || Date.parse(rs.effectiveFrom) <= now)
+            .sort((a, b) => (a.effectiveFrom ? Date.parse(a.effectiveFrom) : 0) - (b.effectiveFrom ? Date.parse(b.effectiveFrom) : 0));
+        if (effective.length === 0) throw new PricingConfigError('no rule set is effective yet');
+        return effective[effective.length - 1];
+    }
+
+    // Per-unit cost table for a plan (plan overrides applied)
+    getCosts(planId, now = Date.now()) {
+        const rules = this.getActive(now);
+        const override = planId ? rules.planOverrides[String(Number(planId))] : null;
+        return override ? { ...rules.costs, ...override.costs } : { ...rules.costs };
+    }
+
+    // Public view for GET /pricing
+    describe(now = Date.now()) {
+        return {
+            active: this.getActive(now),
+            versions: this.ruleSets.map(rs => ({ version: rs.version, effectiveFrom: rs.effectiveFrom || null }))
+        };
+    }
+}
+
+// Map the legacy config.example.js shape (CREDIT_CONSTANTS) onto a rule set
+function fromLegacyConfig(config) {
+    if (config.PRICING) return config.PRICING;
+    const c = config.CREDIT_CONSTANTS || {};
+    return {
+        version: '1',
+        ...(c.AI_INFERENCE_PROMPTS_PER_CREDIT !== undefined && { promptsPerCredit: c.AI_INFERENCE_PROMPTS_PER_CREDIT }),
+        ...(c.REFERRAL_CREDIT_AMOUNT !== undefined && { referralCreditAmount: c.REFERRAL_CREDIT_AMOUNT }),
+        ...(c.SOCIAL_QUEST_CREDIT_AMOUNT !== undefined && { socialQuestCreditAmount: c.SOCIAL_QUEST_CREDIT_AMOUNT }),
+        ...(c.MAX_SOCIAL_QUESTS_PER_USER !== undefined && { maxSocialQuestsPerUser: c.MAX_SOCIAL_QUESTS_PER_USER })
+    };
+}
+
+// Load pricing from PRICING_CONFIG (inline JSON) or PRICING_CONFIG_PATH
+// (.json, or a .js module exporting PRICING / CREDIT_CONSTANTS like
+// config.example.js). Falls back to DEFAULT_RULE_SET.
+function loadPricingConfig(env = process.env) {
+    if (env.PRICING_CONFIG) {
+        let parsed;
+        try {
+            parsed = JSON.parse(env.PRICING_CONFIG);
+        } catch (error) {
+            throw new PricingConfigError(`PRICING_CONFIG is not valid JSON: ${error.message}`);
+        }
+        return new PricingConfig(parsed);
+    }
+    if (env.PRICING_CONFIG_PATH) {
+        const file = path.resolve(env.PRICING_CONFIG_PATH);
+        if (file.endsWith('.json')) return new PricingConfig(JSON.parse(fs.readFileSync(file, 'utf8')));
+        return new PricingConfig(fromLegacyConfig(require(file)));
+    }
+    return new PricingConfig();
+}
+
+module.exports = {
+    DEFAULT_RULE_SET,
+    PricingConfig,
+    PricingConfigError,
+    validateRuleSet,
+    loadPricingConfig
+};
@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+
+// Social quest registry. Quests and completions live in the state store:
+//   quest:<id>                    -> { id, title, reward, startsAt, endsAt, verifier }
+//   quest_completion:<id>:<user>  -> { questId, user, status, reward, proof, at, decidedAt?, award?, awardTx? }
+//   quest_count:<user>            -> approved completions (lifetime)
+// Completions are checked by a pluggable verifier and, once approved, queue
+// a 'social_quest' award as long as the user is under MAX_SOCIAL_QUESTS_PER_USER.
+// The award is queued on the (persisted) batcher with the completion key as
+// its ref; the completion turns 'awarded' once the batch is mined.
+
+class QuestError extends Error {
+    constructor(message, code, status = 400) {
+        super(message);
+        this.name = 'QuestError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+// Quest provider calls back with an HMAC-SHA256 signature over
+// `${timestamp}.${rawBody}` in the X-Quest-Signature / X-Quest-Timestamp headers.
+class WebhookVerifier {
+    constructor(secret, options = {}) {
+        if (!secret) throw new Error('webhook secret is required');
+        this.name = 'webhook';
+        this.secret = secret;
+        this.toleranceMs = options.toleranceMs || 5 * 60 * 1000;
+    }
+
+    sign(timestamp, rawBody) {
+        return crypto.createHmac('sha256', this.secret).update(`${timestamp}.${rawBody}`).digest('hex');
+    }
+
+    async verify({ headers = {}, rawBody = '' }) {
+        const timestamp = Number(headers['x-quest-timestamp']);
+        const signature = String(headers['x-quest-signature'] || '');
+        if (!Number.isFinite(timestamp) || Math.abs(Date.now() - timestamp * 1000) > this.toleranceMs) {
+            return { status: 'rejected', reason: 'stale or missing timestamp' };
+        }
+        const expected = Buffer.from(this.sign(timestamp, rawBody));
+        const given = Buffer.from(signature);
+        if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+            return { status: 'rejected', reason: 'bad webhook signature' };
+        }
+        return { status: 'approved', reason: 'provider webhook' };
+    }
+}
+
+// Completion waits for an operator to approve or reject it
+class ManualVerifier {
+    constructor() {
+        this.name = 'manual';
+    }
+
+    async verify() {
+        return { status: 'pending', reason: 'awaiting admin approval' };
+    }
+}
+
+class QuestRegistry {
+    constructor(oracle, options = {}) {
+        this.oracle = oracle;
+        this.verifiers = new Map();
+        this.registerVerifier(new ManualVerifier());
+        for (const verifier of options.verifiers || []) this.registerVerifier(verifier);
+        oracle.batcher.onConfirmed((chunk, receipt) => this._onAwarded(chunk, receipt));
+    }
+
+    // verifier: { name, async verify({ quest, user, proof, headers, rawBody }) -> { status, reason } }
+    registerVerifier(verifier) {
+        this.verifiers.set(verifier.name, verifier);
+    }
+
+    _addr(address) {
+        if (!ethers.isAddress(address)) throw new QuestError('valid user address required', 'invalid_address');
+        return ethers.getAddress(address);
+    }
+
+    async defineQuest({ id, title = '', reward, startsAt = null, endsAt = null, verifier = 'manual' }) {
+        if (typeof id !== 'string' || !/^[a-z0-9][a-z0-9_-]{0,63}$/i.test(id)) throw new QuestError('id must be 1-64 chars [a-z0-9_-]', 'invalid_quest');
+        const amount = reward === undefined ? this.oracle.calculateCredits('social_quest', 1) : reward;
+        if (!Number.isInteger(amount) || amount <= 0) throw new QuestError('reward must be a positive integer', 'invalid_quest');
+        if (!this.verifiers.has(verifier)) throw new QuestError(`unknown verifier '${verifier}'`, 'invalid_quest');
+        for (const [name, value] of [['startsAt', startsAt], ['endsAt', endsAt]]) {
+            if (value !== null && Number.isNaN(Date.parse(value))) throw new QuestError(`${name} must be an ISO date`, 'invalid_quest');
+        }
+        if (startsAt && endsAt && Date.parse(endsAt) <= Date.parse(startsAt)) throw new QuestError('endsAt must be after startsAt', 'invalid_quest');
+
+        const quest = { id, title, reward: amount, startsAt, endsAt, verifier };
+        await this.oracle.state.set(`quest:${id}`, quest);
+        return quest;
+    }
+
+    async getQuest(id) {
+        return (await this.oracle.state.get(`quest:${id}`)) || null;
+    }
+
+    async listQuests({ activeOnly = false } = {}) {
+        const keys = await this.oracle.state.keys('quest:');
+        const quests = await Promise.all(keys.map(k => this.oracle.state.get(k)));
+        return quests.filter(Boolean).filter(q => (activeOnly ? this._isOpen(q) : true));
+    }
+
+    _isOpen(quest, now = Date.now()) {
+        if (quest.startsAt && Date.parse(quest.startsAt) > now) return false;
+        if (quest.endsAt && Date.parse(quest.endsAt) <= now) return false;
+        return true;
+    }
+
+    async _approvedCount(user) {
+        return Number(await this.oracle.state.get(`quest_count:${user.toLowerCase()}`)) || 0;
+    }
+
+    // Submit a completion. context: { proof, headers, rawBody } for the verifier.
+    async complete(questId, userAddress, context = {}) {
+        const user = this._addr(userAddress);
+        const quest = await this.getQuest(questId);
+        if (!quest) throw new QuestError('unknown quest', 'unknown_quest', 404);
+        if (!this._isOpen(quest)) throw new QuestError('quest is not open', 'quest_closed', 409);
+        if (await this._approvedCount(user) >= this.oracle.MAX_SOCIAL_QUESTS_PER_USER) {
+            throw new QuestError('social quest limit reached', 'quest_cap_reached', 409);
+        }
+
+        const key = `quest_completion:${quest.id}:${user.toLowerCase()}`;
+        const completion = { questId: quest.id, user, status: 'verifying', reward: quest.reward, proof: context.proof ?? null, at: Date.now() };
+        if (!(await this.oracle.state.setIfAbsent(key, completion))) {
+            throw new QuestError('quest already completed', 'already_completed', 409);
+        }
+
+        let result;
+        try {
+            result = await this.verifiers.get(quest.verifier).verify({ quest, user, ...context });
+        } catch (error) {
+            await this.oracle.state.delete(key);
+            throw error;
+        }
+        if (result.status === 'rejected') {
+            // Let the user retry with a valid proof
+            await this.oracle.state.delete(key);
+            throw new QuestError(result.reason || 'verification failed', 'verification_failed', 401);
+        }
+        if (result.status === 'pending') {
+            return this.oracle.state.set(key, { ...completion, status: 'pending', reason: result.reason });
+        }
+        return this._approve(key, completion, result.reason);
+    }
+
+    // Reserve a slot under the lifetime cap, then queue the award
+    async _approve(key, completion, reason) {
+        const cap = this.oracle.MAX_SOCIAL_QUESTS_PER_USER;
+        let reserved = false;
+        await this.oracle.state.update(`quest_count:${completion.user.toLowerCase()}`, (count = 0) => {
+            if (count >= cap) return count;
+            reserved = true;
+            return count + 1;
+        });
+        if (!reserved) {
+            return this.oracle.state.set(key, { ...completion, status: 'capped', reason: 'social quest limit reached', decidedAt: Date.now() });
+        }
+        const award = await this.oracle.batcher.queueAmount(completion.user, 'social_quest', completion.reward, { ref: key });
+        return this.oracle.state.set(key, { ...completion, status: 'approved', reason, award, decidedAt: Date.now() });
+    }
+
+    // Batch with quest awards mined: approved completions become 'awarded'
+    async _onAwarded(chunk, { txHash, blockNumber }) {
+        if (chunk.reason !== 'social_quest') return;
+        for (const key of (chunk.refs || []).flat()) {
+            if (!key.startsWith('quest_completion:')) continue;
+            await this.oracle.state.update(key, (completion) => {
+                if (!completion || completion.status !== 'approved') return completion;
+                return { ...completion, status: 'awarded', awardTx: { txHash, blockNumber }, awardedAt: Date.now() };
+            });
+        }
+    }
+
+    // Operator decision on a pending (manual) completion
+    async decide(questId, userAddress, approve, note = '') {
+        const user = this._addr(userAddress);
+        const key = `quest_completion:${questId}:${user.toLowerCase()}`;
+        const completion = await this.oracle.state.get(key);
+        if (!completion) throw new QuestError('no completion for this quest and user', 'unknown_completion', 404);
+        if (completion.status !== 'pending') throw new QuestError(`completion is ${completion.status}`, 'not_pending', 409);
+        if (approve) return this._approve(key, completion, note || 'admin approval');
+        return this.oracle.state.set(key, { ...completion, status: 'rejected', reason: note || 'admin rejection', decidedAt: Date.now() });
+    }
+
+    async listPending() {
+        const keys = await this.oracle.state.keys('quest_completion:');
+        const completions = await Promise.all(keys.map(k => this.oracle.state.get(k)));
+        return completions.filter(c => c && c.status === 'pending');
+    }
+
+    // { approved, cap, completions }
+    async getUserQuests(userAddress) {
+        const user = this._addr(userAddress).toLowerCase();
+        const keys = (await this.oracle.state.keys('quest_completion:')).filter(k => k.endsWith(`:${user}`));
+        const completions = await Promise.all(keys.map(k => this.oracle.state.get(k)));
+        return {
+            approved: await this._approvedCount(user),
+            cap: this.oracle.MAX_SOCIAL_QUESTS_PER_USER,
+            completions: completions.filter(Boolean)
+        };
+    }
+}
+
+module.exports = QuestRegistry;
+module.exports.QuestError = QuestError;
+module.exports.WebhookVerifier = WebhookVerifier;
+module.exports.ManualVerifier = ManualVerifier;
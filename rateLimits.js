@@ -0,0 +1,85 @@
+// Token-bucket rate limits backed by a state store. A bucket holds up to
+// `burst` tokens and refills at `perMinute` tokens per minute; a request
+// takes one token and is denied (without using anything) when the bucket is
+// empty. One state-store entry per bucket:
+//   ratelimit:<scope>:<id> -> { tokens, at }
+// The entry expires once the bucket would be full again.
+class RateLimiter {
+    constructor(state) {
+        this.state = state;
+    }
+
+    _key(scope, id) {
+        return `ratelimit:${scope}:${String(id).toLowerCase()}`;
+    }
+
+    // Take `cost` tokens from a bucket ({ perMinute, burst }). Returns
+    // { allowed, limit, remaining, retryAfterMs, resetMs }: resetMs is the time
+    // until the bucket is full again, retryAfterMs until `cost` fits.
+    async take(scope, id, { perMinute, burst }, cost = 1, now = Date.now()) {
+        // A zero limit allows nothing
+        if (!perMinute || !burst) return { allowed: false, limit: 0, remaining: 0, retryAfterMs: 60 * 1000, resetMs: 60 * 1000 };
+        const perMs = perMinute / (60 * 1000);
+        let result = null;
+        await this.state.update(this._key(scope, id), (current) => {
+            const tokens = this._tokens(current, burst, perMs, now);
+            const allowed = tokens >= cost;
+            const left = allowed ? tokens - cost : tokens;
+            result = {
+                allowed,
+                limit: burst,
+                remaining: Math.floor(left),
+                retryAfterMs: allowed ? 0 : Math.ceil((cost - left) / perMs),
+                resetMs: Math.ceil((burst - left) / perMs)
+            };
+            return { tokens: left, at: now };
+        }, Math.ceil(burst / perMs));
+        return result;
+    }
+
+    // Give tokens back (a later bucket denied the same request)
+    async refund(scope, id, { perMinute, burst }, cost = 1, now = Date.now()) {
+        if (!perMinute || !burst) return;
+        const perMs = perMinute / (60 * 1000);
+        await this.state.update(this._key(scope, id), (current) => ({
+            tokens: Math.min(burst, this._tokens(current, burst, perMs, now) + cost),
+            at: now
+        }), Math.ceil(burst / perMs));
+    }
+
+    _tokens(current, burst, perMs, now) {
+        if (!current) return burst;
+        return Math.min(burst, current.tokens + Math.max(0, now - current.at) * perMs);
+    }
+
+    // Take one token from every bucket in `buckets` ([{ scope, id, limit }]),
+    // or from none. Returns the denying bucket's result, or the one with the
+    // fewest tokens left: { allowed, scope, limit, remaining, retryAfterSeconds, resetSeconds }
+    async takeAll(buckets, now = Date.now()) {
+        const taken = [];
+        let tightest = null;
+        for (const bucket of buckets) {
+            const result = { scope: bucket.scope, ...(await this.take(bucket.scope, bucket.id, bucket.limit, 1, now)) };
+            if (!result.allowed) {
+                await Promise.all(taken.map(b => this.refund(b.scope, b.id, b.limit, 1, now)));
+                return this._view(result);
+            }
+            taken.push(bucket);
+            if (!tightest || result.remaining < tightest.remaining) tightest = result;
+        }
+        return tightest ? this._view(tightest) : null;
+    }
+
+    _view({ allowed, scope, limit, remaining, retryAfterMs, resetMs }) {
+        return {
+            allowed,
+            scope,
+            limit,
+            remaining,
+            retryAfterSeconds: Math.ceil(retryAfterMs / 1000),
+            resetSeconds: Math.ceil(resetMs / 1000)
+        };
+    }
+}
+
+module.exports = RateLimiter;
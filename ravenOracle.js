@@ -1,34 +1,142 @@
 const { ethers } = require('ethers');
+const CreditBatcher = require('./creditBatcher');
+const { MemoryStateStore } = require('./stateStore');
+const UsageMeter = require('./usageMeter');
+const { buildDomain, signAuthorization, verifyAuthorization } = require('./authToken');
+const EventIndexer = require('./eventIndexer');
+const UserStateCache = require('./userStateCache');
+const { PricingConfig } = require('./pricing');
+const ReferralRegistry = require('./referrals');
+const QuestRegistry = require('./quests');
+const StreakTracker = require('./streaks');
+const { normalizeMemoryPointer } = require('./memoryPointer');
+const GlobalQuota = require('./globalQuota');
+const RateLimiter = require('./rateLimits');
+const { InferenceQuotes } = require('./inferenceQuotes');
+const { WebhookDispatcher } = require('./webhooks');
+const { UserStateStream } = require('./userStream');
+const { getDefaultLogger } = require('./logger');
+const { RpcUnavailableError, ContractRevertError, assertAddress, withRetry } = require('./rpcErrors');
+
+// How long a user's last seen plan keeps sizing their rate limit bucket
+const RATE_PLAN_TTL_MS = 24 * 60 * 60 * 1000;
 
 class RavenOracle {
-    constructor(provider, ravenAccessAddress) {
+    constructor(provider, ravenAccessAddress, options = {}) {
         this.provider = provider;
+        // options.logger: a Logger (default: LOG_* env settings);
+        // options.metrics: an OracleMetrics.forChain() view, optional
+        this.logger = options.logger || getDefaultLogger();
+        this.metrics = options.metrics || null;
         this.ravenAccess = new ethers.Contract(ravenAccessAddress, this.getAccessABI(), provider);
 
-        // Credit calculation constants (matching smart contract)
-        this.AI_INFERENCE_PROMPTS_PER_CREDIT = 2; // Prompt streak: every 2 prompts -> +1 credit
-        this.REFERRAL_CREDIT_AMOUNT = 6;
-        this.SOCIAL_QUEST_CREDIT_AMOUNT = 2;
-        this.MAX_SOCIAL_QUESTS_PER_USER = 5;
+        // Pricing & credit rules (costs, caps, credit amounts); see pricing.js.
+        // options.pricing: a PricingConfig or a plain rule-set / { ruleSets } object
+        this.pricing = options.pricing instanceof PricingConfig
+            ? options.pricing
+            : new PricingConfig(options.pricing);
 
-        this.batchInterval = 60 * 60 * 1000; // 1 hour in milliseconds
+        this.batchInterval = options.batchInterval || 60 * 60 * 1000; // 1 hour in milliseconds
         this.lastBatchTime = Date.now();
+        this.MAX_BATCH_SIZE = options.maxBatchSize || 100; // users per awardCreditsBatch call
+
+        // Shared state (rate limiter windows, one-time grant ledger).
+        // Defaults to process-local memory; pass a FileStateStore (or any
+        // StateStore) to keep the guarantees across restarts and instances.
+        this.state = options.stateStore || new MemoryStateStore();
+
+        // Pending credit awards, flushed through awardCreditsBatch
+        this.batcher = new CreditBatcher(this, {
+            batchInterval: this.batchInterval,
+            maxBatchSize: this.MAX_BATCH_SIZE
+        });
+
+        // Consumed inferences and pending (unsettled) debits
+        this.usage = new UsageMeter(this);
+
+        // Per-user / per-mode token buckets (limits from the active rule set's rateLimits)
+        this.rateLimiter = new RateLimiter(this.state);
+
+        this.AUTH_TOKEN_TTL_SECONDS = options.authTokenTtlSeconds || 120;
+
+        // A claimed initial grant whose tx is neither confirmed nor relayed
+        // frees up after this long, so a grant that was never sent does not
+        // block the user for good
+        this.INITIAL_GRANT_PENDING_MS = options.initialGrantPendingMs || 60 * 60 * 1000;
+
+        // Largest quantity one authorize request may ask for (and reserve)
+        this.MAX_QUANTITY_PER_REQUEST = options.maxQuantityPerRequest || 100;
+
+        // User-state reads retry RPC failures with backoff, then throw typed
+        // errors (rpcErrors.js) instead of reading as zero. When they fail,
+        // authorizeInference either throws ('closed', default) or allows the
+        // request billed as credits ('open').
+        this.readRetry = { retries: options.readRetries ?? 2, baseDelayMs: options.readRetryBaseMs ?? 200 };
+        this.AUTHORIZE_FAILURE_POLICY = options.authorizeFailurePolicy || 'closed';
+        if (!['closed', 'open'].includes(this.AUTHORIZE_FAILURE_POLICY)) {
+            throw new Error(`authorizeFailurePolicy must be 'closed' or 'open'`);
+        }
 
-        // Inference mode costs (credits)
-        this.COSTS = {
-            basic: 1,
-            tags: 2,
-            price_accuracy: 4,
-            full: 6,
-        };
+        // Subscription usage windows roll every SUBSCRIPTION_WINDOW_SECONDS from
+        // lastRenewedAt (or startTimestamp). Once a window has ended without a
+        // renewal the plan stays usable for SUBSCRIPTION_GRACE_SECONDS (with a
+        // fresh window), then counts as lapsed. Infinity = never lapses.
+        this.SUBSCRIPTION_WINDOW_SECONDS = options.subscriptionWindowSeconds || 30 * 24 * 60 * 60;
+        this.SUBSCRIPTION_GRACE_SECONDS = options.subscriptionGraceSeconds ?? 3 * 24 * 60 * 60;
+        this._authDomain = null;
+
+        // Per-user history from contract logs (options.indexer: { abi, startBlock, confirmations })
+        this.indexer = new EventIndexer(this, options.indexer);
+
+        // Read-through cache + Multicall3 batching for subscription/credits reads
+        // (options.cache: { ttlMs, multicallAddress } or false to read directly)
+        this.cache = options.cache === false ? null : new UserStateCache(this, options.cache);
+
+        // Referral codes and referee bindings (accrue 'referral' awards)
+        this.referrals = new ReferralRegistry(this);
+
+        // Social quests (options.questVerifiers: extra verifiers, e.g. WebhookVerifier)
+        this.quests = new QuestRegistry(this, { verifiers: options.questVerifiers });
+
+        // Daily prompt streaks (fed by consumed inferences)
+        this.streaks = new StreakTracker(this);
+
+        // Shared monthly quota for globalCapModes (options.globalQuota: { reservationTtlMs })
+        this.globalQuota = new GlobalQuota(this, options.globalQuota);
 
-        // Constraint constants
-        this.GLOBAL_PRICE_ACCURACY_CAP = 3000; // across all tiers
-        this.RATE_LIMIT_PER_MINUTE = 30; // per user
+        // Quotes holding credits / subscription units for multi-step jobs
+        // (options.quotes: { ttlMs, maxTtlMs, maxSteps })
+        this.quotes = new InferenceQuotes(this, options.quotes);
 
-        // In-memory helpers
-        this._rateLimiter = new Map(); // user -> timestamps[] (ms)
-        this._grantedInitial = new Set(); // process-local one-time credit grant guard
+        // Webhook subscriptions & signed, retried callbacks (options.webhooks:
+        // { capThresholds, lowCreditsInferences, maxAttempts, ... }; see webhooks.js)
+        this.webhooks = new WebhookDispatcher(this, options.webhooks);
+
+        // Live user state for SSE clients, refreshed per block (options.streams: { maxClients })
+        this.streams = new UserStateStream(this, options.streams);
+    }
+
+    // Active rule set (switches automatically when a newer one becomes effective)
+    getRules() {
+        return this.pricing.getActive();
+    }
+
+    // Credit calculation constants (matching smart contract)
+    get AI_INFERENCE_PROMPTS_PER_CREDIT() { return this.getRules().promptsPerCredit; }
+    get REFERRAL_CREDIT_AMOUNT() { return this.getRules().referralCreditAmount; }
+    get SOCIAL_QUEST_CREDIT_AMOUNT() { return this.getRules().socialQuestCreditAmount; }
+    get MAX_SOCIAL_QUESTS_PER_USER() { return this.getRules().maxSocialQuestsPerUser; }
+
+    // Inference mode costs (credits), before per-plan overrides
+    get COSTS() { return this.getRules().costs; }
+
+    // Constraint constants
+    get GLOBAL_PRICE_ACCURACY_CAP() { return this.getRules().globalPriceAccuracyCap; } // across all users & tiers, per month
+    get RATE_LIMIT_PER_MINUTE() { return this.getRules().rateLimitPerMinute; } // per user without an active plan
+
+    // Modes counted against GLOBAL_PRICE_ACCURACY_CAP
+    isGlobalCapMode(mode) {
+        return this.getRules().globalCapModes.includes(String(mode));
     }
 
     // Update user memory pointer on-chain (requires signer)
@@ -36,63 +144,218 @@ class RavenOracle {
         if (!signer) throw new Error('Signer is required');
         if (!userAddress) throw new Error('userAddress is required');
         if (!memoryHash) throw new Error('memoryHash is required');
+        const { pointer } = normalizeMemoryPointer(memoryHash);
 
         const contractWithSigner = this.ravenAccess.connect(signer);
-        const tx = await contractWithSigner.updateUserMemoryPointer(userAddress, memoryHash);
+        const tx = await contractWithSigner.updateUserMemoryPointer(userAddress, pointer);
         const receipt = await tx.wait();
         return receipt;
     }
 
-    // Compute credit cost for an inference request
-    getInferenceCost(mode, quantity = 1) {
+    // Current memory pointer from the last indexed event with a `memoryHash`
+    // argument (as updateUserMemoryPointer takes it); the contract has no
+    // getter for it. Returns { pointer, event, blockNumber, txHash } or null.
+    async getUserMemoryPointer(userAddress) {
+        const { items } = await this.indexer.getHistory(userAddress, { limit: Infinity });
+        const latest = items.find(e => typeof e.memoryHash === 'string');
+        if (!latest) return null;
+        return { pointer: latest.memoryHash, event: latest.event, blockNumber: latest.blockNumber, txHash: latest.txHash };
+    }
+
+    // Compute credit cost for an inference request (planId applies plan overrides)
+    getInferenceCost(mode, quantity = 1, planId = 0) {
         const m = String(mode);
-        const unit = this.COSTS[m];
-        if (!unit) throw new Error('Unknown mode');
+        const costs = this.pricing.getCosts(planId);
+        if (!Object.hasOwn(costs, m)) throw new Error('Unknown mode');
+        const unit = costs[m];
         if (!Number.isFinite(quantity) || quantity <= 0) throw new Error('quantity must be > 0');
         return unit * quantity;
     }
 
-    // Simple per-process sliding window rate limiter
-    isRateLimited(userAddress) {
-        const now = Date.now();
-        const windowMs = 60 * 1000;
-        const arr = this._rateLimiter.get(userAddress) || [];
-        const recent = arr.filter(t => now - t <= windowMs);
-        const limited = recent.length >= this.RATE_LIMIT_PER_MINUTE;
-        // push current attempt
-        recent.push(now);
-        this._rateLimiter.set(userAddress, recent);
-        return limited;
+    // Rate limit one authorize request: the user's bucket (sized by their
+    // active plan, or rateLimits.default) and the mode's bucket if it has one.
+    // Denied requests use no tokens. Returns
+    // { allowed, scope: 'user'|'mode', limit, remaining, retryAfterSeconds, resetSeconds }
+    async checkRateLimit(userAddress, mode, planId = 0) {
+        const limits = this.getRules().rateLimits;
+        const user = String(userAddress).toLowerCase();
+        const plan = String(planId);
+        const buckets = [{ scope: 'user', id: user, limit: Object.hasOwn(limits.plans, plan) ? limits.plans[plan] : limits.default }];
+        if (Object.hasOwn(limits.modes, mode)) buckets.push({ scope: 'mode', id: `${mode}:${user}`, limit: limits.modes[mode] });
+        const result = await this.rateLimiter.takeAll(buckets);
+        if (!result.allowed && this.metrics) this.metrics.rateLimitHit(result.scope);
+        return result;
+    }
+
+    // Initial-grant ledger (initial_grant:<user>):
+    //   { status: 'pending', at, expiresAt, relayTxId? } while the grant tx is
+    //     unconfirmed (relayed ones do not expire: the relay record settles them)
+    //   { status: 'granted', at, txHash } once it mined
+    _initialGrantKey(userAddress) {
+        return `initial_grant:${String(userAddress).toLowerCase()}`;
+    }
+
+    _liveGrant(entry, now = Date.now()) {
+        if (!entry || (entry.status === 'pending' && entry.expiresAt && entry.expiresAt <= now)) return null;
+        return entry;
     }
 
-    // Read-only authorization decision based on  priorities
+    // Ledger entry for a user, or null (none, or a pending one that expired)
+    async getInitialGrant(userAddress) {
+        return this._liveGrant(await this.state.get(this._initialGrantKey(userAddress)));
+    }
+
+    // Whether the one-time initial grant was already issued (or is in flight)
+    async hasReceivedInitialGrant(userAddress) {
+        return (await this.getInitialGrant(userAddress)) !== null;
+    }
+
+    // Claim the grant before its tx is built or sent, so two calls cannot
+    // both grant. Resolves the pending entry, or null when already claimed.
+    async claimInitialGrant(userAddress, now = Date.now()) {
+        let claimed = null;
+        await this.state.update(this._initialGrantKey(userAddress), (current) => {
+            if (this._liveGrant(current, now)) return current;
+            claimed = { status: 'pending', at: now, expiresAt: now + this.INITIAL_GRANT_PENDING_MS };
+            return claimed;
+        });
+        return claimed;
+    }
+
+    // Note the relayed tx (TxRelayer record id) carrying a claimed grant
+    async setInitialGrantRelay(userAddress, relayTxId) {
+        return this.state.update(this._initialGrantKey(userAddress), (current) => (
+            current && current.status === 'pending' ? { ...current, relayTxId, expiresAt: null } : current
+        ));
+    }
+
+    // Drop a pending grant that was not (or will not be) sent.
+    // Resolves true when one was released.
+    async releaseInitialGrant(userAddress) {
+        let released = false;
+        await this.state.update(this._initialGrantKey(userAddress), (current) => {
+            if (!current || current.status !== 'pending') return current;
+            released = true;
+            return undefined;
+        });
+        return released;
+    }
+
+    // Record a grant as mined: txHash must be a successful
+    // awardCredits(user, 50, 'initial_grant') call on the access contract.
+    // Resolves the granted entry, or null while the tx is not mined.
+    async confirmInitialGrant(userAddress, txHash) {
+        const receipt = await this.provider.getTransactionReceipt(txHash);
+        if (!receipt) return null;
+        const tx = await this.provider.getTransaction(txHash);
+        const call = tx && String(tx.to).toLowerCase() === String(this.ravenAccess.target).toLowerCase()
+            ? this.ravenAccess.interface.parseTransaction({ data: tx.data })
+            : null;
+        const matches = receipt.status === 1 && call && call.name === 'awardCredits' &&
+            call.args[0].toLowerCase() === String(userAddress).toLowerCase() && call.args[2] === 'initial_grant';
+        if (!matches) throw new Error('transaction is not a successful initial grant for this user');
+
+        const granted = { status: 'granted', at: Date.now(), txHash: receipt.hash };
+        await this.state.set(this._initialGrantKey(userAddress), granted);
+        if (this.cache) this.cache.invalidate(userAddress);
+        return granted;
+    }
+
+    // Authorization decision based on  priorities
     // Returns: { allowed, method: 'subscription'|'credits'|'deny', reason, cost }
+    // Allowed globalCapModes requests also reserve `quantity` units of the
+    // global quota: { reservation: { reservationId, units, expiresAt } }.
+    // Capture it via consumeInference or give it back with releaseReservation.
+    // Initial grants reserve nothing (they are unauthenticated and open to
+    // any fresh address); they are only denied when the quota is used up.
     async authorizeInference(userAddress, mode, quantity = 1) {
-        // 1) Rate limit
-        if (this.isRateLimited(userAddress)) {
-            return { allowed: false, method: 'deny', reason: 'rate_limited', cost: 0 };
+        if (!Number.isInteger(quantity) || quantity <= 0 || quantity > this.MAX_QUANTITY_PER_REQUEST) {
+            throw new Error(`quantity must be an integer between 1 and ${this.MAX_QUANTITY_PER_REQUEST}`);
+        }
+        assertAddress(userAddress);
+
+        // 1) Rate limit before any chain read, by the plan seen on the user's
+        //    last request (rate_plan:<user>; the default bucket when unknown)
+        const ratePlan = (await this.state.get(this._ratePlanKey(userAddress))) || 0;
+        const rateLimit = await this.checkRateLimit(userAddress, mode, ratePlan);
+        let decision;
+        if (!rateLimit.allowed) {
+            decision = { allowed: false, method: 'deny', reason: 'rate_limited', cost: 0, rateLimit };
+        } else {
+            try {
+                decision = { ...(await this._decideInference(userAddress, mode, quantity, ratePlan)), rateLimit };
+            } catch (error) {
+                const stateUnavailable = error instanceof RpcUnavailableError || error instanceof ContractRevertError;
+                if (!stateUnavailable || this.AUTHORIZE_FAILURE_POLICY === 'closed') {
+                    if (stateUnavailable && this.metrics) this.metrics.authorizeDecision('error', error.code);
+                    throw error;
+                }
+                // Fail open: never an initial grant or a free subscription unit
+                this.logger.warn('authorizing without on-chain state (fail-open)', { user: userAddress, mode, error });
+                decision = { allowed: true, method: 'credits', reason: 'fail_open_state_unavailable', cost: this.getInferenceCost(mode, quantity), degraded: true, rateLimit };
+            }
+        }
+        if (decision.allowed && this.isGlobalCapMode(mode) && decision.method === 'initial_grant') {
+            if (!(await this.globalQuota.hasRoom(quantity))) {
+                decision = { allowed: false, method: 'deny', reason: 'global_cap_reached', cost: decision.cost, rateLimit: decision.rateLimit };
+            }
+        } else if (decision.allowed && this.isGlobalCapMode(mode)) {
+            const reservation = await this.globalQuota.reserve(userAddress, mode, quantity);
+            decision = reservation
+                ? { ...decision, reservation }
+                : { allowed: false, method: 'deny', reason: 'global_cap_reached', cost: decision.cost, rateLimit: decision.rateLimit };
         }
+        if (this.metrics) this.metrics.authorizeDecision(decision.method, decision.reason);
+        // Replayable record of the request (see simulator.js)
+        this.logger.info('authorize decision', { user: userAddress, mode, quantity, method: decision.method, reason: decision.reason, cost: decision.cost });
+        return decision;
+    }
+
+    // Release a global quota reservation when the inference failed
+    // (userAddress: only if that user holds it)
+    async releaseReservation(reservationId, userAddress = null) {
+        return this.globalQuota.release(reservationId, Date.now(), userAddress);
+    }
+
+    _ratePlanKey(userAddress) {
+        return `rate_plan:${String(userAddress).toLowerCase()}`;
+    }
 
-        // 2) Fetch on-chain state
+    // Decision from the user's on-chain state. Also remembers the active plan
+    // for the next request's rate limit (ratePlan: the one remembered so far).
+    async _decideInference(userAddress, mode, quantity, ratePlan = 0) {
         const subscription = await this.getUserSubscription(userAddress);
-        const creditsStr = await this.getUserCredits(userAddress);
-        const credits = BigInt(creditsStr);
+        const activePlan = this.isSubscriptionActive(subscription, subscription && this.computeSubscriptionWindow(subscription));
+        const planId = activePlan ? Number(subscription.planId) : 0;
+        if (planId !== ratePlan) await this.state.set(this._ratePlanKey(userAddress), planId || undefined, RATE_PLAN_TTL_MS);
+        return this._decideWithState(userAddress, mode, quantity, subscription);
+    }
 
-        // 3) Initial one-time 50-credits allowance (process-local guard)
-        if (!this._grantedInitial.has(userAddress) && credits === 0n && (!subscription || subscription.planId === 0)) {
+    async _decideWithState(userAddress, mode, quantity, subscription) {
+        // 2) Fetch on-chain state, minus consumed-but-unsettled debits and
+        //    what open job quotes hold
+        const creditsStr = await this.getUserCredits(userAddress);
+        const pending = await this.usage.getPendingDebits(userAddress);
+        const held = await this.quotes.getHeld(userAddress);
+        const onChainCredits = BigInt(creditsStr);
+        const committed = BigInt(pending.credits) + BigInt(held.credits);
+        const credits = onChainCredits > committed ? onChainCredits - committed : 0n;
+
+        // 3) Initial one-time 50-credits allowance (state store ledger)
+        if (!(await this.hasReceivedInitialGrant(userAddress)) && onChainCredits === 0n && (!subscription || Number(subscription.planId) === 0)) {
             return { allowed: true, method: 'initial_grant', reason: 'initial_50_credits', cost: 0 };
         }
 
-        // 4) Prefer subscription if active
-        const isSubscribed = !!subscription && Number(subscription.planId) > 0 && subscription.plan.active;
-        const cost = this.getInferenceCost(mode, quantity);
-        const isPriceAccuracyMode = mode === 'price_accuracy' || mode === 'full';
+        // 4) Prefer subscription if active (usage counted in the current window only)
+        const window = subscription ? await this.getSubscriptionWindow(userAddress, subscription) : null;
+        const isSubscribed = this.isSubscriptionActive(subscription, window);
+        const planId = subscription ? Number(subscription.planId) : 0;
+        this.webhooks.observe(userAddress, { subscription, window, credits })
+            .catch(error => this.logger.error('webhook checks failed', { user: userAddress, error }));
+        const cost = this.getInferenceCost(mode, quantity, planId);
 
         if (isSubscribed) {
-            const monthlyCap = Number(subscription.plan.monthlyCap);
-            const used = Number(subscription.usedThisWindow);
-            const effectiveCap = isPriceAccuracyMode ? this.GLOBAL_PRICE_ACCURACY_CAP : monthlyCap;
-            if (used + quantity <= effectiveCap) {
+            if (window.used + held.subscriptionUnits + quantity <= window.cap) {
                 return { allowed: true, method: 'subscription', reason: 'within_subscription_cap', cost: 0 };
             }
         }
@@ -104,10 +367,7 @@ class RavenOracle {
 
         // 6) Fallback: if credits unavailable but subscription still has room (unlikely due to above), allow
         if (isSubscribed) {
-            const monthlyCap = Number(subscription.plan.monthlyCap);
-            const used = Number(subscription.usedThisWindow);
-            const effectiveCap = isPriceAccuracyMode ? this.GLOBAL_PRICE_ACCURACY_CAP : monthlyCap;
-            if (used + quantity <= effectiveCap) {
+            if (window.used + held.subscriptionUnits + quantity <= window.cap) {
                 return { allowed: true, method: 'subscription', reason: 'fallback_subscription', cost: 0 };
             }
         }
@@ -115,71 +375,218 @@ class RavenOracle {
         return { allowed: false, method: 'deny', reason: 'insufficient_balance_and_cap', cost };
     }
 
+    // EIP-712 domain for signed authorizations (chain id read once from provider)
+    async getAuthorizationDomain() {
+        if (!this._authDomain) {
+            const network = await this.provider.getNetwork();
+            this._authDomain = buildDomain(network.chainId, this.ravenAccess.target);
+        }
+        return this._authDomain;
+    }
+
+    // Sign an allowed decision from authorizeInference with the oracle key
+    async signAuthorizationDecision(signer, userAddress, mode, quantity, decision) {
+        if (!decision || !decision.allowed) throw new Error('only allowed decisions can be signed');
+        const domain = await this.getAuthorizationDomain();
+        return signAuthorization(signer, domain, {
+            user: userAddress,
+            mode,
+            quantity,
+            method: decision.method,
+            cost: decision.cost,
+            reservationId: decision.reservation ? decision.reservation.reservationId : ''
+        }, this.AUTH_TOKEN_TTL_SECONDS);
+    }
+
+    // Verify a signed authorization and spend its nonce (state store), so
+    // it is accepted once; used by consume and release
+    async verifySignedAuthorization(signed, expectedSigner) {
+        const domain = await this.getAuthorizationDomain();
+        return verifyAuthorization(signed, { domain, expectedSigner, nonceStore: this.state });
+    }
+
+    // Check a signed authorization without spending it (for downstream
+    // services before the caller consumes it); already spent ones are 'replayed'
+    async checkSignedAuthorization(signed, expectedSigner) {
+        const domain = await this.getAuthorizationDomain();
+        const result = await verifyAuthorization(signed, { domain, expectedSigner });
+        if (result.valid && (await this.state.get(`auth_nonce:${result.message.nonce}`)) !== undefined) {
+            return { valid: false, reason: 'replayed' };
+        }
+        return result;
+    }
+
+    // Record that an authorized inference actually ran (see UsageMeter.consume)
+    async consumeInference(userAddress, params) {
+        return this.usage.consume(userAddress, params);
+    }
+
+    // Same, for a signed authorization from signAuthorizationDecision (see UsageMeter.consumeSigned)
+    async consumeSignedInference(userAddress, params, expectedSigner) {
+        return this.usage.consumeSigned(userAddress, params, expectedSigner);
+    }
+
     // Attempt a one-time initial grant of 50 credits on-chain (requires oracle/owner signer)
     async grantInitialCreditsIfEligible(signer, userAddress) {
         if (!signer) throw new Error('Signer is required');
         if (!userAddress) throw new Error('userAddress is required');
-        if (this._grantedInitial.has(userAddress)) return null;
+        if (await this.hasReceivedInitialGrant(userAddress)) return null;
 
         const creditsStr = await this.getUserCredits(userAddress);
         const subscription = await this.getUserSubscription(userAddress);
-        const isSubscribed = !!subscription && Number(subscription.planId) > 0 && subscription.plan.active;
+        const isSubscribed = this.isSubscriptionActive(subscription, subscription && this.computeSubscriptionWindow(subscription));
         if (BigInt(creditsStr) > 0n || isSubscribed) return null;
 
-        const contractWithSigner = this.ravenAccess.connect(signer);
-        const tx = await contractWithSigner.awardCredits(userAddress, 50, 'initial_grant');
+        // Claim the ledger entry first so concurrent instances cannot both grant
+        if (!(await this.claimInitialGrant(userAddress))) return null;
+
+        let tx;
+        try {
+            const contractWithSigner = this.ravenAccess.connect(signer);
+            tx = await contractWithSigner.awardCredits(userAddress, 50, 'initial_grant');
+        } catch (error) {
+            // Nothing was sent
+            await this.releaseInitialGrant(userAddress);
+            throw error;
+        }
+        // A failed wait leaves the grant pending (it may still mine) until it expires
         const receipt = await tx.wait();
-        this._grantedInitial.add(userAddress);
+        await this.state.set(this._initialGrantKey(userAddress), { status: 'granted', at: Date.now(), txHash: receipt.hash });
+        if (this.cache) this.cache.invalidate(userAddress);
         return receipt;
     }
 
-    // Get user subscription info from RavenAccess contract
-    async getUserSubscription(userAddress) {
+    // Shape a getUserSubscription view result plus the plan's 'active' flag
+    formatSubscription(res, active) {
+        // res: (planId, startTs, usedThisWindow, lastRenewedAt, planMonthlyCap, planPriceUnits)
+        return {
+            planId: res.planId ?? res[0],
+            startTimestamp: res.startTs ?? res[1],
+            usedThisWindow: res.usedThisWindow ?? res[2],
+            lastRenewedAt: res.lastRenewedAt ?? res[3],
+            plan: {
+                priceUnits: res.planPriceUnits ?? res[5],
+                monthlyCap: res.planMonthlyCap ?? res[4],
+                active
+            }
+        };
+    }
+
+    // Current usage window of a subscription at `now` (ms). Times are unix
+    // seconds. pendingUnits: consumed-but-unsettled subscription units that
+    // fall in this window. Returns
+    // { windowStartsAt, windowEndsAt, rolledOver, renewalDueAt, lapsed, used, cap, remaining }
+    computeSubscriptionWindow(subscription, pendingUnits = 0, now = Date.now()) {
+        const cap = Number(subscription.plan.monthlyCap);
+        const anchor = Math.max(Number(subscription.startTimestamp), Number(subscription.lastRenewedAt));
+        const nowSec = Math.floor(now / 1000);
+        const length = this.SUBSCRIPTION_WINDOW_SECONDS;
+
+        if (Number(subscription.planId) === 0 || anchor === 0) {
+            const used = Number(subscription.usedThisWindow) + pendingUnits;
+            return { windowStartsAt: null, windowEndsAt: null, rolledOver: false, renewalDueAt: null, lapsed: false, used, cap, remaining: Math.max(0, cap - used) };
+        }
+
+        // The chain only resets usedThisWindow on renewal; a window that has
+        // already ended starts from zero here.
+        const elapsed = Math.max(0, Math.floor((nowSec - anchor) / length));
+        const windowStartsAt = anchor + elapsed * length;
+        const rolledOver = elapsed > 0;
+        const renewalDueAt = anchor + length;
+        const used = (rolledOver ? 0 : Number(subscription.usedThisWindow)) + pendingUnits;
+        const lapsed = nowSec >= renewalDueAt + this.SUBSCRIPTION_GRACE_SECONDS;
+        return {
+            windowStartsAt,
+            windowEndsAt: windowStartsAt + length,
+            rolledOver,
+            renewalDueAt,
+            lapsed,
+            used,
+            cap,
+            remaining: lapsed ? 0 : Math.max(0, cap - used)
+        };
+    }
+
+    // Window for a user's subscription including pending debits. After a
+    // rollover only units consumed since the window started are counted.
+    async getSubscriptionWindow(userAddress, subscription, now = Date.now()) {
+        const base = this.computeSubscriptionWindow(subscription, 0, now);
+        const pending = await this.usage.getPendingDebits(userAddress);
+        let pendingUnits = pending.subscriptionUnits;
+        if (base.rolledOver && pendingUnits > 0) {
+            const records = await this.usage.getUsage(userAddress, this.usage.maxRecordsPerUser);
+            const inWindow = records
+                .filter(r => r.method === 'subscription' && r.at >= base.windowStartsAt * 1000)
+                .reduce((sum, r) => sum + r.quantity, 0);
+            pendingUnits = Math.min(pendingUnits, inWindow);
+        }
+        return this.computeSubscriptionWindow(subscription, pendingUnits, now);
+    }
+
+    // Paid plan that is enabled on-chain and not lapsed
+    isSubscriptionActive(subscription, window) {
+        return !!subscription && Number(subscription.planId) > 0 && !!subscription.plan.active && !(window && window.lapsed);
+    }
+
+    // Subscription and credits for many users in one round trip (cache/multicall)
+    // Returns Map(address -> { subscription, credits })
+    async getUserStates(addresses) {
+        if (this.cache) return withRetry(() => this.cache.getMany(addresses), { ...this.readRetry, what: 'getUserStates' });
+        const out = new Map();
+        for (const address of addresses) {
+            out.set(ethers.getAddress(address), {
+                subscription: await this.getUserSubscription(address),
+                credits: await this.getUserCredits(address)
+            });
+        }
+        return out;
+    }
+
+    // Contract read with retries; failures surface as typed errors
+    async _read(what, userAddress, fn) {
+        assertAddress(userAddress);
         try {
+            return await withRetry(fn, {
+                ...this.readRetry,
+                what,
+                onRetry: (error, attempt) => this.logger.warn('retrying contract read', { what, user: userAddress, attempt, error: error.message })
+            });
+        } catch (error) {
+            this.logger.error(`${what} failed`, { user: userAddress, error });
+            throw error;
+        }
+    }
+
+    // Get user subscription info from RavenAccess contract.
+    // Throws RpcUnavailableError / ContractRevertError / InvalidAddressError.
+    async getUserSubscription(userAddress) {
+        return this._read('getUserSubscription', userAddress, async () => {
+            if (this.cache) return (await this.cache.get(userAddress)).subscription;
+
             // Prefer direct view helper on contract (single call for most fields)
             const res = await this.ravenAccess.getUserSubscription(userAddress);
-            // res: (planId, startTs, usedThisWindow, lastRenewedAt, planMonthlyCap, planPriceUnits)
-            const planId = res.planId ?? res[0];
-            const startTimestamp = res.startTs ?? res[1];
-            const usedThisWindow = res.usedThisWindow ?? res[2];
-            const lastRenewedAt = res.lastRenewedAt ?? res[3];
-            const planMonthlyCap = res.planMonthlyCap ?? res[4];
-            const planPriceUnits = res.planPriceUnits ?? res[5];
 
             // Fetch 'active' flag separately (not included in view helper)
             let active = false;
+            const planId = res.planId ?? res[0];
             if (Number(planId) > 0) {
                 const fullPlan = await this.ravenAccess.plans(planId);
                 active = Boolean(fullPlan.active);
             }
 
-            return {
-                planId,
-                startTimestamp,
-                usedThisWindow,
-                lastRenewedAt,
-                plan: {
-                    priceUnits: planPriceUnits,
-                    monthlyCap: planMonthlyCap,
-                    active
-                }
-            };
-        } catch (error) {
-            console.error('Error getting user subscription:', error);
-            return null;
-        }
+            return this.formatSubscription(res, active);
+        });
     }
 
-    // Get user current credits
+    // Get user current credits (decimal string); throws like getUserSubscription
     async getUserCredits(userAddress) {
-        try {
+        return this._read('getUserCredits', userAddress, async () => {
+            if (this.cache) return (await this.cache.get(userAddress)).credits;
+
             // Prefer direct view helper for credits
             const credits = await this.ravenAccess.getUserCredits(userAddress);
             return credits.toString();
-        } catch (error) {
-            console.error('Error getting user credits:', error);
-            return '0';
-        }
+        });
     }
 
     // Check if user has active subscription
@@ -187,23 +594,53 @@ class RavenOracle {
         const subscription = await this.getUserSubscription(userAddress);
         if (!subscription) return false;
 
-        return subscription.planId > 0 && subscription.plan.active;
+        return this.isSubscriptionActive(subscription, this.computeSubscriptionWindow(subscription));
     }
 
-    // Check if user has reached monthly cap
+    // Check if user has reached monthly cap (in the current window)
     async hasReachedMonthlyCap(userAddress) {
         const subscription = await this.getUserSubscription(userAddress);
         if (!subscription) return true;
 
-        return subscription.usedThisWindow >= subscription.plan.monthlyCap;
+        return this.computeSubscriptionWindow(subscription).remaining === 0;
+    }
+
+    // Credits, subscription, active flag and eligibility for one user
+    async getUserSummary(userAddress) {
+        const [credits, subscription] = await Promise.all([
+            this.getUserCredits(userAddress),
+            this.getUserSubscription(userAddress)
+        ]);
+        const eligibility = await this.validateUserEligibility(userAddress);
+        return {
+            address: userAddress,
+            credits,
+            subscription,
+            hasActiveSubscription: eligibility.hasSubscription,
+            eligibility
+        };
+    }
+
+    // Role of an address on the access contract: 'owner', 'oracle' or null
+    async getOperatorRole(address) {
+        const [owner, oracle] = await Promise.all([
+            this.ravenAccess.owner(),
+            this.ravenAccess.oracle()
+        ]);
+        const addr = String(address).toLowerCase();
+        if (addr === String(owner).toLowerCase()) return 'owner';
+        if (addr === String(oracle).toLowerCase()) return 'oracle';
+        return null;
     }
 
     // Calculate credits based on reason and parameter
     calculateCredits(reason, parameter) {
         switch (reason) {
             case 'ai_inference':
-            case 'prompt_streak':
                 return Math.floor(parameter / this.AI_INFERENCE_PROMPTS_PER_CREDIT);
+            case 'prompt_streak':
+                // parameter = streak length in days; bonus only on milestones
+                return this.streaks.milestoneBonus(parameter);
             case 'referral':
                 return parameter * this.REFERRAL_CREDIT_AMOUNT;
             case 'social_quest':
@@ -214,10 +651,21 @@ class RavenOracle {
         }
     }
 
+    // Queue a credit award for the next batch (amount from calculateCredits)
+    async queueCreditAward(userAddress, reason, parameter) {
+        return this.batcher.queueAward(userAddress, reason, parameter);
+    }
+
+    // Submit all queued awards via awardCreditsBatch (requires oracle/owner signer)
+    // Returns one result per chunk: { id, reason, users, amounts, status, txHash?, error? }
+    async flushCreditAwards(signer) {
+        return this.batcher.flush(signer);
+    }
+
     // Validate user eligibility for credits
     async validateUserEligibility(userAddress) {
         const hasSubscription = await this.hasActiveSubscription(userAddress);
-        const hasReachedCap = await this.hasReachedMonthlyCap(userAddress);
+        const hasReachedCap = await this.hasReachedMonthlyCap(userAddress); // cache hit after the first read
 
         return {
             eligible: hasSubscription && !hasReachedCap,
@@ -237,6 +685,8 @@ class RavenOracle {
             "function plans(uint8 planId) external view returns (uint256 priceUnits, uint256 monthlyCap, bool active)",
             "function credits(address user) external view returns (uint256)",
             "function getUserCredits(address user) external view returns (uint256)",
+            "function owner() external view returns (address)",
+            "function oracle() external view returns (address)",
             // Writes
             "function updateUserMemoryPointer(address user, string memoryHash) external",
             "function awardCredits(address user, uint256 amount, string reason) external",
@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+
+// Referral codes and referee -> referrer bindings, kept in the state store:
+//   referral_code:<address> -> code        referral_owner:<code> -> address
+//   referred_by:<referee>   -> { referrer, code, at }
+//   referral_stats:<referrer> -> { referrals, creditsAccrued }
+// A redeemed referral queues calculateCredits('referral', 1) credits for the
+// referrer on the batcher (persisted, awardCreditsBatch on the next flush).
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O/1/I
+
+class ReferralError extends Error {
+    constructor(message, code, status = 400) {
+        super(message);
+        this.name = 'ReferralError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+class ReferralRegistry {
+    constructor(oracle, options = {}) {
+        this.oracle = oracle;
+        this.codeLength = options.codeLength || 8;
+    }
+
+    _addr(address) {
+        if (!ethers.isAddress(address)) throw new ReferralError('valid address required', 'invalid_address');
+        return ethers.getAddress(address);
+    }
+
+    _randomCode() {
+        const bytes = crypto.randomBytes(this.codeLength);
+        return [...bytes].map(b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('');
+    }
+
+    // The message a referee signs to redeem a code
+    redeemMessage(refereeAddress, code) {
+        return `Redeem Raven referral code ${String(code).toUpperCase()} for ${this._addr(refereeAddress)}`;
+    }
+
+    async getCode(address) {
+        return (await this.oracle.state.get(`referral_code:${this._addr(address).toLowerCase()}`)) || null;
+    }
+
+    // Existing code for the address, or a new unique one
+    async getOrCreateCode(address) {
+        const addr = this._addr(address);
+        const existing = await this.getCode(addr);
+        if (existing) return existing;
+
+        for (;;) {
+            const code = this._randomCode();
+            if (!(await this.oracle.state.setIfAbsent(`referral_owner:${code}`, addr))) continue;
+            const created = await this.oracle.state.setIfAbsent(`referral_code:${addr.toLowerCase()}`, code);
+            if (created) return code;
+            // Lost a race with a concurrent request for the same address
+            await this.oracle.state.delete(`referral_owner:${code}`);
+            return this.getCode(addr);
+        }
+    }
+
+    async resolveCode(code) {
+        return (await this.oracle.state.get(`referral_owner:${String(code).toUpperCase()}`)) || null;
+    }
+
+    // Bind referee to the code's owner once. signature: personal_sign of
+    // redeemMessage(referee, code) by the referee.
+    async redeem(refereeAddress, code, signature) {
+        const referee = this._addr(refereeAddress);
+        if (typeof code !== 'string' || code.length === 0) throw new ReferralError('code required', 'invalid_code');
+
+        let signer;
+        try {
+            signer = ethers.verifyMessage(this.redeemMessage(referee, code), signature);
+        } catch (_) {
+            throw new ReferralError('bad signature', 'bad_signature', 401);
+        }
+        if (signer !== referee) throw new ReferralError('signature is not from the referee', 'bad_signature', 401);
+
+        const referrer = await this.resolveCode(code);
+        if (!referrer) throw new ReferralError('unknown referral code', 'unknown_code', 404);
+        if (referrer === referee) throw new ReferralError('self-referral is not allowed', 'self_referral');
+
+        // Two accounts referring each other
+        const referrerBinding = await this.oracle.state.get(`referred_by:${referrer.toLowerCase()}`);
+        if (referrerBinding && referrerBinding.referrer === referee) {
+            throw new ReferralError('circular referral is not allowed', 'circular_referral');
+        }
+
+        // Sybil guard: the referee must have consumed a server-signed authorization
+        const usage = await this.oracle.usage.getUsage(referee, this.oracle.usage.maxRecordsPerUser);
+        if (!usage.some(record => record.verified)) {
+            throw new ReferralError('referee has not made an authorized inference yet', 'referee_inactive', 403);
+        }
+
+        const binding = { referrer, code: code.toUpperCase(), at: Date.now() };
+        const bound = await this.oracle.state.setIfAbsent(`referred_by:${referee.toLowerCase()}`, binding);
+        if (!bound) throw new ReferralError('referee already redeemed a referral', 'already_referred', 409);
+
+        const award = await this.oracle.queueCreditAward(referrer, 'referral', 1);
+        await this.oracle.state.update(`referral_stats:${referrer.toLowerCase()}`, (current) => {
+            const stats = { referrals: 0, creditsAccrued: 0, ...current };
+            stats.referrals += 1;
+            stats.creditsAccrued += award ? award.amount : 0;
+            return stats;
+        });
+        return { referee, referrer, code: binding.code, award };
+    }
+
+    // { code, referredBy, referrals, creditsAccrued }
+    async getStats(address) {
+        const addr = this._addr(address).toLowerCase();
+        const [code, binding, stats] = await Promise.all([
+            this.oracle.state.get(`referral_code:${addr}`),
+            this.oracle.state.get(`referred_by:${addr}`),
+            this.oracle.state.get(`referral_stats:${addr}`)
+        ]);
+        return {
+            code: code || null,
+            referredBy: binding ? binding.referrer : null,
+            referrals: stats ? stats.referrals : 0,
+            creditsAccrued: stats ? stats.creditsAccrued : 0
+        };
+    }
+}
+
+module.exports = ReferralRegistry;
+module.exports.ReferralError = ReferralError;
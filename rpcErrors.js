@@ -0,0 +1,92 @@
+const { ethers } = require('ethers');
+
+// Typed errors for on-chain reads, so callers can tell "the RPC is down"
+// from "the contract said no" from "that was never an address". Each carries
+// an HTTP `status` and a machine-readable `code` like the other API errors.
+class OracleReadError extends Error {
+    constructor(message, code, status, cause) {
+        super(message);
+        this.name = 'OracleReadError';
+        this.code = code;
+        this.status = status;
+        if (cause) this.cause = cause;
+    }
+}
+
+class RpcUnavailableError extends OracleReadError {
+    constructor(message = 'RPC unavailable', cause) {
+        super(message, 'rpc_unavailable', 503, cause);
+        this.name = 'RpcUnavailableError';
+        this.retryable = true;
+    }
+}
+
+class ContractRevertError extends OracleReadError {
+    constructor(message = 'contract call reverted', cause) {
+        super(message, 'contract_revert', 502, cause);
+        this.name = 'ContractRevertError';
+    }
+}
+
+class InvalidAddressError extends OracleReadError {
+    constructor(address) {
+        super(`invalid address: ${address}`, 'invalid_address', 400);
+        this.name = 'InvalidAddressError';
+    }
+}
+
+// ethers error codes that mean the node could not be reached or answered badly
+const UNAVAILABLE_CODES = new Set(['NETWORK_ERROR', 'SERVER_ERROR', 'TIMEOUT', 'UNKNOWN_ERROR']);
+
+// Map any error from a contract read onto the typed errors. Errors that are
+// already typed (or unrelated to the RPC) are returned unchanged. Bare
+// errno codes (ECONNREFUSED, ...) only count as RPC failures when the error
+// is known to come from a provider or contract call (options.rpcCall):
+// elsewhere they are local failures such as EACCES or ENOSPC.
+function classifyReadError(error, what = 'read', options = {}) {
+    if (error instanceof OracleReadError) return error;
+    const detail = error && (error.shortMessage || error.message);
+    if (error && error.code === 'CALL_EXCEPTION') return new ContractRevertError(`${what} reverted: ${detail}`, error);
+    // Empty return data: no contract at the address, or an ABI mismatch
+    if (error && error.code === 'BAD_DATA') return new ContractRevertError(`${what} returned no data: ${detail}`, error);
+    if (error && UNAVAILABLE_CODES.has(error.code)) return new RpcUnavailableError(`${what} failed: ${detail}`, error);
+    // Transport failures that never got an ethers code (ECONNREFUSED, socket hang up, ...)
+    if (options.rpcCall && error && typeof error.code === 'string' && /^E[A-Z]+$/.test(error.code)) {
+        return new RpcUnavailableError(`${what} failed: ${detail}`, error);
+    }
+    return error;
+}
+
+function assertAddress(address) {
+    if (!ethers.isAddress(address)) throw new InvalidAddressError(address);
+    return address;
+}
+
+// Run fn, retrying retryable failures with exponential backoff and jitter.
+// options: { retries = 2, baseDelayMs = 200, maxDelayMs = 2000, what, onRetry(error, attempt) }
+async function withRetry(fn, options = {}) {
+    const retries = options.retries ?? 2;
+    const baseDelayMs = options.baseDelayMs ?? 200;
+    const maxDelayMs = options.maxDelayMs ?? 2000;
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn();
+        } catch (raw) {
+            const error = classifyReadError(raw, options.what, { rpcCall: true });
+            if (!error.retryable || attempt >= retries) throw error;
+            if (options.onRetry) options.onRetry(error, attempt + 1);
+            const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+            await new Promise(resolve => setTimeout(resolve, delay / 2 + Math.random() * delay / 2));
+        }
+    }
+}
+
+module.exports = {
+    OracleReadError,
+    RpcUnavailableError,
+    ContractRevertError,
+    InvalidAddressError,
+    classifyReadError,
+    assertAddress,
+    withRetry
+};
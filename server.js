@@ -1,24 +1,101 @@
 require('dotenv').config();
+const crypto = require('crypto');
 const express = require('express');
 const { ethers } = require('ethers');
 const RavenOracle = require('./ravenOracle');
+const OperatorAuth = require('./operatorAuth');
+const TxRelayer = require('./txRelayer');
+const { normalizeMemoryPointer, computeMemoryCid } = require('./memoryPointer');
+const { loadOracleConfig, createRegistry, createSharedStateStore, createOracle } = require('./oracleConfig');
+const { loadLogger } = require('./logger');
+const { OracleMetrics } = require('./metrics');
+const { classifyReadError, RpcUnavailableError } = require('./rpcErrors');
+const { AuthorizationSimulator } = require('./simulator');
+const RateLimiter = require('./rateLimits');
 
 const app = express();
-app.use(express.json());
+const logger = loadLogger(process.env); // LOG_LEVEL, LOG_TO_FILE, LOG_FILE_PATH
+const metrics = new OracleMetrics();
+const METRICS_TOKEN = process.env.METRICS_TOKEN || ''; // optional bearer token for GET /metrics
 
-// Basic CORS (allow localhost dev and browsers)
+// Request id (X-Request-Id in/out), per-request logger, access log & HTTP metrics
 app.use((req, res, next) => {
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  const started = Date.now();
+  const incoming = req.get('x-request-id');
+  req.id = incoming && /^[\w.-]{1,64}$/.test(incoming) ? incoming : crypto.randomUUID();
+  req.log = logger.child({ requestId: req.id });
+  res.setHeader('X-Request-Id', req.id);
+  // Keep the error message of JSON error responses for the access log
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (body && typeof body.error === 'string') res.locals.error = body.error;
+    return json(body);
+  };
+  // 'close' without 'finish': the client went away first (e.g. a closed stream)
+  let logged = false;
+  const logRequest = () => {
+    if (logged) return;
+    logged = true;
+    const route = req.route ? `${req.routePrefix || ''}${req.route.path}` : 'unmatched';
+    const durationMs = Date.now() - started;
+    metrics.httpRequest(req.method, route, res.statusCode, durationMs / 1000);
+    const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+    req.log.log(level, 'request', {
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      route,
+      status: res.statusCode,
+      durationMs,
+      ...(res.locals.error && { error: res.locals.error })
+    });
+  };
+  res.on('finish', logRequest);
+  res.on('close', logRequest);
+  next();
+});
+
+// Keep the raw body for signed webhooks (quest providers)
+app.use(express.json({ verify: (req, _res, buf) => { req.rawBody = buf.toString('utf8'); } }));
+
+// CORS: '*' unless CORS_ORIGINS lists the allowed origins (comma-separated)
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '*').split(',').map(o => o.trim()).filter(Boolean);
+app.use((req, res, next) => {
+  const origin = req.headers.origin;
+  if (CORS_ORIGINS.includes('*')) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+  } else {
+    res.setHeader('Vary', 'Origin');
+    if (origin && CORS_ORIGINS.includes(origin)) res.setHeader('Access-Control-Allow-Origin', origin);
+  }
+  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,DELETE,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type,Authorization,X-API-Key,X-Request-Id');
+  res.setHeader('Access-Control-Expose-Headers', 'X-Request-Id,Retry-After,X-RateLimit-Limit,X-RateLimit-Remaining,X-RateLimit-Reset');
   if (req.method === 'OPTIONS') return res.status(204).end();
   next();
 });
 
 // Env config
 const PORT = process.env.PORT || 8080;
-const RPC_URL = process.env.RPC_URL || 'https://sepolia.infura.io/v3/YOUR_INFURA_KEY';
-const RAVEN_ACCESS_ADDRESS = process.env.RAVEN_ACCESS_ADDRESS || '0x0000000000000000000000000000000000000000';
+// RPC_URL / CHAIN_ID / RAVEN_ACCESS_ADDRESS or DEPLOYMENTS(_PATH): see deployments.js
+const PRIVATE_KEY = process.env.PRIVATE_KEY || ''; // optional oracle/owner key for batch flushes
+const RELAYER_ENABLED = process.env.RELAYER_ENABLED === 'true'; // server signs & sends oracle writes itself
+const RELAYER_MAX_FEE_GWEI = process.env.RELAYER_MAX_FEE_GWEI; // optional cap for fee bumping
+const API_KEYS = (process.env.API_KEYS || '').split(',').map(k => k.trim()).filter(Boolean);
+const SESSION_TTL = Number(process.env.SESSION_TTL) || 12 * 60 * 60; // seconds
+const BATCH_LOOKUP_MAX = Number(process.env.BATCH_LOOKUP_MAX) || 100; // addresses per /users/batch
+const SIMULATE_MAX_REQUESTS = Number(process.env.SIMULATE_MAX_REQUESTS) || 1000; // replayed requests per /simulate/authorize
+// Per-IP token bucket on the chain-scoped routes (0 = off); operators are not counted
+const IP_RATE_LIMIT = {
+  perMinute: Number(process.env.RATE_LIMIT_IP_PER_MINUTE) || 0,
+  burst: Number(process.env.RATE_LIMIT_IP_BURST) || Number(process.env.RATE_LIMIT_IP_PER_MINUTE) || 0
+};
+// Express 'trust proxy' (e.g. 1 behind one reverse proxy) so req.ip is the client's address
+if (process.env.TRUST_PROXY) {
+  const trust = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trust) ? Number(trust) : trust === 'true' ? true : trust);
+}
+// Oracle settings (BATCH_INTERVAL, CACHE_TTL_MS, STATE_STORE, ...): see oracleConfig.js
+const oracleConfig = loadOracleConfig(process.env);
 
 // Helper: JSON-safe serializer for BigInt
 function serialize(value) {
@@ -32,26 +109,159 @@ function serialize(value) {
   return value;
 }
 
-// Lazy provider/oracle to avoid crashing when env is missing
-let _provider = null;
-let _oracle = null;
+// Lazy deployments/oracles to avoid crashing when env is missing.
+// One context per chain: { deployment, oracle, signer, relayer, auth }
+let _registry = null;
+let _stateStore = null;
+const _chains = new Map();
+
+function getRegistry() {
+  if (!_registry) {
+    _registry = createRegistry(oracleConfig, process.env, {
+      onRpc: (chainId, method, seconds, errorCode) => metrics.forChain(chainId).rpcCall(method, seconds, errorCode)
+    });
+  }
+  return _registry;
+}
+
+// Chain of the request: /chains/:chainId/... or the default deployment
+function getChain(req) {
+  const registry = getRegistry();
+  const deployment = registry.get(req.chainId === undefined ? registry.defaultChainId : req.chainId);
+  if (!_chains.has(deployment.chainId)) _chains.set(deployment.chainId, { deployment });
+  return _chains.get(deployment.chainId);
+}
+
+function getProvider(req) {
+  return getRegistry().getProvider(getChain(req).deployment.chainId);
+}
+
+function getStateStore() {
+  if (!_stateStore) _stateStore = createSharedStateStore(oracleConfig);
+  return _stateStore;
+}
+
+function getOracle(req) {
+  const chain = getChain(req);
+  if (chain.oracle) return chain.oracle;
+  chain.oracle = createOracle(getRegistry(), chain.deployment.chainId, oracleConfig, {
+    stateStore: getStateStore(),
+    logger: logger.child({ chain: chain.deployment.chainId }),
+    metrics: metrics.forChain(chain.deployment.chainId)
+  });
+  return chain.oracle;
+}
+
+// Server-side signer, only when PRIVATE_KEY is set
+function getSigner(req) {
+  const chain = getChain(req);
+  if (chain.signer) return chain.signer;
+  if (!PRIVATE_KEY) return null;
+  chain.signer = new ethers.Wallet(PRIVATE_KEY, getProvider(req));
+  return chain.signer;
+}
+
+// Relayer mode (RELAYER_ENABLED=true + PRIVATE_KEY); null otherwise
+function getRelayer(req) {
+  const chain = getChain(req);
+  if (chain.relayer) return chain.relayer;
+  if (!RELAYER_ENABLED) return null;
+  const signer = getSigner(req);
+  if (!signer) throw new Error('RELAYER_ENABLED requires PRIVATE_KEY');
+  chain.relayer = new TxRelayer(getOracle(req), signer, {
+    maxFeePerGasCap: RELAYER_MAX_FEE_GWEI ? ethers.parseUnits(RELAYER_MAX_FEE_GWEI, 'gwei') : undefined
+  });
+  return chain.relayer;
+}
+
+// Return calldata for the operator wallet, or send it through the relayer
+async function respondWithCalldata(req, res, { to, data, label, extra = {} }) {
+  const relayer = getRelayer(req);
+  if (!relayer) return res.json(serialize({ ...extra, to, data }));
+  const tx = await relayer.submit({ to, data, label });
+  return res.status(202).json(serialize({ ...extra, to, data, txId: tx.id, status: tx.status, hash: tx.hashes[0] }));
+}
+
+// Operator roles are per deployment (owner()/oracle() of that access contract)
+function getAuth(req) {
+  const chain = getChain(req);
+  if (!chain.auth) {
+    chain.auth = new OperatorAuth(getOracle(req), { apiKeys: API_KEYS, sessionTtlMs: SESSION_TTL * 1000 });
+  }
+  return chain.auth;
+}
+
+// Guard for oracle/owner-only routes (API key or wallet session)
+function requireOperator(req, res, next) {
+  let middleware;
+  try {
+    middleware = getAuth(req).middleware();
+  } catch (e) {
+    return sendError(res, e, 500);
+  }
+  return middleware(req, res, next);
+}
+
+// Error response: typed errors keep their status/code; ethers RPC failures
+// that escaped the oracle's read helpers become 503 (unavailable) / 502
+// (revert). Bare errno errors (fs and the like) keep the fallback status.
+function sendError(res, e, fallbackStatus = 500) {
+  const error = classifyReadError(e);
+  const status = error.status || fallbackStatus;
+  if (error instanceof RpcUnavailableError) res.setHeader('Retry-After', '5');
+  return res.status(status).json({
+    error: error.message,
+    ...(error.status && typeof error.code === 'string' && { code: error.code })
+  });
+}
 
-function getProvider() {
-  if (!_provider) {
-    _provider = new ethers.JsonRpcProvider(RPC_URL);
+// Resolve the request's deployment and check (once) that its RPCs are on
+// the configured chain
+async function resolveChain(req, res, next) {
+  try {
+    if (req.params.chainId !== undefined) {
+      req.chainId = Number(req.params.chainId);
+      req.routePrefix = '/chains/:chainId';
+    }
+    const { deployment } = getChain(req);
+    await getRegistry().ensureVerified(deployment.chainId);
+    return next();
+  } catch (e) {
+    return sendError(res, e, 500);
   }
-  return _provider;
 }
 
-function getOracle() {
-  if (_oracle) return _oracle;
-  if (!ethers.isAddress(RAVEN_ACCESS_ADDRESS) || RAVEN_ACCESS_ADDRESS === '0x0000000000000000000000000000000000000000') {
-    throw new Error('RAVEN_ACCESS_ADDRESS not configured');
+// X-RateLimit-* for a rate limit result (see RateLimiter.takeAll); Retry-After when denied
+function setRateLimitHeaders(res, rateLimit) {
+  if (!rateLimit || rateLimit.limit === undefined) return;
+  res.setHeader('X-RateLimit-Limit', String(rateLimit.limit));
+  res.setHeader('X-RateLimit-Remaining', String(rateLimit.remaining));
+  res.setHeader('X-RateLimit-Reset', String(rateLimit.resetSeconds));
+  if (!rateLimit.allowed) res.setHeader('Retry-After', String(rateLimit.retryAfterSeconds));
+}
+
+// Per-IP limit (RATE_LIMIT_IP_PER_MINUTE / RATE_LIMIT_IP_BURST), shared by
+// all deployments. Requests with valid operator credentials skip it.
+let _ipLimiter = null;
+async function limitByIp(req, res, next) {
+  if (!IP_RATE_LIMIT.perMinute) return next();
+  try {
+    if (await getAuth(req).authenticate(req.headers)) return next();
+    if (!_ipLimiter) _ipLimiter = new RateLimiter(getStateStore());
+    const result = await _ipLimiter.takeAll([{ scope: 'ip', id: req.ip, limit: IP_RATE_LIMIT }]);
+    setRateLimitHeaders(res, result);
+    if (result.allowed) return next();
+    metrics.forChain(getChain(req).deployment.chainId).rateLimitHit('ip');
+    return res.status(429).json({ error: 'too many requests', code: 'rate_limited' });
+  } catch (e) {
+    return sendError(res, e, 500);
   }
-  _oracle = new RavenOracle(getProvider(), RAVEN_ACCESS_ADDRESS);
-  return _oracle;
 }
 
+// Chain-scoped routes, mounted at / (default deployment) and /chains/:chainId
+const api = express.Router({ mergeParams: true });
+api.use(limitByIp);
+
 // Health
 app.get('/health', (_req, res) => {
   res.json(serialize({ status: 'ok' }));
@@ -62,57 +272,317 @@ app.get('/', (_req, res) => {
   res.json(serialize({
     status: 'ok',
     service: 'Raven Oracle API',
-    hint: 'Use /health or documented endpoints',
+    hint: 'Use /health or documented endpoints; chain-scoped routes are also served under /chains/:chainId',
     endpoints: [
       'GET /health',
+      'GET /chains',
+      'GET /metrics',
+      'GET /pricing',
       'POST /inference/estimate',
       'POST /inference/authorize',
+      'POST /inference/verify',
+      'POST /inference/consume',
+      'POST /inference/release',
+      'POST /inference/quote',
+      'POST /inference/quote/:quoteId/capture',
+      'POST /inference/quote/:quoteId/release',
+      'GET /quota/global',
+      'POST /simulate/authorize',
+      'POST /users/batch',
       'GET /users/:address/credits',
       'GET /users/:address/subscription',
       'GET /users/:address/has-active-subscription',
+      'GET /users/:address/usage',
+      'GET /users/:address/quotes',
+      'GET /users/:address/history',
+      'GET /users/:address/stream',
+      'POST /indexer/sync',
+      'POST /users/:address/debits/settled',
+      'GET /auth/nonce',
+      'POST /auth/login',
+      'POST /auth/logout',
       'POST /memory/update',
-      'POST /credits/initial-grant'
+      'POST /credits/initial-grant',
+      'POST /credits/initial-grant/confirm',
+      'DELETE /credits/initial-grant/:address',
+      'POST /credits/queue',
+      'GET /credits/pending',
+      'POST /credits/flush',
+      'GET /credits/batches',
+      'GET /tx/:id',
+      'POST /referrals/code',
+      'POST /referrals/redeem',
+      'GET /users/:address/referrals',
+      'GET /quests',
+      'POST /quests',
+      'POST /quests/:id/complete',
+      'GET /quests/completions/pending',
+      'POST /quests/:id/completions/:address/approve',
+      'POST /quests/:id/completions/:address/reject',
+      'GET /users/:address/quests',
+      'GET /users/:address/streak',
+      'GET /users/:address/memory',
+      'POST /webhooks',
+      'GET /webhooks',
+      'GET /webhooks/:id',
+      'DELETE /webhooks/:id',
+      'GET /webhooks/:id/deliveries',
+      'POST /webhooks/:id/deliveries/:deliveryId/redeliver'
     ]
   }));
 });
 
+// Active pricing & credit rules (cost table, plan overrides, caps, credit amounts)
+api.get('/pricing', (req, res) => {
+  try {
+    return res.json(serialize(getOracle(req).pricing.describe()));
+  } catch (e) {
+    return sendError(res, e, 500);
+  }
+});
+
 // Estimate credits for arbitrary reason
 // body: { reason: string, parameter: number }
-app.post('/credits/calculate', (req, res) => {
+api.post('/credits/calculate', (req, res) => {
   try {
     const { reason, parameter } = req.body || {};
     if (typeof reason !== 'string') return res.status(400).json({ error: 'reason required' });
     if (!Number.isFinite(parameter)) return res.status(400).json({ error: 'parameter must be number' });
-    const credits = getOracle().calculateCredits(reason, Number(parameter));
+    const credits = getOracle(req).calculateCredits(reason, Number(parameter));
     return res.json(serialize({ credits }));
   } catch (e) {
-    return res.status(500).json({ error: e.message });
+    return sendError(res, e, 500);
   }
 });
 
 // Estimate inference cost
-// body: { mode: string, quantity?: number }
-app.post('/inference/estimate', (req, res) => {
+// body: { mode: string, quantity?: number, planId?: number }
+api.post('/inference/estimate', (req, res) => {
   try {
-    const { mode, quantity = 1 } = req.body || {};
+    const { mode, quantity = 1, planId = 0 } = req.body || {};
     if (typeof mode !== 'string') return res.status(400).json({ error: 'mode required' });
-    const cost = getOracle().getInferenceCost(mode, Number(quantity));
+    const cost = getOracle(req).getInferenceCost(mode, Number(quantity), Number(planId));
     return res.json(serialize({ cost }));
   } catch (e) {
-    return res.status(400).json({ error: e.message });
+    return sendError(res, e, 400);
   }
 });
 
 // Authorization helper (reads on-chain state)
 // body: { user: string, mode: string, quantity?: number }
-app.post('/inference/authorize', async (req, res) => {
+api.post('/inference/authorize', async (req, res) => {
   try {
     const { user, mode, quantity = 1 } = req.body || {};
     if (!ethers.isAddress(user)) return res.status(400).json({ error: 'valid user address required' });
-    const result = await getOracle().authorizeInference(user, mode, Number(quantity));
+    const result = await getOracle(req).authorizeInference(user, mode, Number(quantity));
+    setRateLimitHeaders(res, result.rateLimit);
+    // Attach an EIP-712 signed copy when the server holds the oracle key
+    const signer = getSigner(req);
+    if (result.allowed && signer) {
+      result.signed = await getOracle(req).signAuthorizationDecision(signer, user, mode, Number(quantity), result);
+    }
+    return res.json(serialize(result));
+  } catch (e) {
+    return sendError(res, e, 400);
+  }
+});
+
+// Check a signed authorization from /inference/authorize. Nothing is spent:
+// the same authorization can still be consumed (or released) once.
+// body: { signed: { message, signature } }
+api.post('/inference/verify', async (req, res) => {
+  try {
+    const { signed } = req.body || {};
+    if (!signed || !signed.message || typeof signed.signature !== 'string') {
+      return res.status(400).json({ error: 'signed authorization required' });
+    }
+    const signer = getSigner(req);
+    if (!signer) return res.status(503).json({ error: 'PRIVATE_KEY not configured' });
+    const result = await getOracle(req).checkSignedAuthorization(signed, await signer.getAddress());
+    return res.status(result.valid ? 200 : 401).json(serialize(result));
+  } catch (e) {
+    return sendError(res, e, 400);
+  }
+});
+
+// Record that an authorized inference ran (closes authorize -> run -> consume)
+// body: { user: string, mode: string, quantity?: number, authorization: object, requestId?: string }
+// authorization is the /inference/authorize result; its EIP-712 `signed` copy
+// is verified and spent, and the method and cost come from it.
+// Returns the usage record and the user's pending debits.
+api.post('/inference/consume', async (req, res) => {
+  try {
+    const { user, mode, quantity = 1, authorization, requestId } = req.body || {};
+    if (!ethers.isAddress(user)) return res.status(400).json({ error: 'valid user address required' });
+    if (typeof mode !== 'string') return res.status(400).json({ error: 'mode required' });
+    if (!Number.isInteger(quantity) || quantity <= 0) return res.status(400).json({ error: 'quantity must be a positive integer' });
+    if (!authorization || !authorization.signed) return res.status(401).json({ error: 'signed authorization required' });
+    const signer = getSigner(req);
+    if (!signer) return res.status(503).json({ error: 'PRIVATE_KEY not configured' });
+    const result = await getOracle(req).consumeSignedInference(user, {
+      mode,
+      quantity,
+      signed: authorization.signed,
+      requestId
+    }, await signer.getAddress());
+    return res.json(serialize(result));
+  } catch (e) {
+    return sendError(res, e, 400);
+  }
+});
+
+// Give back a global quota reservation from /inference/authorize when the
+// inference failed. body: { reservationId, authorization? }
+// Operators may release any reservation; otherwise `authorization` (the
+// /inference/authorize result) must carry a valid `signed` copy whose
+// reservationId is this one. Its nonce is spent, so it cannot be consumed.
+api.post('/inference/release', async (req, res) => {
+  try {
+    const { reservationId, authorization } = req.body || {};
+    if (typeof reservationId !== 'string') return res.status(400).json({ error: 'reservationId required' });
+    let holder = null;
+    if (!(await getAuth(req).authenticate(req.headers))) {
+      const signed = authorization && authorization.signed;
+      if (!signed || !signed.message || typeof signed.signature !== 'string') {
+        return res.status(401).json({ error: 'operator credentials or signed authorization required' });
+      }
+      const signer = getSigner(req);
+      if (!signer) return res.status(503).json({ error: 'PRIVATE_KEY not configured' });
+      const verified = await getOracle(req).verifySignedAuthorization(signed, await signer.getAddress());
+      if (!verified.valid) return res.status(401).json({ error: `invalid authorization (${verified.reason})` });
+      if (verified.message.reservationId !== reservationId) {
+        return res.status(401).json({ error: 'reservationId does not match the signed authorization' });
+      }
+      holder = verified.message.user;
+    }
+    const released = await getOracle(req).releaseReservation(reservationId, holder);
+    if (!released) return res.status(404).json({ error: 'unknown or expired reservation' });
+    return res.json({ reservationId, released });
+  } catch (e) {
+    return sendError(res, e, 400);
+  }
+});
+
+// Quote routes act for `user`: operator credentials, or the user's
+// personal_sign of quotes.requestMessage(action, user, payload, issuedAt)
+// passed as body { signature, issuedAt } (each signature is accepted once)
+async function authorizeQuoteRequest(req, action, user, payload) {
+  if (await getAuth(req).authenticate(req.headers)) return;
+  const { signature, issuedAt } = req.body || {};
+  await getOracle(req).quotes.verifyRequest(action, user, payload, { signature, issuedAt });
+}
+
+// Price a multi-step job and hold its credits / subscription units (and
+// global quota) until the quote expires
+// body: { user: string, steps: [{ mode, quantity? }], ttlSeconds?: number, signature?, issuedAt? }
+api.post('/inference/quote', async (req, res) => {
+  try {
+    const { user, steps, ttlSeconds } = req.body || {};
+    if (!ethers.isAddress(user)) return res.status(400).json({ error: 'valid user address required' });
+    await authorizeQuoteRequest(req, 'quote', user, { steps, ttlSeconds });
+    const result = await getOracle(req).quotes.quote(user, steps, { ttlSeconds });
+    return res.json(serialize(result));
+  } catch (e) {
+    return sendError(res, e, 400);
+  }
+});
+
+// Consume part of a quote as the job runs (records usage like /inference/consume)
+// body: { user: string, usage: [{ mode, quantity? }], requestId?: string, signature?, issuedAt? }
+api.post('/inference/quote/:quoteId/capture', async (req, res) => {
+  try {
+    const { user, usage, requestId } = req.body || {};
+    if (!ethers.isAddress(user)) return res.status(400).json({ error: 'valid user address required' });
+    await authorizeQuoteRequest(req, 'capture', user, { quoteId: req.params.quoteId, usage, requestId });
+    const result = await getOracle(req).quotes.capture(user, req.params.quoteId, usage, { requestId });
     return res.json(serialize(result));
   } catch (e) {
-    return res.status(400).json({ error: e.message });
+    return sendError(res, e, 400);
+  }
+});
+
+// Give back what a quote still holds (job finished early or failed).
+// body: { user, signature?, issuedAt? }
+api.post('/inference/quote/:quoteId/release', async (req, res) => {
+  try {
+    const { user } = req.body || {};
+    if (!ethers.isAddress(user)) return res.status(400).json({ error: 'valid user address required' });
+    await authorizeQuoteRequest(req, 'release', user, { quoteId: req.params.quoteId });
+    const released = await getOracle(req).quotes.release(user, req.params.quoteId);
+    if (!released) return res.status(404).json({ error: 'unknown or expired quote' });
+    return res.json(serialize({ ...released, released: true }));
+  } catch (e) {
+    return sendError(res, e, 400);
+  }
+});
+
+// Global quota usage for globalCapModes. query: ?window=YYYY-MM (default: current month)
+api.get('/quota/global', requireOperator, async (req, res) => {
+  try {
+    const quota = getOracle(req).globalQuota;
+    const usage = await quota.getUsage(req.query.window || undefined);
+    return res.json(serialize(usage));
+  } catch (e) {
+    return sendError(res, e, 400);
+  }
+});
+
+// Dry-run a candidate rule set: replay authorize requests under the live and
+// the candidate rules against one snapshot of user state (nothing is written)
+// body: { rules: object, requests: [{ user, mode, quantity? }], snapshot?: object }
+// Without a snapshot the current state of the requests' users is read once.
+api.post('/simulate/authorize', requireOperator, async (req, res) => {
+  try {
+    const { rules, requests, snapshot } = req.body || {};
+    if (!rules || typeof rules !== 'object') return res.status(400).json({ error: 'rules required' });
+    const simulator = new AuthorizationSimulator(getOracle(req), { maxRequests: SIMULATE_MAX_REQUESTS });
+    const report = await simulator.run({ rules, requests, snapshot });
+    return res.json(serialize(report));
+  } catch (e) {
+    return sendError(res, e, 500);
+  }
+});
+
+// Wallet sign-in for operators (SIWE-style)
+// query: ?address=0x...  -> { nonce, message, expiresAt }; sign `message` with the wallet
+api.get('/auth/nonce', async (req, res) => {
+  try {
+    const { address } = req.query;
+    if (!ethers.isAddress(address)) return res.status(400).json({ error: 'valid address required' });
+    const { chainId } = await getProvider(req).getNetwork();
+    const result = await getAuth(req).issueNonce(address, {
+      domain: req.get('host'),
+      uri: `${req.protocol}://${req.get('host')}`,
+      chainId
+    });
+    return res.json(serialize(result));
+  } catch (e) {
+    return sendError(res, e, 500);
+  }
+});
+
+// body: { message: string, signature: string } -> { token, address, role, expiresAt }
+// Only the contract's oracle() or owner() can log in.
+api.post('/auth/login', async (req, res) => {
+  try {
+    const { message, signature } = req.body || {};
+    if (typeof message !== 'string' || typeof signature !== 'string') {
+      return res.status(400).json({ error: 'message and signature required' });
+    }
+    const session = await getAuth(req).login(message, signature, { domain: req.get('host') });
+    return res.json(serialize(session));
+  } catch (e) {
+    return sendError(res, e, 500);
+  }
+});
+
+api.post('/auth/logout', async (req, res) => {
+  try {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+    await getAuth(req).logout(match && match[1].toLowerCase());
+    return res.json({ ok: true });
+  } catch (e) {
+    return sendError(res, e, 500);
   }
 });
 
@@ -121,7 +591,7 @@ import { ethers } from 'ethers';
 
 const resp = await fetch('/memory/update', {
   method: 'POST',
-  headers: { 'Content-Type': 'application/json' },
+  headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
   body: JSON.stringify({ user, memoryHash }),
 });
 const { to, data } = await resp.json();
@@ -134,98 +604,685 @@ await tx.wait();
 */
 // Only oracle/owner can update the on-chain user memory pointer.
 // This endpoint does NOT sign transactions. It returns calldata so the
-// frontend oracle/owner wallet can sign & send directly.
+// frontend oracle/owner wallet can sign & send directly (in relayer mode the
+// server sends it and answers 202 with a txId for GET /tx/:id).
 // body: { user: string, memoryHash: string }
-app.post('/memory/update', async (req, res) => {
+api.post('/memory/update', requireOperator, async (req, res) => {
   try {
-    const { user, memoryHash } = req.body || {};
+    const { user, memoryHash, memory } = req.body || {};
     if (!ethers.isAddress(user)) return res.status(400).json({ error: 'valid user address required' });
-    if (typeof memoryHash !== 'string' || memoryHash.length === 0) return res.status(400).json({ error: 'memoryHash required' });
+    if (memoryHash !== undefined && memory !== undefined) return res.status(400).json({ error: 'send memoryHash or memory, not both' });
+
+    // Raw memory JSON is hashed here; the caller pins the returned `content`
+    const pointer = memory !== undefined ? computeMemoryCid(memory) : normalizeMemoryPointer(memoryHash);
+    const iface = new ethers.Interface(getOracle(req).getAccessABI());
+    const data = iface.encodeFunctionData('updateUserMemoryPointer', [user, pointer.pointer]);
+    return respondWithCalldata(req, res, { to: getOracle(req).ravenAccess.target, data, label: 'updateUserMemoryPointer', extra: { memory: pointer } });
+  } catch (e) {
+    return sendError(res, e, 400);
+  }
+});
 
-    const iface = new ethers.Interface(getOracle().getAccessABI());
-    const data = iface.encodeFunctionData('updateUserMemoryPointer', [user, memoryHash]);
-    return res.json(serialize({ to: RAVEN_ACCESS_ADDRESS, data }));
+// Bulk lookup: credits, subscription, active flag and eligibility per address
+// body: { addresses: string[] }  (max BATCH_LOOKUP_MAX)
+// Each result is { address, ...summary } or { address, error }; one bad
+// address does not fail the request.
+api.post('/users/batch', async (req, res) => {
+  try {
+    const { addresses } = req.body || {};
+    if (!Array.isArray(addresses) || addresses.length === 0) return res.status(400).json({ error: 'addresses array required' });
+    if (addresses.length > BATCH_LOOKUP_MAX) return res.status(400).json({ error: `at most ${BATCH_LOOKUP_MAX} addresses` });
+
+    const oracle = getOracle(req);
+    // Lookups start in the same tick, so the cache coalesces them into one multicall
+    const settled = await Promise.allSettled(addresses.map(addr => {
+      if (typeof addr !== 'string' || !ethers.isAddress(addr)) return Promise.reject(new Error('invalid address'));
+      return oracle.getUserSummary(addr);
+    }));
+    const results = settled.map((r, i) => (r.status === 'fulfilled'
+      ? r.value
+      : { address: addresses[i], error: r.reason.message, ...(typeof r.reason.code === 'string' && r.reason.status && { code: r.reason.code }) }));
+    return res.json(serialize({ results }));
   } catch (e) {
-    return res.status(400).json({ error: e.message });
+    return sendError(res, e, 500);
   }
 });
 
 // Read helpers
-app.get('/users/:address/credits', async (req, res) => {
+api.get('/users/:address/credits', async (req, res) => {
   try {
     const addr = req.params.address;
     if (!ethers.isAddress(addr)) return res.status(400).json({ error: 'invalid address' });
-    const credits = await getOracle().getUserCredits(addr);
+    const credits = await getOracle(req).getUserCredits(addr);
     return res.json(serialize({ address: addr, credits }));
   } catch (e) {
-    return res.status(500).json({ error: e.message });
+    return sendError(res, e, 500);
   }
 });
 
-app.get('/users/:address/subscription', async (req, res) => {
+api.get('/users/:address/subscription', async (req, res) => {
   try {
     const addr = req.params.address;
     if (!ethers.isAddress(addr)) return res.status(400).json({ error: 'invalid address' });
-    const sub = await getOracle().getUserSubscription(addr);
-    return res.json(serialize(sub || {}));
+    const oracle = getOracle(req);
+    const sub = await oracle.getUserSubscription(addr);
+    if (!sub) return res.json({});
+    // Effective window (rolled over / lapsed, pending debits included)
+    const window = await oracle.getSubscriptionWindow(addr, sub);
+    return res.json(serialize({ ...sub, ...window }));
+  } catch (e) {
+    return sendError(res, e, 500);
+  }
+});
+
+// Live state as Server-Sent Events: a 'state' event on connect and whenever
+// credits, usedThisWindow or the plan change (checked once per new block),
+// 'error' events while the RPC fails, and a comment line every 15s to keep
+// proxies from closing the connection.
+api.get('/users/:address/stream', async (req, res) => {
+  const addr = req.params.address;
+  if (!ethers.isAddress(addr)) return res.status(400).json({ error: 'invalid address' });
+
+  // Headers go out first; anything after this (including a failed
+  // subscribe) is reported as an event
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\n${data.blockNumber != null ? `id: ${data.blockNumber}\n` : ''}data: ${JSON.stringify(serialize(data))}\n\n`);
+  };
+  // Events that arrive before the initial snapshot is written wait for it
+  let queued = [];
+  const listener = (event, data) => (queued ? queued.push([event, data]) : send(event, data));
+
+  let subscription = null;
+  let keepAlive = null;
+  let closed = false;
+  req.on('close', () => {
+    closed = true;
+    clearInterval(keepAlive);
+    if (subscription) subscription.unsubscribe();
+  });
+
+  try {
+    subscription = await getOracle(req).streams.subscribe(addr, listener);
   } catch (e) {
-    return res.status(500).json({ error: e.message });
+    const error = classifyReadError(e);
+    send('error', { error: error.message, ...(error.status && typeof error.code === 'string' && { code: error.code }) });
+    return res.end();
+  }
+  if (closed) {
+    subscription.unsubscribe();
+    return;
   }
+
+  send('state', subscription.snapshot);
+  for (const [event, data] of queued) send(event, data);
+  queued = null;
+  keepAlive = setInterval(() => res.write(': ping\n\n'), 15 * 1000);
 });
 
 // Check if a user has an active subscription (boolean)
-app.get('/users/:address/has-active-subscription', async (req, res) => {
+api.get('/users/:address/has-active-subscription', async (req, res) => {
+  try {
+    const addr = req.params.address;
+    if (!ethers.isAddress(addr)) return res.status(400).json({ error: 'invalid address' });
+    const oracle = getOracle(req);
+    const sub = await oracle.getUserSubscription(addr);
+    const window = sub ? oracle.computeSubscriptionWindow(sub) : null;
+    return res.json(serialize({
+      address: addr,
+      hasActiveSubscription: oracle.isSubscriptionActive(sub, window),
+      lapsed: !!sub && Number(sub.planId) > 0 && !!window && window.lapsed
+    }));
+  } catch (e) {
+    return sendError(res, e, 500);
+  }
+});
+
+// Open job quotes and what they still hold
+api.get('/users/:address/quotes', async (req, res) => {
+  try {
+    const addr = req.params.address;
+    if (!ethers.isAddress(addr)) return res.status(400).json({ error: 'invalid address' });
+    const quotes = getOracle(req).quotes;
+    return res.json(serialize({ address: addr, quotes: await quotes.list(addr), held: await quotes.getHeld(addr) }));
+  } catch (e) {
+    return sendError(res, e, 500);
+  }
+});
+
+// Usage history and pending debits
+api.get('/users/:address/usage', async (req, res) => {
+  try {
+    const addr = req.params.address;
+    if (!ethers.isAddress(addr)) return res.status(400).json({ error: 'invalid address' });
+    const limit = Math.min(Number(req.query.limit) || 50, 100);
+    const usage = getOracle(req).usage;
+    return res.json(serialize({
+      address: addr,
+      usage: await usage.getUsage(addr, limit),
+      pendingDebits: await usage.getPendingDebits(addr)
+    }));
+  } catch (e) {
+    return sendError(res, e, 500);
+  }
+});
+
+// Indexed on-chain history (events from the contract ABI in INDEXER_ABI_PATH)
+// query: ?reason=referral&event=<EventName>&offset=0&limit=50
+api.get('/users/:address/history', async (req, res) => {
+  try {
+    const addr = req.params.address;
+    if (!ethers.isAddress(addr)) return res.status(400).json({ error: 'invalid address' });
+    const { reason, event } = req.query;
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+    const indexer = getOracle(req).indexer;
+    const history = await indexer.getHistory(addr, { reason, event, offset, limit });
+    return res.json(serialize({ address: addr, ...history, indexedThrough: await indexer.getCursor() }));
+  } catch (e) {
+    return sendError(res, e, 500);
+  }
+});
+
+// Index new confirmed blocks now (for serverless deployments / cron)
+api.post('/indexer/sync', requireOperator, async (req, res) => {
+  try {
+    const result = await getOracle(req).indexer.sync();
+    return res.json(serialize(result));
+  } catch (e) {
+    return sendError(res, e, 500);
+  }
+});
+
+// Clear pending debits once the operator has settled them
+// body: { credits?: number, subscriptionUnits?: number }
+api.post('/users/:address/debits/settled', requireOperator, async (req, res) => {
   try {
     const addr = req.params.address;
     if (!ethers.isAddress(addr)) return res.status(400).json({ error: 'invalid address' });
-    const has = await getOracle().hasActiveSubscription(addr);
-    return res.json(serialize({ address: addr, hasActiveSubscription: !!has }));
+    const { credits = 0, subscriptionUnits = 0 } = req.body || {};
+    const pendingDebits = await getOracle(req).usage.markSettled(addr, { credits, subscriptionUnits });
+    return res.json(serialize({ address: addr, pendingDebits }));
   } catch (e) {
-    return res.status(500).json({ error: e.message });
+    return sendError(res, e, 400);
   }
 });
 
 /* Front-end example:
-const { to, data } = await (await fetch('/credits/initial-grant',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({user})})).json();
+const { to, data } = await (await fetch('/credits/initial-grant',{method:'POST',headers:{'Content-Type':'application/json',Authorization:`Bearer ${token}`},body:JSON.stringify({user})})).json();
 const provider = new ethers.BrowserProvider(window.ethereum);
 const signer = await provider.getSigner(); // oracle/owner
 const tx = await signer.sendTransaction({ to, data });
 await tx.wait();
+await fetch('/credits/initial-grant/confirm',{method:'POST',headers:{'Content-Type':'application/json',Authorization:`Bearer ${token}`},body:JSON.stringify({user,txHash:tx.hash})});
 */
-// Prepare calldata for initial 50-credit grant (oracle/owner must sign & send)
+// Prepare calldata for initial 50-credit grant (oracle/owner must sign & send).
+// The ledger entry stays 'pending' until /credits/initial-grant/confirm sees
+// the mined tx; an unsent one expires (or is released) so the user can get it.
 // body: { user: string }
-app.post('/credits/initial-grant', async (req, res) => {
+api.post('/credits/initial-grant', requireOperator, async (req, res) => {
   try {
     const { user } = req.body || {};
     if (!ethers.isAddress(user)) return res.status(400).json({ error: 'valid user address required' });
+    const oracle = getOracle(req);
+
+    if (await oracle.hasReceivedInitialGrant(user)) {
+      return res.status(400).json({ error: 'not eligible (initial grant already issued)' });
+    }
 
     const [creditsStr, subscription] = await Promise.all([
-      getOracle().getUserCredits(user),
-      getOracle().getUserSubscription(user)
+      oracle.getUserCredits(user),
+      oracle.getUserSubscription(user)
     ]);
 
     const hasCredits = BigInt(creditsStr) > 0n;
-    const isSubscribed = !!subscription && Number(subscription.planId) > 0 && subscription.plan.active;
+    const isSubscribed = oracle.isSubscriptionActive(subscription, subscription && oracle.computeSubscriptionWindow(subscription));
     if (hasCredits || isSubscribed) {
       return res.status(400).json({ error: 'not eligible (has credits or active subscription)' });
     }
 
-    const iface = new ethers.Interface(getOracle().getAccessABI());
-    const data = iface.encodeFunctionData('awardCredits', [user, 50, 'initial_grant']);
-    return res.json(serialize({ to: RAVEN_ACCESS_ADDRESS, data }));
+    // Claim the ledger entry before building or relaying, so two calls cannot both grant
+    const grant = await oracle.claimInitialGrant(user);
+    if (!grant) return res.status(409).json({ error: 'not eligible (initial grant already issued)' });
+
+    const to = oracle.ravenAccess.target;
+    const data = oracle.ravenAccess.interface.encodeFunctionData('awardCredits', [user, 50, 'initial_grant']);
+    const relayer = getRelayer(req);
+    if (!relayer) return res.json(serialize({ to, data, grant }));
+    let tx;
+    try {
+      tx = await relayer.submit({ to, data, label: 'initial_grant' });
+    } catch (e) {
+      // Relayer could not send it: nothing was granted
+      await oracle.releaseInitialGrant(user);
+      throw e;
+    }
+    await oracle.setInitialGrantRelay(user, tx.id);
+    return res.status(202).json(serialize({ to, data, txId: tx.id, status: tx.status, hash: tx.hashes[0] }));
+  } catch (e) {
+    return sendError(res, e, 400);
+  }
+});
+
+// Settle a pending initial grant: confirmed from the mined tx (body.txHash,
+// or the relayed tx's receipt), or released when the relayed tx failed.
+// body: { user: string, txHash?: string }
+api.post('/credits/initial-grant/confirm', requireOperator, async (req, res) => {
+  try {
+    const { user, txHash } = req.body || {};
+    if (!ethers.isAddress(user)) return res.status(400).json({ error: 'valid user address required' });
+    const oracle = getOracle(req);
+    const entry = await oracle.getInitialGrant(user);
+    if (entry && entry.status === 'granted') return res.json(serialize({ user, grant: entry }));
+
+    let hash = txHash;
+    if (hash === undefined && entry && entry.relayTxId && getRelayer(req)) {
+      const tx = await getRelayer(req).refresh(entry.relayTxId);
+      if (tx && tx.status === 'failed') {
+        await oracle.releaseInitialGrant(user);
+        return res.status(409).json({ error: `initial grant transaction failed (${tx.error})`, released: true });
+      }
+      hash = tx && tx.status === 'confirmed' ? tx.txHash : null;
+      if (!hash) return res.status(202).json(serialize({ user, grant: entry }));
+    }
+    if (typeof hash !== 'string' || !ethers.isHexString(hash, 32)) return res.status(400).json({ error: 'txHash required' });
+
+    const grant = await oracle.confirmInitialGrant(user, hash);
+    if (!grant) return res.status(202).json(serialize({ user, grant: entry }));
+    return res.json(serialize({ user, grant }));
+  } catch (e) {
+    return sendError(res, e, 400);
+  }
+});
+
+// Drop a pending initial grant whose tx will not be sent
+api.delete('/credits/initial-grant/:address', requireOperator, async (req, res) => {
+  try {
+    const addr = req.params.address;
+    if (!ethers.isAddress(addr)) return res.status(400).json({ error: 'invalid address' });
+    const released = await getOracle(req).releaseInitialGrant(addr);
+    if (!released) return res.status(404).json({ error: 'no pending initial grant' });
+    return res.json({ address: addr, released });
+  } catch (e) {
+    return sendError(res, e, 400);
+  }
+});
+
+
+// Queue a credit award for the next awardCreditsBatch flush
+// body: { user: string, reason: string, parameter: number }
+api.post('/credits/queue', requireOperator, async (req, res) => {
+  try {
+    const { user, reason, parameter } = req.body || {};
+    if (!ethers.isAddress(user)) return res.status(400).json({ error: 'valid user address required' });
+    if (typeof reason !== 'string') return res.status(400).json({ error: 'reason required' });
+    if (!Number.isFinite(parameter)) return res.status(400).json({ error: 'parameter must be number' });
+    const queued = await getOracle(req).queueCreditAward(user, reason, Number(parameter));
+    return res.json(serialize({ queued }));
+  } catch (e) {
+    return sendError(res, e, 400);
+  }
+});
+
+// Pending awards plus awardCreditsBatch calldata per chunk (queue is not drained)
+api.get('/credits/pending', requireOperator, async (req, res) => {
+  try {
+    const batcher = getOracle(req).batcher;
+    return res.json(serialize({ ...(await batcher.getPending()), chunks: await batcher.buildCalldata() }));
   } catch (e) {
-    return res.status(400).json({ error: e.message });
+    return sendError(res, e, 500);
   }
 });
 
+// Flush the queue on-chain now (requires PRIVATE_KEY of oracle/owner).
+// Through the relayer this does not wait for mining: batches come back
+// 'submitted' with their relayTxId (see GET /tx/:id) and later flushes settle them.
+api.post('/credits/flush', requireOperator, async (req, res) => {
+  try {
+    const signer = getRelayer(req) || getSigner(req);
+    if (!signer) return res.status(503).json({ error: 'PRIVATE_KEY not configured' });
+    const batches = await getOracle(req).flushCreditAwards(signer);
+    const submitted = batches.some(b => b.status === 'submitted');
+    return res.status(submitted ? 202 : 200).json(serialize({ batches }));
+  } catch (e) {
+    return sendError(res, e, 500);
+  }
+});
 
+// Recent batch receipts and failures
+api.get('/credits/batches', (req, res) => {
+  try {
+    const limit = Math.min(Number(req.query.limit) || 50, 500);
+    return res.json(serialize({ batches: getOracle(req).batcher.getBatches(limit) }));
+  } catch (e) {
+    return sendError(res, e, 500);
+  }
+});
+
+// Referral code for an address (created on first call)
+// body: { user: string }
+api.post('/referrals/code', async (req, res) => {
+  try {
+    const { user } = req.body || {};
+    if (!ethers.isAddress(user)) return res.status(400).json({ error: 'valid user address required' });
+    const code = await getOracle(req).referrals.getOrCreateCode(user);
+    return res.json(serialize({ address: user, code }));
+  } catch (e) {
+    return sendError(res, e, 500);
+  }
+});
+
+// Bind a referee to the code's owner (once per referee) and accrue the
+// referrer's 'referral' credits into the award batch.
+// body: { referee: string, code: string, signature: string }
+// signature = personal_sign of `Redeem Raven referral code <CODE> for <referee>`
+api.post('/referrals/redeem', async (req, res) => {
+  try {
+    const { referee, code, signature } = req.body || {};
+    if (!ethers.isAddress(referee)) return res.status(400).json({ error: 'valid referee address required' });
+    if (typeof code !== 'string' || typeof signature !== 'string') return res.status(400).json({ error: 'code and signature required' });
+    const result = await getOracle(req).referrals.redeem(referee, code, signature);
+    return res.json(serialize(result));
+  } catch (e) {
+    return sendError(res, e, 500);
+  }
+});
+
+api.get('/users/:address/referrals', async (req, res) => {
+  try {
+    const addr = req.params.address;
+    if (!ethers.isAddress(addr)) return res.status(400).json({ error: 'invalid address' });
+    const stats = await getOracle(req).referrals.getStats(addr);
+    return res.json(serialize({ address: addr, ...stats }));
+  } catch (e) {
+    return sendError(res, e, 500);
+  }
+});
+
+// Open quests (?all=true includes not-yet-open and ended ones)
+api.get('/quests', async (req, res) => {
+  try {
+    const quests = await getOracle(req).quests.listQuests({ activeOnly: req.query.all !== 'true' });
+    return res.json(serialize({ quests }));
+  } catch (e) {
+    return sendError(res, e, 500);
+  }
+});
+
+// Define or update a quest
+// body: { id, title?, reward?, startsAt?, endsAt?, verifier?: 'manual'|'webhook' }
+api.post('/quests', requireOperator, async (req, res) => {
+  try {
+    const quest = await getOracle(req).quests.defineQuest(req.body || {});
+    return res.json(serialize(quest));
+  } catch (e) {
+    return sendError(res, e, 500);
+  }
+});
+
+// Submit a completion; verified by the quest's verifier. Webhook quests are
+// called by the provider with X-Quest-Timestamp / X-Quest-Signature headers.
+// body: { user: string, proof?: any }
+api.post('/quests/:id/complete', async (req, res) => {
+  try {
+    const { user, proof } = req.body || {};
+    if (!ethers.isAddress(user)) return res.status(400).json({ error: 'valid user address required' });
+    const completion = await getOracle(req).quests.complete(req.params.id, user, {
+      proof,
+      headers: req.headers,
+      rawBody: req.rawBody || ''
+    });
+    return res.status(completion.status === 'pending' ? 202 : 200).json(serialize(completion));
+  } catch (e) {
+    return sendError(res, e, 500);
+  }
+});
+
+api.get('/quests/completions/pending', requireOperator, async (req, res) => {
+  try {
+    return res.json(serialize({ completions: await getOracle(req).quests.listPending() }));
+  } catch (e) {
+    return sendError(res, e, 500);
+  }
+});
+
+// Manual approval / rejection. body: { note?: string }
+for (const decision of ['approve', 'reject']) {
+  api.post(`/quests/:id/completions/:address/${decision}`, requireOperator, async (req, res) => {
+    try {
+      const { note } = req.body || {};
+      const completion = await getOracle(req).quests.decide(req.params.id, req.params.address, decision === 'approve', note);
+      return res.json(serialize(completion));
+    } catch (e) {
+      return sendError(res, e, 500);
+    }
+  });
+}
+
+api.get('/users/:address/quests', async (req, res) => {
+  try {
+    const addr = req.params.address;
+    if (!ethers.isAddress(addr)) return res.status(400).json({ error: 'invalid address' });
+    const quests = await getOracle(req).quests.getUserQuests(addr);
+    return res.json(serialize({ address: addr, ...quests }));
+  } catch (e) {
+    return sendError(res, e, 500);
+  }
+});
+
+// Current/longest prompt streak (UTC days), next milestone and earned bonuses
+api.get('/users/:address/streak', async (req, res) => {
+  try {
+    const addr = req.params.address;
+    if (!ethers.isAddress(addr)) return res.status(400).json({ error: 'invalid address' });
+    const streak = await getOracle(req).streaks.getStreak(addr);
+    return res.json(serialize({ address: addr, ...streak }));
+  } catch (e) {
+    return sendError(res, e, 500);
+  }
+});
+
+// Current memory pointer (last indexed event carrying a memoryHash)
+api.get('/users/:address/memory', async (req, res) => {
+  try {
+    const addr = req.params.address;
+    if (!ethers.isAddress(addr)) return res.status(400).json({ error: 'invalid address' });
+    const current = await getOracle(req).getUserMemoryPointer(addr);
+    if (!current) return res.status(404).json({ error: 'no memory pointer indexed' });
+    let parsed = null;
+    try {
+      parsed = normalizeMemoryPointer(current.pointer);
+    } catch (_) {
+      // Set before validation existed; return it as stored
+    }
+    return res.json(serialize({
+      address: addr,
+      ...current,
+      pointer: parsed ? parsed.pointer : current.pointer,
+      stored: current.pointer,
+      kind: parsed ? parsed.kind : 'unknown',
+      cid: parsed ? parsed.cid : undefined
+    }));
+  } catch (e) {
+    return sendError(res, e, 500);
+  }
+});
+
+// Webhook subscriptions (Only oracle/owner). Deliveries are signed with the
+// webhook's secret; see webhooks.js for the payload and headers.
+// body: { url: string, events: string[], users?: string[], secret?: string }
+api.post('/webhooks', requireOperator, async (req, res) => {
+  try {
+    const webhook = await getOracle(req).webhooks.register(req.body || {});
+    return res.status(201).json(serialize(webhook));
+  } catch (e) {
+    return sendError(res, e, 500);
+  }
+});
+
+api.get('/webhooks', requireOperator, async (req, res) => {
+  try {
+    return res.json(serialize({ webhooks: await getOracle(req).webhooks.list() }));
+  } catch (e) {
+    return sendError(res, e, 500);
+  }
+});
+
+api.get('/webhooks/:id', requireOperator, async (req, res) => {
+  try {
+    return res.json(serialize(await getOracle(req).webhooks.get(req.params.id)));
+  } catch (e) {
+    return sendError(res, e, 500);
+  }
+});
+
+api.delete('/webhooks/:id', requireOperator, async (req, res) => {
+  try {
+    await getOracle(req).webhooks.remove(req.params.id);
+    return res.json({ id: req.params.id, deleted: true });
+  } catch (e) {
+    return sendError(res, e, 500);
+  }
+});
+
+// Delivery log, newest first. Query: status (pending|delivered|failed), limit (default 50, max 200)
+api.get('/webhooks/:id/deliveries', requireOperator, async (req, res) => {
+  try {
+    const limit = Math.min(Number(req.query.limit) || 50, 200);
+    const status = req.query.status ? String(req.query.status) : undefined;
+    const deliveries = await getOracle(req).webhooks.getDeliveries(req.params.id, { status, limit });
+    return res.json(serialize({ deliveries }));
+  } catch (e) {
+    return sendError(res, e, 500);
+  }
+});
+
+// Send a logged delivery again (new delivery id, same payload and eventId)
+api.post('/webhooks/:id/deliveries/:deliveryId/redeliver', requireOperator, async (req, res) => {
+  try {
+    const delivery = await getOracle(req).webhooks.redeliver(req.params.id, req.params.deliveryId);
+    return res.json(serialize(delivery));
+  } catch (e) {
+    return sendError(res, e, 500);
+  }
+});
+
+// Status of a relayed transaction (re-checked on-chain while pending)
+api.get('/tx/:id', requireOperator, async (req, res) => {
+  try {
+    const relayer = getRelayer(req);
+    if (!relayer) return res.status(404).json({ error: 'relayer not enabled' });
+    const tx = await relayer.refresh(req.params.id);
+    if (!tx) return res.status(404).json({ error: 'unknown transaction' });
+    return res.json(serialize(tx));
+  } catch (e) {
+    return sendError(res, e, 500);
+  }
+});
+
+// Prometheus metrics (Authorization: Bearer <METRICS_TOKEN> when set)
+app.get('/metrics', (req, res) => {
+  if (METRICS_TOKEN) {
+    const given = Buffer.from(req.get('authorization') || '');
+    const expected = Buffer.from(`Bearer ${METRICS_TOKEN}`);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      return res.status(401).json({ error: 'metrics token required' });
+    }
+  }
+  res.setHeader('Content-Type', metrics.contentType);
+  return res.send(metrics.render());
+});
+
+// Configured deployments (chain ids usable as /chains/:chainId/...)
+app.get('/chains', (_req, res) => {
+  try {
+    const registry = getRegistry();
+    const chains = registry.list().map(d => ({
+      chainId: d.chainId,
+      name: d.name,
+      accessAddress: d.accessAddress,
+      rpcCount: d.rpcUrls.length,
+      default: d.chainId === registry.defaultChainId
+    }));
+    return res.json(serialize({ chains }));
+  } catch (e) {
+    return sendError(res, e, 500);
+  }
+});
+
+// The default deployment is served under the router's own top-level paths
+// (/inference, /users, ...), matched by lookahead so nothing is stripped
+// from the url; any other path is a plain 404 without resolving a chain
+const API_PATHS = [...new Set(api.stack.filter(layer => layer.route).map(layer => layer.route.path.split('/')[1]))];
+app.use('/chains/:chainId', resolveChain, api);
+app.use(new RegExp(`^(?=/(?:${API_PATHS.join('|')})(?:/|$))`), resolveChain, api);
 
 // Export app for serverless (Vercel) usage
 module.exports = app;
 
+// Start background work for one deployment
+function startChain(chainId) {
+  const req = { chainId };
+  // Long-running process: flush queued awards every BATCH_INTERVAL
+  try {
+    const relayer = getRelayer(req);
+    if (relayer) relayer.start();
+    const signer = relayer || getSigner(req);
+    if (signer) getOracle(req).batcher.start(signer);
+  } catch (e) {
+    logger.error('batch scheduler not started', { chain: chainId, error: e });
+  }
+  // Expire cached user state as new blocks arrive
+  try {
+    if (getOracle(req).cache) getOracle(req).cache.watchBlocks();
+  } catch (e) {
+    logger.error('block watcher not started', { chain: chainId, error: e });
+  }
+  // Follow contract logs when a start block is configured
+  try {
+    if (getChain(req).deployment.indexerStartBlock !== undefined) getOracle(req).indexer.start();
+  } catch (e) {
+    logger.error('event indexer not started', { chain: chainId, error: e });
+  }
+  // Retry webhook deliveries that failed
+  try {
+    getOracle(req).webhooks.start();
+  } catch (e) {
+    logger.error('webhook retries not started', { chain: chainId, error: e });
+  }
+}
+
 // Start local server only when run directly (not in Vercel)
 if (require.main === module) {
-  app.listen(PORT, () => {
-    console.log(`Raven Oracle API listening on :${PORT}`);
-  });
+  (async () => {
+    let registry;
+    try {
+      registry = getRegistry();
+    } catch (e) {
+      // Serve /health and report the config error per request
+      logger.error('deployments not configured', { error: e });
+    }
+    // Refuse to start when an RPC is on another chain than its deployment
+    for (const deployment of registry ? registry.list() : []) {
+      try {
+        const report = await registry.ensureVerified(deployment.chainId);
+        if (!report.ok) logger.warn('no RPC reachable yet', { chain: deployment.chainId, urls: report.urls });
+      } catch (e) {
+        logger.error('RPC chain id mismatch', { chain: deployment.chainId, error: e });
+        process.exit(1);
+      }
+    }
+    app.listen(PORT, () => {
+      logger.info('Raven Oracle API listening', { port: Number(PORT) });
+    });
+    for (const deployment of registry ? registry.list() : []) startChain(deployment.chainId);
+  })();
 }
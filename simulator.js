@@ -0,0 +1,228 @@
+const { ethers } = require('ethers');
+const RavenOracle = require('./ravenOracle');
+const { PricingConfig } = require('./pricing');
+const { MemoryStateStore } = require('./stateStore');
+const { Logger } = require('./logger');
+
+// Dry-run of authorizeInference under a candidate rule set. A recorded list of
+// authorize requests is replayed twice against the same snapshot of user
+// state, once with the live rules and once with the candidate, in sandbox
+// oracles (in-memory state, no provider). Allowed requests are consumed in the
+// sandbox so caps and balances drain as they did. Rate limits are not replayed.
+//
+// Request: { user, mode, quantity?, at? }
+// Snapshot: { takenAt, users: { <address>: { credits, subscription, pendingDebits, initialGrant } },
+//             globalQuota: { window, consumed } }
+const INITIAL_GRANT_CREDITS = 50;
+
+class SimulationError extends Error {
+    constructor(message, code = 'invalid_simulation', status = 400) {
+        super(message);
+        this.name = 'SimulationError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+// Authorize requests from JSON-lines logs (the oracle's 'authorize decision'
+// entries) or from a JSON array of requests
+function parseAuthorizeLog(text) {
+    const trimmed = String(text).trim();
+    if (trimmed.startsWith('[')) return JSON.parse(trimmed);
+    const requests = [];
+    for (const line of trimmed.split(/\r?\n/)) {
+        if (!line.startsWith('{')) continue;
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch (_) {
+            continue;
+        }
+        if (entry.msg !== 'authorize decision') continue;
+        requests.push({ user: entry.user, mode: entry.mode, quantity: entry.quantity, at: entry.time, chain: entry.chain });
+    }
+    return requests;
+}
+
+function emptyTotals() {
+    return { requests: 0, allowed: 0, denied: 0, creditsCharged: 0, byMethod: {}, byReason: {}, byMode: {} };
+}
+
+function count(totals, request, decision) {
+    const cost = decision.allowed && decision.method === 'credits' ? decision.cost : 0;
+    totals.requests += 1;
+    totals[decision.allowed ? 'allowed' : 'denied'] += 1;
+    totals.creditsCharged += cost;
+    totals.byMethod[decision.method] = (totals.byMethod[decision.method] || 0) + 1;
+    totals.byReason[decision.reason] = (totals.byReason[decision.reason] || 0) + 1;
+    const mode = totals.byMode[request.mode] || { requests: 0, allowed: 0, denied: 0, creditsCharged: 0 };
+    mode.requests += 1;
+    mode[decision.allowed ? 'allowed' : 'denied'] += 1;
+    mode.creditsCharged += cost;
+    totals.byMode[request.mode] = mode;
+}
+
+class AuthorizationSimulator {
+    // options: { maxRequests, maxExamples }
+    constructor(oracle, options = {}) {
+        this.oracle = oracle;
+        this.maxRequests = options.maxRequests || 100000;
+        this.maxExamples = options.maxExamples || 100;
+    }
+
+    _requests(requests) {
+        if (!Array.isArray(requests) || requests.length === 0) throw new SimulationError('requests must be a non-empty array');
+        if (requests.length > this.maxRequests) throw new SimulationError(`at most ${this.maxRequests} requests`);
+        return requests.map((r, i) => {
+            if (!r || !ethers.isAddress(r.user)) throw new SimulationError(`request ${i}: valid user address required`);
+            if (typeof r.mode !== 'string') throw new SimulationError(`request ${i}: mode required`);
+            const quantity = r.quantity === undefined ? 1 : Number(r.quantity);
+            return { user: ethers.getAddress(r.user), mode: r.mode, quantity, ...(r.at && { at: r.at }) };
+        });
+    }
+
+    // Current state of every user in `requests`, read once from the live
+    // oracle (chain reads go through the cache / multicall)
+    async snapshot(requests) {
+        const users = [...new Set(this._requests(requests).map(r => r.user))];
+        const states = await this.oracle.getUserStates(users);
+        const out = {};
+        for (const user of users) {
+            const { subscription, credits } = states.get(user);
+            out[user] = {
+                credits: String(credits),
+                subscription: subscription ? {
+                    planId: Number(subscription.planId),
+                    startTimestamp: Number(subscription.startTimestamp),
+                    usedThisWindow: Number(subscription.usedThisWindow),
+                    lastRenewedAt: Number(subscription.lastRenewedAt),
+                    plan: {
+                        priceUnits: String(subscription.plan.priceUnits),
+                        monthlyCap: Number(subscription.plan.monthlyCap),
+                        active: !!subscription.plan.active
+                    }
+                } : null,
+                pendingDebits: await this.oracle.usage.getPendingDebits(user),
+                initialGrant: await this.oracle.hasReceivedInitialGrant(user)
+            };
+        }
+        const quota = await this.oracle.globalQuota.getUsage();
+        return {
+            takenAt: new Date().toISOString(),
+            contract: this.oracle.ravenAccess.target,
+            users: out,
+            globalQuota: { window: quota.window, consumed: quota.consumed + quota.reserved }
+        };
+    }
+
+    // Oracle over the snapshot: same window settings as the live oracle, the
+    // given rules, in-memory state, reads served from the snapshot
+    async _sandbox(pricing, snapshot) {
+        const sandbox = new RavenOracle(null, this.oracle.ravenAccess.target, {
+            pricing,
+            logger: new Logger({ level: 'error' }),
+            cache: false,
+            stateStore: new MemoryStateStore(),
+            subscriptionWindowSeconds: this.oracle.SUBSCRIPTION_WINDOW_SECONDS,
+            subscriptionGraceSeconds: this.oracle.SUBSCRIPTION_GRACE_SECONDS,
+            maxQuantityPerRequest: this.oracle.MAX_QUANTITY_PER_REQUEST
+        });
+        const users = new Map(Object.entries(snapshot.users || {}).map(([address, u]) => [address.toLowerCase(), { ...u }]));
+        const lookup = (address) => {
+            const user = users.get(String(address).toLowerCase());
+            if (!user) throw new SimulationError(`user ${address} is not in the snapshot`, 'missing_user');
+            return user;
+        };
+        sandbox.getUserSubscription = async address => lookup(address).subscription || null;
+        sandbox.getUserCredits = async address => String(lookup(address).credits || '0');
+        sandbox.checkRateLimit = async () => ({ allowed: true });
+        // An issued initial grant lands as credits
+        sandbox.simulateInitialGrant = async (address) => {
+            const user = lookup(address);
+            user.credits = (BigInt(user.credits || 0) + BigInt(INITIAL_GRANT_CREDITS)).toString();
+            await sandbox.state.set(`initial_grant:${String(address).toLowerCase()}`, { status: 'simulated' });
+        };
+
+        for (const [address, user] of users) {
+            if (user.pendingDebits) await sandbox.state.set(sandbox.usage._key('debits', address), user.pendingDebits);
+            if (user.initialGrant) await sandbox.state.set(`initial_grant:${address}`, { status: 'snapshot' });
+        }
+        // Quota used by others before the replay (only if still the current window)
+        const quota = snapshot.globalQuota;
+        if (quota && quota.window === sandbox.globalQuota.window().id && quota.consumed > 0) {
+            await sandbox.state.set(sandbox.globalQuota._key(quota.window), { consumed: quota.consumed, byMode: {}, reservations: {} });
+        }
+        return sandbox;
+    }
+
+    async _replay(sandbox, requests) {
+        const decisions = [];
+        for (const request of requests) {
+            let decision;
+            try {
+                decision = await sandbox.authorizeInference(request.user, request.mode, request.quantity);
+            } catch (error) {
+                if (error instanceof SimulationError) throw error;
+                decision = { allowed: false, method: 'deny', reason: 'invalid_request', cost: 0, error: error.message };
+            }
+            if (decision.allowed) {
+                if (decision.method === 'initial_grant') await sandbox.simulateInitialGrant(request.user);
+                await sandbox.consumeInference(request.user, { mode: request.mode, quantity: request.quantity, authorization: decision });
+            }
+            decisions.push(decision);
+        }
+        return decisions;
+    }
+
+    // Replay `requests` under the live rules and `rules` (a rule set or
+    // { ruleSets }). snapshot defaults to a fresh one from the live oracle.
+    // Returns { requests, baseline, candidate, flips: { total, byType, users, examples } }
+    async run({ requests, rules, snapshot }) {
+        const list = this._requests(requests);
+        let candidate;
+        try {
+            candidate = rules instanceof PricingConfig ? rules : new PricingConfig(rules);
+        } catch (error) {
+            throw new SimulationError(`invalid candidate rules: ${error.message}`, 'invalid_rules');
+        }
+        const state = snapshot || await this.snapshot(list);
+        if (!state.users || typeof state.users !== 'object') throw new SimulationError('snapshot.users required');
+
+        const before = await this._replay(await this._sandbox(this.oracle.pricing, state), list);
+        const after = await this._replay(await this._sandbox(candidate, state), list);
+
+        const report = {
+            requests: list.length,
+            users: new Set(list.map(r => r.user)).size,
+            snapshotTakenAt: state.takenAt || null,
+            rules: { baseline: this.oracle.getRules().version, candidate: candidate.getActive().version },
+            baseline: emptyTotals(),
+            candidate: emptyTotals(),
+            flips: { total: 0, byType: {}, users: 0, examples: [] }
+        };
+        const flippedUsers = new Set();
+        list.forEach((request, i) => {
+            const a = before[i];
+            const b = after[i];
+            count(report.baseline, request, a);
+            count(report.candidate, request, b);
+            if (a.method === b.method) return;
+            const type = `${a.method}->${b.method}`;
+            report.flips.total += 1;
+            report.flips.byType[type] = (report.flips.byType[type] || 0) + 1;
+            flippedUsers.add(request.user);
+            if (report.flips.examples.length < this.maxExamples) {
+                const pick = d => ({ method: d.method, reason: d.reason, cost: d.cost });
+                report.flips.examples.push({ index: i, ...request, baseline: pick(a), candidate: pick(b) });
+            }
+        });
+        report.flips.users = flippedUsers.size;
+        return report;
+    }
+}
+
+module.exports = {
+    AuthorizationSimulator,
+    SimulationError,
+    parseAuthorizeLog
+};
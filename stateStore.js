@@ -0,0 +1,237 @@
+const fs = require('fs');
+const path = require('path');
+
+// Pluggable key/value state store for oracle guarantees that must survive
+// restarts (one-time grants, rate limiter windows, ...). Every method is async
+// so a shared backend (Redis, a database) can implement the same interface.
+// Subclasses implement get/update/delete/keys; helpers build on update().
+class StateStore {
+    async get(_key) {
+        throw new Error('not implemented');
+    }
+
+    // Atomic read-modify-write. fn(current) returns the next value
+    // (undefined deletes the key). Resolves with the next value.
+    async update(_key, _fn, _ttlMs) {
+        throw new Error('not implemented');
+    }
+
+    async delete(_key) {
+        throw new Error('not implemented');
+    }
+
+    async keys(_prefix) {
+        throw new Error('not implemented');
+    }
+
+    async set(key, value, ttlMs) {
+        return this.update(key, () => value, ttlMs);
+    }
+
+    // Sets the key only when missing. Resolves true when this call set it.
+    async setIfAbsent(key, value, ttlMs) {
+        let created = false;
+        await this.update(key, current => {
+            if (current !== undefined) return current;
+            created = true;
+            return value;
+        }, ttlMs);
+        return created;
+    }
+
+    async incr(key, by = 1, ttlMs) {
+        return this.update(key, current => (Number(current) || 0) + by, ttlMs);
+    }
+}
+
+// Process-local store (default). Entries: key -> { value, expiresAt }
+class MemoryStateStore extends StateStore {
+    constructor() {
+        super();
+        this._data = new Map();
+    }
+
+    _read(key, now = Date.now()) {
+        const entry = this._data.get(key);
+        if (!entry) return undefined;
+        if (entry.expiresAt && entry.expiresAt <= now) {
+            this._data.delete(key);
+            return undefined;
+        }
+        return entry.value;
+    }
+
+    _write(key, value, ttlMs) {
+        if (value === undefined) {
+            this._data.delete(key);
+            return;
+        }
+        // Keep the previous expiry when no ttl is given
+        const prev = this._data.get(key);
+        const expiresAt = ttlMs ? Date.now() + ttlMs : (prev ? prev.expiresAt : null);
+        this._data.set(key, { value, expiresAt: expiresAt || null });
+    }
+
+    async get(key) {
+        return this._read(key);
+    }
+
+    async update(key, fn, ttlMs) {
+        const next = fn(this._read(key));
+        this._write(key, next, ttlMs);
+        return next;
+    }
+
+    async delete(key) {
+        this._data.delete(key);
+    }
+
+    async keys(prefix = '') {
+        const now = Date.now();
+        return [...this._data.keys()].filter(k => k.startsWith(prefix) && this._read(k, now) !== undefined);
+    }
+}
+
+// JSON file store. Mutations take a lock file and re-read the file first, so
+// several processes on the same host/volume can share one state file.
+class FileStateStore extends MemoryStateStore {
+    constructor(filePath, options = {}) {
+        super();
+        if (!filePath) throw new Error('filePath is required');
+        this.filePath = path.resolve(filePath);
+        this.lockPath = `${this.filePath}.lock`;
+        this.lockStaleMs = options.lockStaleMs || 10 * 1000;
+        this._mtimeMs = 0;
+        this._queue = Promise.resolve(); // serialises in-process operations
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        this._reload();
+    }
+
+    _reload(force = false) {
+        let stat;
+        try {
+            stat = fs.statSync(this.filePath);
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            throw error;
+        }
+        if (!force && stat.mtimeMs === this._mtimeMs) return;
+        const raw = fs.readFileSync(this.filePath, 'utf8');
+        const parsed = raw ? JSON.parse(raw) : {};
+        this._data = new Map(Object.entries(parsed));
+        this._mtimeMs = stat.mtimeMs;
+    }
+
+    _persist() {
+        const now = Date.now();
+        const out = {};
+        for (const [key, entry] of this._data) {
+            if (!entry.expiresAt || entry.expiresAt > now) out[key] = entry;
+        }
+        const tmp = `${this.filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(out));
+        fs.renameSync(tmp, this.filePath);
+        this._mtimeMs = fs.statSync(this.filePath).mtimeMs;
+    }
+
+    async _acquireLock() {
+        for (;;) {
+            try {
+                return fs.openSync(this.lockPath, 'wx');
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+                try {
+                    const { mtimeMs } = fs.statSync(this.lockPath);
+                    if (Date.now() - mtimeMs > this.lockStaleMs) fs.unlinkSync(this.lockPath);
+                } catch (_) {
+                    // lock released between open and stat
+                }
+                await new Promise(resolve => setTimeout(resolve, 10));
+            }
+        }
+    }
+
+    _exclusive(fn) {
+        const run = this._queue.then(async () => {
+            const fd = await this._acquireLock();
+            try {
+                this._reload(true);
+                return fn();
+            } finally {
+                fs.closeSync(fd);
+                fs.unlinkSync(this.lockPath);
+            }
+        });
+        this._queue = run.catch(() => {});
+        return run;
+    }
+
+    async get(key) {
+        this._reload();
+        return this._read(key);
+    }
+
+    async update(key, fn, ttlMs) {
+        return this._exclusive(() => {
+            const next = fn(this._read(key));
+            this._write(key, next, ttlMs);
+            this._persist();
+            return next;
+        });
+    }
+
+    async delete(key) {
+        return this._exclusive(() => {
+            this._data.delete(key);
+            this._persist();
+        });
+    }
+
+    async keys(prefix = '') {
+        this._reload();
+        return super.keys(prefix);
+    }
+}
+
+// View of another store with every key under `prefix` (e.g. one namespace
+// per chain in a shared state file). keys() returns unprefixed keys.
+class PrefixedStateStore extends StateStore {
+    constructor(store, prefix) {
+        super();
+        this.store = store;
+        this.prefix = prefix;
+    }
+
+    async get(key) {
+        return this.store.get(this.prefix + key);
+    }
+
+    async update(key, fn, ttlMs) {
+        return this.store.update(this.prefix + key, fn, ttlMs);
+    }
+
+    async delete(key) {
+        return this.store.delete(this.prefix + key);
+    }
+
+    async keys(prefix = '') {
+        const keys = await this.store.keys(this.prefix + prefix);
+        return keys.map(k => k.slice(this.prefix.length));
+    }
+}
+
+// Build a store from { type: 'memory'|'file', filePath }
+function createStateStore(options = {}) {
+    const type = options.type || 'memory';
+    if (type === 'memory') return new MemoryStateStore();
+    if (type === 'file') return new FileStateStore(options.filePath || './oracle-state.json', options);
+    throw new Error(`Unknown state store type: ${type}`);
+}
+
+module.exports = {
+    StateStore,
+    MemoryStateStore,
+    FileStateStore,
+    PrefixedStateStore,
+    createStateStore
+};
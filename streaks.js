@@ -0,0 +1,115 @@
+const { ethers } = require('ethers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// UTC day number (days since epoch) and its YYYY-MM-DD label
+function utcDay(ms) {
+    return Math.floor(ms / DAY_MS);
+}
+
+function dayLabel(day) {
+    return day === null ? null : new Date(day * DAY_MS).toISOString().slice(0, 10);
+}
+
+// Prompt streaks in UTC days, fed by inferences consumed with a verified
+// server-signed authorization (UsageMeter.consumeSigned). A day counts once
+// the user has made streakMinPromptsPerDay prompts that day; consecutive
+// counted days form a streak. Reaching a streakMilestones length queues a
+// 'prompt_streak' bonus (once per streak run). State per user in streak:<user>:
+// { day, dayPrompts, lastQualifiedDay, current, longest, awardedMilestones, awards }
+class StreakTracker {
+    constructor(oracle, options = {}) {
+        this.oracle = oracle;
+        this.maxAwardsKept = options.maxAwardsKept || 50;
+    }
+
+    _key(userAddress) {
+        return `streak:${String(userAddress).toLowerCase()}`;
+    }
+
+    // Bonus credits for reaching a streak of `days` (0 if not a milestone)
+    milestoneBonus(days) {
+        return this.oracle.getRules().streakMilestones[String(days)] || 0;
+    }
+
+    // Record prompts made at `now`. Returns { streak, award }; award is the
+    // queued milestone bonus, if this activity completed one.
+    async recordActivity(userAddress, prompts = 1, now = Date.now()) {
+        if (!ethers.isAddress(userAddress)) throw new Error('valid user address required');
+        if (!Number.isInteger(prompts) || prompts <= 0) throw new Error('prompts must be a positive integer');
+        const user = ethers.getAddress(userAddress);
+        const today = utcDay(now);
+        const minPrompts = this.oracle.getRules().streakMinPromptsPerDay;
+        let milestone = null;
+
+        const state = await this.oracle.state.update(this._key(user), (current) => {
+            const s = {
+                day: null,
+                dayPrompts: 0,
+                lastQualifiedDay: null,
+                current: 0,
+                longest: 0,
+                awardedMilestones: [],
+                awards: [],
+                ...current
+            };
+            if (s.day !== today) {
+                s.day = today;
+                s.dayPrompts = 0;
+            }
+            const before = s.dayPrompts;
+            s.dayPrompts += prompts;
+
+            // Day qualifies the first time it crosses the threshold
+            if (before < minPrompts && s.dayPrompts >= minPrompts && s.lastQualifiedDay !== today) {
+                if (s.lastQualifiedDay === today - 1) {
+                    s.current += 1;
+                } else {
+                    s.current = 1;
+                    s.awardedMilestones = [];
+                }
+                s.lastQualifiedDay = today;
+                s.longest = Math.max(s.longest, s.current);
+
+                const bonus = this.milestoneBonus(s.current);
+                if (bonus > 0 && !s.awardedMilestones.includes(s.current)) {
+                    s.awardedMilestones = [...s.awardedMilestones, s.current];
+                    milestone = { days: s.current, credits: bonus, day: dayLabel(today), at: now };
+                    s.awards = [...s.awards, milestone].slice(-this.maxAwardsKept);
+                }
+            }
+            return s;
+        });
+
+        const award = milestone ? await this.oracle.batcher.queueAmount(user, 'prompt_streak', milestone.credits) : null;
+        return { streak: this._view(state, now), award };
+    }
+
+    // Public view: a streak is only current if the last counted day is today or yesterday
+    _view(s, now = Date.now()) {
+        const today = utcDay(now);
+        const alive = s.lastQualifiedDay !== null && s.lastQualifiedDay >= today - 1;
+        const current = alive ? s.current : 0;
+        const next = Object.keys(this.oracle.getRules().streakMilestones)
+            .map(Number)
+            .filter(days => days > current)
+            .sort((a, b) => a - b)[0];
+        return {
+            current,
+            longest: s.longest,
+            lastActiveDay: dayLabel(s.lastQualifiedDay),
+            todayPrompts: s.day === today ? s.dayPrompts : 0,
+            countsToday: s.lastQualifiedDay === today,
+            nextMilestone: next ? { days: next, credits: this.milestoneBonus(next) } : null,
+            awards: s.awards
+        };
+    }
+
+    async getStreak(userAddress, now = Date.now()) {
+        const s = await this.oracle.state.get(this._key(userAddress));
+        return this._view(s || { day: null, dayPrompts: 0, lastQualifiedDay: null, current: 0, longest: 0, awards: [] }, now);
+    }
+}
+
+module.exports = StreakTracker;
+module.exports.utcDay = utcDay;
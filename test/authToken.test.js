@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { buildDomain, signAuthorization, verifyAuthorization } = require('../authToken');
+const { MemoryStateStore } = require('../stateStore');
+const { ACCESS_ADDRESS, randomAddress } = require('./helpers');
+
+const signer = ethers.Wallet.createRandom();
+const domain = buildDomain(1n, ACCESS_ADDRESS);
+const decision = { user: randomAddress(), mode: 'full', quantity: 2, method: 'credits', cost: 12, reservationId: '' };
+
+test('a signed authorization verifies against its signer and domain', async () => {
+    const before = Math.floor(Date.now() / 1000);
+    const signed = await signAuthorization(signer, domain, decision);
+    assert.equal(signed.signer, signer.address);
+    assert.ok(signed.message.expiry >= before + 120 && signed.message.expiry <= Math.floor(Date.now() / 1000) + 120);
+
+    const result = await verifyAuthorization(signed, { domain, expectedSigner: signer.address });
+    assert.deepEqual([result.valid, result.reason], [true, 'ok']);
+    assert.equal(result.message.cost, 12);
+});
+
+test('tampered, foreign and expired authorizations are rejected', async () => {
+    const signed = await signAuthorization(signer, domain, decision, 60);
+    const check = (s, options = {}) => verifyAuthorization(s, { domain, expectedSigner: signer.address, ...options }).then(r => r.reason);
+
+    assert.equal(await check({ ...signed, message: { ...signed.message, cost: 0 } }), 'wrong_signer');
+    assert.equal(await check({ ...signed, message: { ...signed.message, reservationId: 'other' } }), 'wrong_signer');
+    assert.equal(await check(signed, { expectedSigner: randomAddress() }), 'wrong_signer');
+    assert.equal(await check(signed, { domain: buildDomain(2n, ACCESS_ADDRESS) }), 'wrong_signer');
+    assert.equal(await check({ ...signed, signature: '0x1234' }), 'bad_signature');
+    assert.equal(await check({ signature: signed.signature }), 'malformed');
+    assert.equal(await check(signed, { now: (signed.message.expiry + 1) * 1000 }), 'expired');
+    await assert.rejects(verifyAuthorization(signed, { domain }), /expectedSigner are required/);
+});
+
+test('with a nonce store each authorization verifies once', async () => {
+    const nonceStore = new MemoryStateStore();
+    const signed = await signAuthorization(signer, domain, decision);
+    const options = { domain, expectedSigner: signer.address, nonceStore };
+
+    assert.equal((await verifyAuthorization(signed, options)).valid, true);
+    assert.equal((await verifyAuthorization(signed, options)).reason, 'replayed');
+    // A fresh authorization for the same decision has its own nonce
+    assert.equal((await verifyAuthorization(await signAuthorization(signer, domain, decision), options)).valid, true);
+});
+
+test('signing needs a signer', async () => {
+    await assert.rejects(signAuthorization(null, domain, decision), /Signer is required/);
+});
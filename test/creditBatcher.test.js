@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CreditBatcher = require('../creditBatcher');
+const { createTestOracle, randomAddress } = require('./helpers');
+
+// TxRelayer stand-in: records submitted requests; tx `outcome` (a record
+// status) is reported by refresh(). `gate`, when set, holds submit() open.
+function fakeRelayer({ outcome = 'confirmed' } = {}) {
+    const relayer = {
+        submitted: [],
+        outcome,
+        gate: null,
+        async submit(request) {
+            relayer.submitted.push(request);
+            if (relayer.gate) await relayer.gate;
+            const n = relayer.submitted.length;
+            return { id: `relay-${n}`, hashes: [`0x${String(n).padStart(64, '0')}`], nonce: n };
+        },
+        async refresh(id) {
+            const n = Number(id.split('-')[1]);
+            if (relayer.outcome === 'pending') return { id, status: 'submitted' };
+            return { id, status: relayer.outcome, txHash: `0x${String(n).padStart(64, '0')}`, blockNumber: 100 + n, error: relayer.outcome === 'failed' ? 'reverted' : undefined };
+        }
+    };
+    return relayer;
+}
+
+test('queued awards are summed per user and chunked per reason', async () => {
+    const oracle = createTestOracle();
+    const batcher = new CreditBatcher(oracle, { maxBatchSize: 2 });
+    const [a, b, c] = [randomAddress(), randomAddress(), randomAddress()];
+
+    await batcher.queueAmount(a, 'referral', 6);
+    await batcher.queueAmount(a, 'referral', 6);
+    await batcher.queueAmount(b, 'referral', 6);
+    await batcher.queueAmount(c, 'referral', 6);
+    await batcher.queueAmount(a, 'social_quest', 4);
+
+    const chunks = await batcher.buildChunks();
+    assert.deepEqual(chunks.map(ch => [ch.reason, ch.users.length]), [['referral', 2], ['referral', 1], ['social_quest', 1]]);
+    assert.deepEqual(chunks[0].amounts, [12, 6]);
+});
+
+test('a confirmed flush settles every chunk and tells listeners', async () => {
+    const oracle = createTestOracle();
+    const batcher = new CreditBatcher(oracle);
+    const relayer = fakeRelayer();
+    const user = randomAddress();
+    const confirmed = [];
+    batcher.onConfirmed((chunk, outcome) => confirmed.push([chunk.refs, outcome.txHash]));
+
+    await batcher.queueAmount(user, 'referral', 6, { ref: 'ref-1' });
+    const results = await batcher.flush(relayer);
+    assert.deepEqual(results.map(r => r.status), ['confirmed']);
+    assert.deepEqual(confirmed, [[[['ref-1']], results[0].txHash]]);
+    assert.deepEqual(await batcher.getPending().then(p => [p.awards, p.retrying, p.submitted]), [[], [], []]);
+});
+
+test('a broadcast chunk is never sent again while it can still mine', async () => {
+    const oracle = createTestOracle();
+    const batcher = new CreditBatcher(oracle);
+    const relayer = fakeRelayer({ outcome: 'pending' });
+    await batcher.queueAmount(randomAddress(), 'referral', 6);
+
+    assert.deepEqual((await batcher.flush(relayer)).map(r => r.status), ['submitted']);
+    assert.deepEqual(await batcher.flush(relayer), []);
+    assert.equal(relayer.submitted.length, 1);
+
+    relayer.outcome = 'confirmed';
+    assert.deepEqual((await batcher.flush(relayer)).map(r => r.status), ['confirmed']);
+    assert.equal(relayer.submitted.length, 1);
+});
+
+test('a reverted chunk is retried, up to maxRetries', async () => {
+    const oracle = createTestOracle();
+    const batcher = new CreditBatcher(oracle, { maxRetries: 2 });
+    const relayer = fakeRelayer({ outcome: 'failed' });
+    await batcher.queueAmount(randomAddress(), 'referral', 6);
+
+    assert.deepEqual((await batcher.flush(relayer)).map(r => r.status), ['retrying']);
+    assert.deepEqual((await batcher.flush(relayer)).map(r => r.status), ['failed']);
+    assert.equal(relayer.submitted.length, 2);
+    assert.deepEqual((await batcher.getPending()).retrying, []);
+});
+
+test('batchers sharing a store never send the same chunk twice', async () => {
+    const oracle = createTestOracle();
+    // Two processes: separate batchers (and flush guards) over one store
+    const first = new CreditBatcher(oracle);
+    const second = new CreditBatcher(oracle);
+    const relayer = fakeRelayer();
+    let open;
+    relayer.gate = new Promise(resolve => { open = resolve; });
+    await first.queueAmount(randomAddress(), 'referral', 6);
+
+    const sending = first.flush(relayer);
+    while (relayer.submitted.length === 0) await new Promise(resolve => setImmediate(resolve));
+
+    // The chunk is leased and 'sending': the other batcher neither sends nor drops it
+    assert.deepEqual(await second.flush(relayer), []);
+    open();
+    assert.deepEqual((await sending).map(r => r.status), ['confirmed']);
+    assert.equal(relayer.submitted.length, 1);
+});
+
+test('only a sending chunk whose lease expired is taken for interrupted', async () => {
+    const oracle = createTestOracle();
+    const batcher = new CreditBatcher(oracle);
+    const relayer = fakeRelayer();
+    const chunk = { reason: 'referral', users: [randomAddress()], amounts: [6], refs: [[]], attempts: 1, status: 'sending', owner: 'other' };
+    await oracle.state.set('credit_chunks', {
+        1: { ...chunk, id: 1, leaseUntil: Date.now() + 60 * 1000 },
+        2: { ...chunk, id: 2, leaseUntil: Date.now() - 1 }
+    });
+
+    const results = await batcher.flush(relayer);
+    assert.deepEqual(results.map(r => [r.id, r.status, r.error]), [[2, 'failed', 'interrupted while sending']]);
+    assert.deepEqual(Object.keys(await oracle.state.get('credit_chunks')), ['1']);
+    assert.equal(relayer.submitted.length, 0);
+});
+
+test('the last flush time is shared through the store', async () => {
+    const oracle = createTestOracle();
+    const first = new CreditBatcher(oracle, { batchInterval: 60 * 1000 });
+    const second = new CreditBatcher(oracle, { batchInterval: 60 * 1000 });
+
+    await first.flush(fakeRelayer());
+    const { lastBatchTime } = await second.getPending();
+    assert.equal(lastBatchTime, await oracle.state.get('credit_last_batch'));
+    assert.equal(await second.isDue(lastBatchTime + 1000), false);
+    assert.equal(await second.isDue(lastBatchTime + 60 * 1000), true);
+});
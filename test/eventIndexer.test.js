@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { createTestOracle, randomAddress } = require('./helpers');
+
+const ABI = [
+    'event CreditsAwarded(address indexed user, uint256 amount, string reason)',
+    'event MemoryUpdated(address indexed user, string memoryHash)',
+    'event PlanCreated(uint8 planId, uint256 monthlyCap)'
+];
+const iface = new ethers.Interface(ABI);
+
+// Provider over an in-memory chain. `logs` holds { blockNumber, name, args, fork? };
+// reorg(n) replaces every block from n on, dropping logs of the old fork.
+function fakeChain(head) {
+    const chain = { head, logs: [], fork: 0, forkFrom: Infinity };
+    const forkOf = n => (n >= chain.forkFrom ? chain.fork : 0);
+    chain.provider = {
+        async getBlockNumber() { return chain.head; },
+        async getBlock(n) { return n <= chain.head ? { number: n, hash: ethers.id(`${n}:${forkOf(n)}`), timestamp: 1700000000 + n } : null; },
+        async getLogs({ fromBlock, toBlock }) {
+            return chain.logs
+                .filter(l => l.blockNumber >= fromBlock && l.blockNumber <= toBlock && (l.fork || 0) === forkOf(l.blockNumber))
+                .map((l, index) => ({ ...iface.encodeEventLog(l.name, l.args), blockNumber: l.blockNumber, transactionHash: ethers.id(`tx:${index}:${l.blockNumber}`), index }));
+        }
+    };
+    chain.reorg = (from) => {
+        chain.forkFrom = from;
+        chain.fork += 1;
+    };
+    return chain;
+}
+
+function indexedOracle(chain, options = {}) {
+    const oracle = createTestOracle({ indexer: { abi: ABI, confirmations: 2, chunkSize: 5, ...options } });
+    oracle.provider = chain.provider;
+    return oracle;
+}
+
+test('confirmed events with a user are indexed with their named arguments', async () => {
+    const user = randomAddress();
+    const chain = fakeChain(20);
+    chain.logs.push(
+        { blockNumber: 3, name: 'CreditsAwarded', args: [user, 50n, 'initial_grant'] },
+        { blockNumber: 7, name: 'PlanCreated', args: [1, 100n] },
+        { blockNumber: 12, name: 'MemoryUpdated', args: [user, 'ipfs://bafy'] },
+        { blockNumber: 19, name: 'CreditsAwarded', args: [user, 6n, 'referral'] }
+    );
+    const oracle = indexedOracle(chain);
+
+    const result = await oracle.indexer.sync();
+    assert.equal(result.indexed, 2, 'block 19 is not yet 2 blocks deep');
+    assert.equal(result.cursor.blockNumber, 18);
+
+    const history = await oracle.indexer.getHistory(user);
+    assert.equal(history.total, 2);
+    assert.deepEqual(history.items.map(e => e.event), ['MemoryUpdated', 'CreditsAwarded']);
+    const award = history.items[1];
+    assert.deepEqual([award.user, award.amount, award.reason, award.blockNumber, award.timestamp], [user, '50', 'initial_grant', 3, 1700000003]);
+    assert.deepEqual((await oracle.indexer.getHistory(user, { reason: 'initial_grant' })).items.length, 1);
+    assert.equal((await oracle.getUserMemoryPointer(user)).pointer, 'ipfs://bafy');
+
+    chain.head = 21;
+    assert.equal((await oracle.indexer.sync()).indexed, 1);
+    assert.equal((await oracle.indexer.getHistory(user)).total, 3);
+});
+
+test('a replaced cursor block rewinds and re-indexes the new chain', async () => {
+    const user = randomAddress();
+    const chain = fakeChain(20);
+    chain.logs.push({ blockNumber: 17, name: 'CreditsAwarded', args: [user, 6n, 'referral'] });
+    const oracle = indexedOracle(chain);
+    await oracle.indexer.sync();
+
+    // Blocks 15+ are replaced: the award moved to block 16 with another amount
+    chain.reorg(15);
+    chain.logs.push({ blockNumber: 16, name: 'CreditsAwarded', args: [user, 4n, 'social_quest'], fork: 1 });
+    await oracle.indexer.sync();
+
+    const { items } = await oracle.indexer.getHistory(user);
+    assert.deepEqual(items.map(e => [e.blockNumber, e.amount, e.reason]), [[16, '4', 'social_quest']]);
+    assert.equal((await oracle.indexer.getCursor()).blockHash, (await chain.provider.getBlock(18)).hash);
+});
+
+test('without an event ABI nothing is indexed', async () => {
+    const oracle = createTestOracle();
+    assert.equal(oracle.indexer.isConfigured(), false);
+    await assert.rejects(oracle.indexer.sync(), /no contract event ABI/);
+    assert.equal(await oracle.getUserMemoryPointer(randomAddress()), null);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestOracle, randomAddress } = require('./helpers');
+
+const NOW = Date.UTC(2026, 0, 10, 12);
+
+function quotaOracle(cap = 10, users = {}) {
+    return createTestOracle({ users, pricing: { version: 'test', globalPriceAccuracyCap: cap } });
+}
+
+test('reservations hold units until the cap', async () => {
+    const quota = quotaOracle(10).globalQuota;
+
+    const first = await quota.reserve(randomAddress(), 'full', 6, NOW);
+    assert.equal(first.units, 6);
+    assert.match(first.reservationId, /^2026-01\.[0-9a-f]{16}$/);
+    assert.equal(await quota.reserve(randomAddress(), 'full', 5, NOW), null);
+    assert.equal(await quota.hasRoom(4, NOW), true);
+    assert.equal(await quota.hasRoom(5, NOW), false);
+    assert.equal((await quota.getUsage('2026-01', NOW)).remaining, 4);
+});
+
+test('a capture counts its reservation once; without one it counts the units', async () => {
+    const quota = quotaOracle(10).globalQuota;
+    const { reservationId } = await quota.reserve(randomAddress(), 'full', 3, NOW);
+
+    assert.deepEqual(await quota.capture({ reservationId, mode: 'full', units: 3 }, NOW), { window: '2026-01', units: 3, reserved: true });
+    assert.deepEqual(await quota.capture({ mode: 'price_accuracy', units: 2 }, NOW), { window: '2026-01', units: 2, reserved: false });
+    const usage = await quota.getUsage('2026-01', NOW);
+    assert.deepEqual([usage.consumed, usage.reserved], [5, 0]);
+    assert.deepEqual(usage.byMode, { full: 3, price_accuracy: 2 });
+});
+
+test('reservations expire, and only their holder may release them', async () => {
+    const holder = randomAddress();
+    const oracle = quotaOracle(10);
+    const quota = oracle.globalQuota;
+    const { reservationId } = await quota.reserve(holder, 'full', 8, NOW);
+
+    assert.equal(await quota.release(reservationId, NOW, randomAddress()), false);
+    assert.equal(await quota.release(reservationId, NOW, holder.toUpperCase().replace('0X', '0x')), true);
+    assert.equal(await quota.release(reservationId, NOW), false);
+
+    await quota.reserve(holder, 'full', 8, NOW);
+    assert.equal(await quota.hasRoom(8, NOW + quota.reservationTtlMs), true, 'expired after reservationTtlMs');
+});
+
+test('months have their own quota', async () => {
+    const quota = quotaOracle(5).globalQuota;
+    await quota.capture({ mode: 'full', units: 5 }, NOW);
+    assert.equal(await quota.hasRoom(1, NOW), false);
+    assert.equal(await quota.hasRoom(5, Date.UTC(2026, 1, 1)), true);
+});
+
+test('authorize reserves for global-cap modes; the initial grant only checks room', async () => {
+    const [paying, fresh] = [randomAddress(), randomAddress()];
+    const oracle = quotaOracle(3, { [paying]: { credits: 100 } });
+
+    const granted = await oracle.authorizeInference(fresh, 'full', 2);
+    assert.equal(granted.method, 'initial_grant');
+    assert.equal(granted.reservation, undefined);
+
+    const paid = await oracle.authorizeInference(paying, 'full', 3);
+    assert.equal(paid.reservation.units, 3);
+    const denied = await oracle.authorizeInference(paying, 'price_accuracy', 1);
+    assert.equal(denied.reason, 'global_cap_reached');
+
+    assert.equal(await oracle.releaseReservation(paid.reservation.reservationId, fresh), false);
+    assert.equal(await oracle.releaseReservation(paid.reservation.reservationId, paying), true);
+    assert.equal((await oracle.authorizeInference(paying, 'price_accuracy', 1)).allowed, true);
+});
+
+test('authorize rejects quantities above the per-request maximum', async () => {
+    const user = randomAddress();
+    const oracle = createTestOracle({ users: { [user]: { credits: 1000 } }, maxQuantityPerRequest: 5 });
+    await assert.rejects(oracle.authorizeInference(user, 'full', 6), /between 1 and 5/);
+    await assert.rejects(oracle.authorizeInference(user, 'full', 1.5), /between 1 and 5/);
+    assert.equal((await oracle.authorizeInference(user, 'full', 5)).reservation.units, 5);
+});
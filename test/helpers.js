@@ -0,0 +1,57 @@
+const { ethers } = require('ethers');
+const RavenOracle = require('../ravenOracle');
+const { MemoryStateStore } = require('../stateStore');
+const { Logger } = require('../logger');
+const { buildDomain } = require('../authToken');
+
+const ACCESS_ADDRESS = '0x00000000000000000000000000000000000000a1';
+const DAY_SECONDS = 24 * 60 * 60;
+
+// RavenOracle without a provider. On-chain reads come from `users`
+// (address -> { credits, subscription }), which tests may change as they go;
+// users without a subscription read as plan 0, like the contract returns
+// them. State is in memory and signed authorizations use chain id 1.
+function createTestOracle({ users = {}, ...options } = {}) {
+    const oracle = new RavenOracle(null, ACCESS_ADDRESS, {
+        logger: new Logger({ level: 'error' }),
+        cache: false,
+        stateStore: new MemoryStateStore(),
+        ...options
+    });
+    const lookup = address => users[ethers.getAddress(address)] || {};
+    oracle.getUserSubscription = async address => lookup(address).subscription || noSubscription();
+    oracle.getUserCredits = async address => String(lookup(address).credits || '0');
+    oracle._authDomain = buildDomain(1n, ACCESS_ADDRESS);
+    return oracle;
+}
+
+// A getUserSubscription result: formatSubscription over the view's uint
+// values, decoded as BigInt the way ethers returns them (times in unix seconds)
+function subscription({ planId = 1, startTimestamp, lastRenewedAt = 0, usedThisWindow = 0, monthlyCap = 100, priceUnits = 0, active = true } = {}) {
+    return RavenOracle.prototype.formatSubscription({
+        planId: BigInt(planId),
+        startTs: BigInt(startTimestamp ?? Math.floor(Date.now() / 1000) - DAY_SECONDS),
+        usedThisWindow: BigInt(usedThisWindow),
+        lastRenewedAt: BigInt(lastRenewedAt),
+        planMonthlyCap: BigInt(monthlyCap),
+        planPriceUnits: BigInt(priceUnits)
+    }, active);
+}
+
+// What the contract returns for an address that never subscribed
+function noSubscription() {
+    return subscription({ planId: 0, startTimestamp: 0, monthlyCap: 0, active: false });
+}
+
+function randomAddress() {
+    return ethers.Wallet.createRandom().address;
+}
+
+module.exports = {
+    ACCESS_ADDRESS,
+    DAY_SECONDS,
+    createTestOracle,
+    subscription,
+    noSubscription,
+    randomAddress
+};
@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { PricingConfig } = require('../pricing');
+const { createTestOracle, subscription, randomAddress } = require('./helpers');
+
+test('a quote holds credits that authorize no longer sees', async () => {
+    const user = randomAddress();
+    const oracle = createTestOracle({ users: { [user]: { credits: 12 } } });
+
+    const quote = await oracle.quotes.quote(user, [{ mode: 'full', quantity: 1 }, { mode: 'tags', quantity: 2 }]);
+    assert.equal(quote.reserved, true);
+    assert.deepEqual(quote.totals, { credits: 10, subscriptionUnits: 0 });
+    assert.deepEqual(await oracle.quotes.getHeld(user), { credits: 10, subscriptionUnits: 0 });
+
+    const decision = await oracle.authorizeInference(user, 'tags', 2);
+    assert.equal(decision.allowed, false);
+
+    const second = await oracle.quotes.quote(user, [{ mode: 'tags', quantity: 2 }]);
+    assert.equal(second.reserved, false);
+    assert.equal(second.reason, 'insufficient_balance_and_cap');
+});
+
+test('subscription units are used first while they cover a whole step', async () => {
+    const user = randomAddress();
+    const oracle = createTestOracle({ users: { [user]: { credits: 100, subscription: subscription({ usedThisWindow: 97, monthlyCap: 100 }) } } });
+
+    const quote = await oracle.quotes.quote(user, [{ mode: 'basic', quantity: 2 }, { mode: 'basic', quantity: 2 }]);
+    assert.deepEqual(quote.steps.map(s => s.method), ['subscription', 'credits']);
+    assert.deepEqual(quote.totals, { credits: 2, subscriptionUnits: 2 });
+});
+
+test('captures are charged the quoted price', async () => {
+    const user = randomAddress();
+    const oracle = createTestOracle({ users: { [user]: { credits: 100 } } });
+    const quote = await oracle.quotes.quote(user, [{ mode: 'tags', quantity: 4 }]);
+
+    // A price change after the quote does not reach it
+    oracle.pricing = new PricingConfig({ version: '2', costs: { basic: 1, tags: 5, price_accuracy: 4, full: 6 } });
+    const capture = await oracle.quotes.capture(user, quote.quoteId, [{ mode: 'tags', quantity: 3 }]);
+    assert.deepEqual(capture.records.map(r => [r.method, r.cost]), [['credits', 6]]);
+    assert.deepEqual(capture.pendingDebits, { credits: 6, subscriptionUnits: 0 });
+    assert.equal(capture.remaining.credits, 2);
+
+    const rest = await oracle.quotes.capture(user, quote.quoteId, [{ mode: 'tags', quantity: 1 }]);
+    assert.equal(rest.records[0].cost, 2);
+    assert.equal(rest.remaining, null, 'fully captured quotes close');
+    assert.deepEqual(await oracle.quotes.getHeld(user), { credits: 0, subscriptionUnits: 0 });
+});
+
+test('captures are validated before the hold changes', async () => {
+    const user = randomAddress();
+    const oracle = createTestOracle({ users: { [user]: { credits: 100 } } });
+    const quote = await oracle.quotes.quote(user, [{ mode: 'basic', quantity: 2 }, { mode: 'tags', quantity: 1 }]);
+
+    await assert.rejects(
+        oracle.quotes.capture(user, quote.quoteId, [{ mode: 'basic', quantity: 1.5 }]),
+        { code: 'invalid_usage' }
+    );
+    await assert.rejects(
+        oracle.quotes.capture(user, quote.quoteId, [{ mode: 'basic', quantity: 1 }, { mode: 'tags', quantity: 2 }]),
+        { code: 'exceeds_quote', status: 409 }
+    );
+    await assert.rejects(
+        oracle.quotes.capture(user, 'nope', [{ mode: 'basic', quantity: 1 }]),
+        { code: 'unknown_quote', status: 404 }
+    );
+    assert.deepEqual(await oracle.quotes.getHeld(user), { credits: 4, subscriptionUnits: 0 });
+    assert.deepEqual(await oracle.usage.getPendingDebits(user), { credits: 0, subscriptionUnits: 0 });
+});
+
+test('quotes are bounded in total quantity', async () => {
+    const user = randomAddress();
+    const oracle = createTestOracle({ users: { [user]: { credits: 10000 } }, quotes: { maxQuantity: 10 } });
+
+    await assert.rejects(
+        oracle.quotes.quote(user, [{ mode: 'basic', quantity: 6 }, { mode: 'basic', quantity: 5 }]),
+        { code: 'invalid_steps' }
+    );
+    const quote = await oracle.quotes.quote(user, [{ mode: 'basic', quantity: 10 }]);
+    assert.equal(quote.reserved, true);
+});
+
+test('releasing a quote gives back its credits and global quota', async () => {
+    const user = randomAddress();
+    const oracle = createTestOracle({ users: { [user]: { credits: 100 } } });
+    const quote = await oracle.quotes.quote(user, [{ mode: 'full', quantity: 3 }]);
+    assert.equal((await oracle.globalQuota.getUsage()).reserved, 3);
+
+    const released = await oracle.quotes.release(user, quote.quoteId);
+    assert.equal(released.quoteId, quote.quoteId);
+    assert.equal((await oracle.globalQuota.getUsage()).reserved, 0);
+    assert.deepEqual(await oracle.quotes.getHeld(user), { credits: 0, subscriptionUnits: 0 });
+    assert.equal(await oracle.quotes.release(user, quote.quoteId), null);
+});
+
+test('quote requests can be signed by the user, once', async () => {
+    const oracle = createTestOracle();
+    const wallet = ethers.Wallet.createRandom();
+    const payload = { quoteId: 'abc' };
+    const issuedAt = Math.floor(Date.now() / 1000);
+    const signature = await wallet.signMessage(oracle.quotes.requestMessage('release', wallet.address, payload, issuedAt));
+
+    assert.equal(await oracle.quotes.verifyRequest('release', wallet.address, payload, { signature, issuedAt }), wallet.address);
+    await assert.rejects(
+        oracle.quotes.verifyRequest('release', wallet.address, payload, { signature, issuedAt }),
+        { code: 'replayed_signature', status: 401 }
+    );
+    await assert.rejects(
+        oracle.quotes.verifyRequest('release', wallet.address, { quoteId: 'other' }, { signature, issuedAt }),
+        { code: 'bad_signature' }
+    );
+    await assert.rejects(
+        oracle.quotes.verifyRequest('release', randomAddress(), payload, { signature, issuedAt }),
+        { code: 'bad_signature' }
+    );
+    await assert.rejects(
+        oracle.quotes.verifyRequest('release', wallet.address, payload, { signature, issuedAt: issuedAt - 3600 }),
+        { code: 'stale_signature' }
+    );
+    await assert.rejects(
+        oracle.quotes.verifyRequest('release', wallet.address, payload, {}),
+        { code: 'signature_required', status: 401 }
+    );
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeMemoryPointer, computeMemoryCid, canonicalJson, MemoryPointerError } = require('../memoryPointer');
+
+const CID_V0 = 'QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG';
+const CID_V1 = computeMemoryCid({ note: 'hello' }).cid;
+const DIGEST = 'ab'.repeat(32);
+
+test('every spelling of a CID normalizes to one pointer', () => {
+    for (const spelling of [CID_V1, CID_V1.toUpperCase(), `ipfs://${CID_V1}`, `IPFS://${CID_V1}/`, `/ipfs/${CID_V1}`, `  ${CID_V1}  `]) {
+        assert.deepEqual(normalizeMemoryPointer(spelling), { pointer: `ipfs://${CID_V1}`, kind: 'ipfs', cid: CID_V1 }, spelling);
+    }
+    assert.equal(normalizeMemoryPointer(`/ipfs/${CID_V0}/notes/day1.json/`).pointer, `ipfs://${CID_V0}/notes/day1.json`);
+    assert.equal(normalizeMemoryPointer(CID_V0).pointer, `ipfs://${CID_V0}`);
+});
+
+test('every spelling of a sha256 digest normalizes to one pointer', () => {
+    for (const spelling of [DIGEST, DIGEST.toUpperCase(), `0x${DIGEST}`, `0X${DIGEST.toUpperCase()}`, `sha256:${DIGEST}`]) {
+        assert.deepEqual(normalizeMemoryPointer(spelling), { pointer: `sha256:${DIGEST}`, kind: 'sha256', digest: DIGEST }, spelling);
+    }
+});
+
+test('normalized pointers normalize to themselves', () => {
+    for (const pointer of [`ipfs://${CID_V1}/a`, `ipfs://${CID_V0}`, `sha256:${DIGEST}`]) {
+        assert.equal(normalizeMemoryPointer(pointer).pointer, pointer);
+    }
+});
+
+test('invalid pointers are rejected', () => {
+    for (const bad of ['', '   ', 'hello', 'Qm123', `ipfs://${CID_V0.slice(0, -1)}`, 'bafy!', 'ab'.repeat(31), `https://${CID_V1}`, 42]) {
+        assert.throws(() => normalizeMemoryPointer(bad), MemoryPointerError, String(bad));
+    }
+});
+
+test('memory JSON hashes to the same CID whatever its key order', () => {
+    const a = computeMemoryCid({ b: 1, a: { d: [1, 2], c: null } });
+    const b = computeMemoryCid({ a: { c: null, d: [1, 2] }, b: 1 });
+    assert.equal(a.cid, b.cid);
+    assert.equal(a.content, '{"a":{"c":null,"d":[1,2]},"b":1}');
+    assert.equal(a.pointer, `ipfs://${a.cid}`);
+    assert.equal(normalizeMemoryPointer(a.pointer).cid, a.cid);
+    assert.equal(canonicalJson([undefined, 1]), '[null,1]');
+    assert.throws(() => computeMemoryCid(undefined), MemoryPointerError);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { WebhookVerifier, QuestError } = require('../quests');
+const { createTestOracle, randomAddress } = require('./helpers');
+
+function fakeRelayer() {
+    let n = 0;
+    return {
+        async submit() { n += 1; return { id: `relay-${n}`, hashes: [`0x${String(n).padStart(64, '0')}`], nonce: n }; },
+        async refresh(id) { return { id, status: 'confirmed', txHash: `0x${id.split('-')[1].padStart(64, '0')}`, blockNumber: 100 }; }
+    };
+}
+
+test('a manual completion waits for approval, then is awarded once its batch mines', async () => {
+    const oracle = createTestOracle();
+    const user = randomAddress();
+    await oracle.quests.defineQuest({ id: 'follow', reward: 3 });
+
+    const pending = await oracle.quests.complete('follow', user, { proof: 'https://example.com/post' });
+    assert.equal(pending.status, 'pending');
+    assert.deepEqual((await oracle.quests.listPending()).map(c => c.user), [user]);
+    await assert.rejects(oracle.quests.complete('follow', user), { code: 'already_completed', status: 409 });
+
+    const approved = await oracle.quests.decide('follow', user, true, 'looks good');
+    assert.deepEqual([approved.status, approved.reason], ['approved', 'looks good']);
+    assert.deepEqual((await oracle.batcher.getPending()).awards.map(a => [a.user, a.reason, a.amount]), [[user, 'social_quest', 3]]);
+
+    await oracle.batcher.flush(fakeRelayer());
+    const { approved: count, completions } = await oracle.quests.getUserQuests(user);
+    assert.equal(count, 1);
+    assert.equal(completions[0].status, 'awarded');
+    assert.equal(completions[0].awardTx.blockNumber, 100);
+});
+
+test('a rejected completion stays rejected and cannot be decided again', async () => {
+    const oracle = createTestOracle();
+    const user = randomAddress();
+    await oracle.quests.defineQuest({ id: 'follow' });
+    await oracle.quests.complete('follow', user);
+
+    const rejected = await oracle.quests.decide('follow', user, false);
+    assert.deepEqual([rejected.status, rejected.reason], ['rejected', 'admin rejection']);
+    await assert.rejects(oracle.quests.decide('follow', user, true), { code: 'not_pending', status: 409 });
+    await assert.rejects(oracle.quests.decide('follow', randomAddress(), true), { code: 'unknown_completion', status: 404 });
+    await assert.rejects(oracle.quests.decide('follow', 'nope', true), QuestError);
+    assert.equal((await oracle.quests.getUserQuests(user)).approved, 0);
+});
+
+test('webhook quests are approved only with a fresh provider signature', async () => {
+    const verifier = new WebhookVerifier('secret');
+    const oracle = createTestOracle({ questVerifiers: [verifier] });
+    const user = randomAddress();
+    await oracle.quests.defineQuest({ id: 'retweet', verifier: 'webhook' });
+    const rawBody = JSON.stringify({ user });
+    const now = Math.floor(Date.now() / 1000);
+
+    await assert.rejects(
+        oracle.quests.complete('retweet', user, { rawBody, headers: { 'x-quest-timestamp': String(now), 'x-quest-signature': verifier.sign(now, '{}') } }),
+        { code: 'verification_failed', status: 401 }
+    );
+    await assert.rejects(
+        oracle.quests.complete('retweet', user, { rawBody, headers: { 'x-quest-timestamp': String(now - 3600), 'x-quest-signature': verifier.sign(now - 3600, rawBody) } }),
+        { code: 'verification_failed' }
+    );
+    // A rejected proof leaves the user free to retry
+    const completion = await oracle.quests.complete('retweet', user, { rawBody, headers: { 'x-quest-timestamp': String(now), 'x-quest-signature': verifier.sign(now, rawBody) } });
+    assert.equal(completion.status, 'approved');
+});
+
+test('approvals stop at the lifetime quest cap', async () => {
+    const oracle = createTestOracle({ pricing: { version: '1', maxSocialQuestsPerUser: 1 } });
+    const user = randomAddress();
+    await oracle.quests.defineQuest({ id: 'first' });
+    await oracle.quests.defineQuest({ id: 'second' });
+    await oracle.quests.complete('first', user);
+    await oracle.quests.complete('second', user);
+
+    assert.equal((await oracle.quests.decide('first', user, true)).status, 'approved');
+    assert.equal((await oracle.quests.decide('second', user, true)).status, 'capped');
+    await oracle.quests.defineQuest({ id: 'third' });
+    await assert.rejects(oracle.quests.complete('third', user), { code: 'quest_cap_reached' });
+});
+
+test('quests outside their window cannot be completed', async () => {
+    const oracle = createTestOracle();
+    await assert.rejects(oracle.quests.defineQuest({ id: 'bad id!' }), { code: 'invalid_quest' });
+    await assert.rejects(oracle.quests.defineQuest({ id: 'q', verifier: 'webhook' }), { code: 'invalid_quest' });
+    await oracle.quests.defineQuest({ id: 'later', startsAt: new Date(Date.now() + 60 * 1000).toISOString() });
+    await oracle.quests.defineQuest({ id: 'over', endsAt: new Date(Date.now() - 1000).toISOString() });
+
+    assert.deepEqual((await oracle.quests.listQuests({ activeOnly: true })).map(q => q.id), []);
+    await assert.rejects(oracle.quests.complete('later', randomAddress()), { code: 'quest_closed' });
+    await assert.rejects(oracle.quests.complete('over', randomAddress()), { code: 'quest_closed' });
+    await assert.rejects(oracle.quests.complete('missing', randomAddress()), { code: 'unknown_quest', status: 404 });
+});
@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RateLimiter = require('../rateLimits');
+const { MemoryStateStore } = require('../stateStore');
+const { createTestOracle, subscription, randomAddress } = require('./helpers');
+
+const NOW = Date.UTC(2026, 0, 10, 12);
+
+test('a bucket allows its burst, then refills at perMinute', async () => {
+    const limiter = new RateLimiter(new MemoryStateStore());
+    const limit = { perMinute: 6, burst: 3 };
+
+    for (let i = 0; i < 3; i++) assert.equal((await limiter.take('user', 'a', limit, 1, NOW)).allowed, true);
+    const denied = await limiter.take('user', 'a', limit, 1, NOW);
+    assert.equal(denied.allowed, false);
+    assert.equal(denied.remaining, 0);
+    assert.equal(denied.retryAfterMs, 10 * 1000);
+
+    // One token every 10s
+    assert.equal((await limiter.take('user', 'a', limit, 1, NOW + 9 * 1000)).allowed, false);
+    assert.equal((await limiter.take('user', 'a', limit, 1, NOW + 10 * 1000)).allowed, true);
+});
+
+test('a denied request uses no tokens', async () => {
+    const limiter = new RateLimiter(new MemoryStateStore());
+    const limit = { perMinute: 60, burst: 2 };
+
+    await limiter.take('user', 'a', limit, 2, NOW);
+    await limiter.take('user', 'a', limit, 1, NOW);
+    const later = await limiter.take('user', 'a', limit, 1, NOW + 1000);
+    assert.equal(later.allowed, true);
+    assert.equal(later.remaining, 0);
+});
+
+test('a zero limit allows nothing', async () => {
+    const limiter = new RateLimiter(new MemoryStateStore());
+    assert.equal((await limiter.take('user', 'a', { perMinute: 0, burst: 0 }, 1, NOW)).allowed, false);
+});
+
+test('takeAll takes from every bucket or from none', async () => {
+    const limiter = new RateLimiter(new MemoryStateStore());
+    const buckets = [
+        { scope: 'user', id: 'a', limit: { perMinute: 60, burst: 5 } },
+        { scope: 'mode', id: 'full:a', limit: { perMinute: 60, burst: 1 } }
+    ];
+
+    const first = await limiter.takeAll(buckets, NOW);
+    assert.equal(first.allowed, true);
+    assert.equal(first.scope, 'mode', 'reports the bucket with the fewest tokens left');
+
+    const second = await limiter.takeAll(buckets, NOW);
+    assert.equal(second.allowed, false);
+    assert.equal(second.scope, 'mode');
+    assert.equal(second.retryAfterSeconds, 1);
+
+    // The user bucket got its token back
+    const userOnly = await limiter.take('user', 'a', buckets[0].limit, 1, NOW);
+    assert.equal(userOnly.remaining, 3);
+});
+
+test('authorize is rate limited before reading the chain', async () => {
+    const user = randomAddress();
+    const oracle = createTestOracle({
+        users: { [user]: { credits: 100 } },
+        pricing: { version: 'test', rateLimits: { default: { perMinute: 60, burst: 2 } } }
+    });
+    let reads = 0;
+    const read = oracle.getUserSubscription;
+    oracle.getUserSubscription = async (address) => {
+        reads += 1;
+        return read(address);
+    };
+
+    assert.equal((await oracle.authorizeInference(user, 'basic')).allowed, true);
+    assert.equal((await oracle.authorizeInference(user, 'basic')).allowed, true);
+    const denied = await oracle.authorizeInference(user, 'basic');
+    assert.equal(denied.reason, 'rate_limited');
+    assert.equal(denied.rateLimit.allowed, false);
+    assert.equal(reads, 2);
+});
+
+test("authorize sizes the bucket by the user's last seen plan", async () => {
+    const user = randomAddress();
+    const oracle = createTestOracle({
+        users: { [user]: { credits: 100, subscription: subscription({ planId: 2 }) } },
+        pricing: { version: 'test', rateLimits: { default: { perMinute: 60, burst: 1 }, plans: { 2: { perMinute: 60, burst: 5 } } } }
+    });
+
+    // The first request only knows the default bucket; the next ones fill
+    // the same bucket up to the plan's size
+    assert.equal((await oracle.authorizeInference(user, 'basic')).rateLimit.limit, 1);
+    assert.equal((await oracle.authorizeInference(user, 'basic')).rateLimit.limit, 5);
+});
+
+test('modes and plans without a limit of their own use only the user bucket', async () => {
+    const user = randomAddress();
+    const oracle = createTestOracle({
+        users: { [user]: { credits: 100 } },
+        pricing: {
+            version: 'test',
+            costs: { basic: 1, constructor: 2 },
+            globalCapModes: [],
+            rateLimits: { default: { perMinute: 60, burst: 2 }, modes: { constructor: { perMinute: 60, burst: 1 } } }
+        }
+    });
+
+    // Inherited Object properties are not limits
+    for (const mode of ['toString', '__proto__', 'hasOwnProperty']) {
+        const result = await oracle.checkRateLimit(randomAddress(), mode, 'constructor');
+        assert.deepEqual([result.allowed, result.scope, result.limit], [true, 'user', 2], mode);
+    }
+    assert.throws(() => oracle.getInferenceCost('toString'), /Unknown mode/);
+
+    // A mode really named 'constructor' keeps its own bucket
+    assert.equal((await oracle.checkRateLimit(user, 'constructor')).scope, 'mode');
+    assert.equal((await oracle.checkRateLimit(user, 'constructor')).allowed, false);
+    assert.equal(oracle.getInferenceCost('constructor', 2), 4);
+});
+
+test('rate limits for inherited mode names are rejected as unknown modes', () => {
+    assert.throws(
+        () => createTestOracle({ pricing: { version: 'test', rateLimits: { modes: { constructor: { perMinute: 1 } } } } }),
+        /unknown mode 'constructor'/
+    );
+});
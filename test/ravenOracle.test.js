@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestOracle, subscription, randomAddress } = require('./helpers');
+
+test('a fresh user is authorized through the initial grant', async () => {
+    const user = randomAddress();
+    const oracle = createTestOracle();
+
+    const decision = await oracle.authorizeInference(user, 'basic');
+    assert.equal(decision.allowed, true);
+    assert.equal(decision.method, 'initial_grant');
+    assert.equal(decision.reason, 'initial_50_credits');
+});
+
+test('no initial grant once the user has credits, a plan or the grant', async () => {
+    const [funded, subscribed, granted] = [randomAddress(), randomAddress(), randomAddress()];
+    const oracle = createTestOracle({
+        users: {
+            [funded]: { credits: 5 },
+            [subscribed]: { subscription: subscription({ planId: 2 }) }
+        }
+    });
+    await oracle.state.set(`initial_grant:${granted.toLowerCase()}`, { status: 'granted', at: Date.now() });
+
+    assert.equal((await oracle.authorizeInference(funded, 'basic')).method, 'credits');
+    assert.equal((await oracle.authorizeInference(subscribed, 'basic')).method, 'subscription');
+    const denied = await oracle.authorizeInference(granted, 'basic');
+    assert.equal(denied.allowed, false);
+    assert.equal(denied.reason, 'insufficient_balance_and_cap');
+});
+
+// Provider answering one mined transaction
+function minedTx(oracle, { user, amount = 50, reason = 'initial_grant', status = 1, to = oracle.ravenAccess.target }) {
+    const hash = `0x${'ab'.repeat(32)}`;
+    const data = oracle.ravenAccess.interface.encodeFunctionData('awardCredits', [user, amount, reason]);
+    oracle.provider = {
+        getTransactionReceipt: async h => (h === hash ? { hash, status, blockNumber: 10 } : null),
+        getTransaction: async h => (h === hash ? { hash, to, data } : null)
+    };
+    return hash;
+}
+
+test('an initial grant is claimed once, until it expires or is released', async () => {
+    const user = randomAddress();
+    const oracle = createTestOracle({ initialGrantPendingMs: 1000 });
+    const now = Date.now();
+
+    const claimed = await oracle.claimInitialGrant(user, now);
+    assert.equal(claimed.status, 'pending');
+    assert.equal(await oracle.claimInitialGrant(user, now + 500), null);
+    assert.equal(await oracle.hasReceivedInitialGrant(user), true);
+    assert.equal((await oracle.authorizeInference(user, 'basic')).allowed, false, 'no grant decision while one is in flight');
+
+    // Never sent: expired, claimable again
+    assert.ok(await oracle.claimInitialGrant(user, now + 1000));
+
+    assert.equal(await oracle.releaseInitialGrant(user), true);
+    assert.equal(await oracle.hasReceivedInitialGrant(user), false);
+    assert.equal(await oracle.releaseInitialGrant(user), false);
+});
+
+test('a relayed grant does not expire', async () => {
+    const user = randomAddress();
+    const oracle = createTestOracle({ initialGrantPendingMs: 1000 });
+    const now = Date.now();
+
+    await oracle.claimInitialGrant(user, now);
+    await oracle.setInitialGrantRelay(user, 'relay-1');
+    assert.equal(await oracle.claimInitialGrant(user, now + 60 * 60 * 1000), null);
+    assert.equal((await oracle.getInitialGrant(user)).relayTxId, 'relay-1');
+});
+
+test('a grant is confirmed only from its own mined transaction', async () => {
+    const user = randomAddress();
+    const oracle = createTestOracle();
+    await oracle.claimInitialGrant(user);
+
+    await assert.rejects(oracle.confirmInitialGrant(user, minedTx(oracle, { user: randomAddress() })), /not a successful initial grant/);
+    assert.equal(await oracle.confirmInitialGrant(user, `0x${'cd'.repeat(32)}`), null, 'not mined yet');
+    await assert.rejects(oracle.confirmInitialGrant(user, minedTx(oracle, { user, reason: 'referral' })), /not a successful initial grant/);
+    await assert.rejects(oracle.confirmInitialGrant(user, minedTx(oracle, { user, status: 0 })), /not a successful initial grant/);
+    await assert.rejects(oracle.confirmInitialGrant(user, minedTx(oracle, { user, to: randomAddress() })), /not a successful initial grant/);
+    assert.equal((await oracle.getInitialGrant(user)).status, 'pending');
+
+    const hash = minedTx(oracle, { user });
+    const granted = await oracle.confirmInitialGrant(user, hash);
+    assert.deepEqual([granted.status, granted.txHash], ['granted', hash]);
+    assert.equal(await oracle.releaseInitialGrant(user), false, 'a granted entry is never released');
+    assert.equal(await oracle.claimInitialGrant(user, Date.now() + 365 * 24 * 60 * 60 * 1000), null);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { ReferralError } = require('../referrals');
+const { createTestOracle } = require('./helpers');
+
+// A referee who already consumed a server-signed authorization
+async function activeReferee(oracle) {
+    const wallet = ethers.Wallet.createRandom();
+    await oracle.usage.consume(wallet.address, { mode: 'basic', authorization: { method: 'credits', cost: 1, verified: true } });
+    return wallet;
+}
+
+async function redeem(oracle, wallet, code) {
+    return oracle.referrals.redeem(wallet.address, code, await wallet.signMessage(oracle.referrals.redeemMessage(wallet.address, code)));
+}
+
+test('each address keeps one unambiguous code', async () => {
+    const oracle = createTestOracle();
+    const owner = ethers.Wallet.createRandom().address;
+
+    const codes = await Promise.all([oracle.referrals.getOrCreateCode(owner), oracle.referrals.getOrCreateCode(owner)]);
+    assert.equal(codes[0], codes[1]);
+    assert.match(codes[0], /^[A-HJ-NP-Z2-9]{8}$/);
+    assert.equal(await oracle.referrals.resolveCode(codes[0].toLowerCase()), owner);
+    await assert.rejects(oracle.referrals.getOrCreateCode('nope'), ReferralError);
+});
+
+test('a redeemed code binds the referee once and queues the referrer award', async () => {
+    const oracle = createTestOracle();
+    const referrer = ethers.Wallet.createRandom().address;
+    const code = await oracle.referrals.getOrCreateCode(referrer);
+    const referee = await activeReferee(oracle);
+
+    const result = await redeem(oracle, referee, code.toLowerCase());
+    assert.deepEqual([result.referrer, result.referee, result.code], [referrer, referee.address, code]);
+    assert.equal(result.award.amount, oracle.calculateCredits('referral', 1));
+    assert.deepEqual((await oracle.batcher.getPending()).awards.map(a => [a.user, a.reason]), [[referrer, 'referral']]);
+    assert.deepEqual(await oracle.referrals.getStats(referrer), { code, referredBy: null, referrals: 1, creditsAccrued: result.award.amount });
+    assert.equal((await oracle.referrals.getStats(referee.address)).referredBy, referrer);
+
+    const other = await oracle.referrals.getOrCreateCode(ethers.Wallet.createRandom().address);
+    await assert.rejects(redeem(oracle, referee, other), { code: 'already_referred', status: 409 });
+});
+
+test('redeeming needs the referee signature and an active referee', async () => {
+    const oracle = createTestOracle();
+    const code = await oracle.referrals.getOrCreateCode(ethers.Wallet.createRandom().address);
+    const referee = await activeReferee(oracle);
+    const stranger = ethers.Wallet.createRandom();
+
+    const signedByStranger = await stranger.signMessage(oracle.referrals.redeemMessage(referee.address, code));
+    await assert.rejects(oracle.referrals.redeem(referee.address, code, signedByStranger), { code: 'bad_signature', status: 401 });
+    await assert.rejects(oracle.referrals.redeem(referee.address, code, '0xdead'), { code: 'bad_signature' });
+    await assert.rejects(redeem(oracle, referee, 'ZZZZZZZZ'), { code: 'unknown_code', status: 404 });
+    await assert.rejects(redeem(oracle, stranger, code), { code: 'referee_inactive', status: 403 });
+});
+
+test('self and circular referrals are refused', async () => {
+    const oracle = createTestOracle();
+    const a = await activeReferee(oracle);
+    const b = await activeReferee(oracle);
+    const codeA = await oracle.referrals.getOrCreateCode(a.address);
+    const codeB = await oracle.referrals.getOrCreateCode(b.address);
+
+    await assert.rejects(redeem(oracle, a, codeA), { code: 'self_referral' });
+    await redeem(oracle, b, codeA);
+    await assert.rejects(redeem(oracle, a, codeB), { code: 'circular_referral' });
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AuthorizationSimulator, SimulationError, parseAuthorizeLog } = require('../simulator');
+const { createTestOracle, subscription, randomAddress } = require('./helpers');
+
+// A snapshot taken the way `simulate snapshot` takes it: from an oracle whose
+// chain reads return `users` (address -> { credits, subscription?, initialGrant? };
+// initialGrant defaults to already received)
+async function snapshotOf(users) {
+    const oracle = createTestOracle({ users });
+    for (const [address, u] of Object.entries(users)) {
+        if (u.initialGrant ?? true) await oracle.state.set(`initial_grant:${address.toLowerCase()}`, { status: 'granted', at: Date.now(), txHash: '0x' });
+    }
+    return new AuthorizationSimulator(oracle).snapshot(Object.keys(users).map(user => ({ user, mode: 'basic' })));
+}
+
+test('a price rise flips requests the credits no longer cover', async () => {
+    const alice = randomAddress();
+    const bob = randomAddress();
+    const oracle = createTestOracle();
+    const simulator = new AuthorizationSimulator(oracle);
+
+    const report = await simulator.run({
+        requests: [
+            { user: alice, mode: 'full' },
+            { user: alice, mode: 'full' },
+            { user: bob, mode: 'basic' }
+        ],
+        rules: { version: '2', costs: { basic: 1, tags: 2, price_accuracy: 4, full: 10 } },
+        snapshot: await snapshotOf({ [alice]: { credits: 12 }, [bob]: { credits: 5 } })
+    });
+
+    assert.equal(report.baseline.allowed, 3);
+    assert.equal(report.baseline.creditsCharged, 13);
+    assert.equal(report.candidate.allowed, 2);
+    assert.equal(report.candidate.creditsCharged, 11);
+    assert.deepEqual(report.flips.byType, { 'credits->deny': 1 });
+    assert.equal(report.flips.users, 1);
+    assert.equal(report.flips.examples[0].index, 1);
+});
+
+test('replays drain the snapshot and never touch live state', async () => {
+    const user = randomAddress();
+    const oracle = createTestOracle();
+    const simulator = new AuthorizationSimulator(oracle);
+
+    const report = await simulator.run({
+        requests: [{ user, mode: 'basic' }, { user, mode: 'basic' }],
+        rules: { version: '2' },
+        snapshot: await snapshotOf({ [user]: { credits: 0, initialGrant: false } })
+    });
+    // The first request is the initial grant; its 50 credits pay for the second
+    assert.deepEqual(report.baseline.byMethod, { initial_grant: 1, credits: 1 });
+    assert.equal(report.flips.total, 0);
+    assert.equal(await oracle.hasReceivedInitialGrant(user), false);
+    assert.deepEqual(await oracle.usage.getPendingDebits(user), { credits: 0, subscriptionUnits: 0 });
+});
+
+test('subscribed users are replayed against their plan window', async () => {
+    const user = randomAddress();
+    const simulator = new AuthorizationSimulator(createTestOracle());
+
+    const report = await simulator.run({
+        requests: [{ user, mode: 'basic' }, { user, mode: 'basic' }, { user, mode: 'basic' }],
+        rules: { version: '2' },
+        snapshot: await snapshotOf({ [user]: { credits: 0, subscription: subscription({ usedThisWindow: 98, monthlyCap: 100 }) } })
+    });
+    // Two units left in the window, then no credits to fall back on
+    assert.deepEqual(report.baseline.byMethod, { subscription: 2, deny: 1 });
+    assert.equal(report.baseline.allowed, 2);
+});
+
+test('invalid rules and users missing from the snapshot are rejected', async () => {
+    const user = randomAddress();
+    const simulator = new AuthorizationSimulator(createTestOracle());
+
+    await assert.rejects(
+        simulator.run({ requests: [{ user, mode: 'basic' }], rules: { version: '2', costs: {} }, snapshot: await snapshotOf({ [user]: {} }) }),
+        (error) => error instanceof SimulationError && error.code === 'invalid_rules'
+    );
+    await assert.rejects(
+        simulator.run({ requests: [{ user, mode: 'basic' }], rules: { version: '2' }, snapshot: await snapshotOf({ [randomAddress()]: {} }) }),
+        { code: 'missing_user' }
+    );
+});
+
+test('authorize decisions are read back from JSON-lines logs', () => {
+    const user = randomAddress();
+    const log = [
+        JSON.stringify({ time: '2026-01-10T12:00:00.000Z', level: 'info', msg: 'authorize decision', user, mode: 'full', quantity: 2 }),
+        JSON.stringify({ time: '2026-01-10T12:00:01.000Z', level: 'info', msg: 'request', path: '/health' }),
+        'not json'
+    ].join('\n');
+
+    assert.deepEqual(parseAuthorizeLog(log), [{ user, mode: 'full', quantity: 2, at: '2026-01-10T12:00:00.000Z', chain: undefined }]);
+});
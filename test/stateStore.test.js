@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryStateStore, FileStateStore, PrefixedStateStore, createStateStore } = require('../stateStore');
+
+function tempFile(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'raven-state-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return path.join(dir, 'state.json');
+}
+
+test('update is read-modify-write and undefined deletes', async () => {
+    const store = new MemoryStateStore();
+    assert.equal(await store.update('n', (n = 0) => n + 1), 1);
+    assert.equal(await store.incr('n', 2), 3);
+    await store.update('n', () => undefined);
+    assert.equal(await store.get('n'), undefined);
+});
+
+test('setIfAbsent sets a key once', async () => {
+    const store = new MemoryStateStore();
+    assert.equal(await store.setIfAbsent('grant', { status: 'pending' }), true);
+    assert.equal(await store.setIfAbsent('grant', { status: 'other' }), false);
+    assert.deepEqual(await store.get('grant'), { status: 'pending' });
+});
+
+test('entries expire after their ttl, which later writes keep', async () => {
+    const store = new MemoryStateStore();
+    await store.set('k', 1, 20);
+    await store.update('k', n => n + 1);
+    assert.equal(await store.get('k'), 2);
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.equal(await store.get('k'), undefined);
+    assert.deepEqual(await store.keys(), []);
+});
+
+test('file stores on the same file share state and setIfAbsent', async (t) => {
+    const file = tempFile(t);
+    const a = new FileStateStore(file);
+    const b = new FileStateStore(file);
+
+    const claims = await Promise.all([a.setIfAbsent('initial_grant:x', 'a'), b.setIfAbsent('initial_grant:x', 'b')]);
+    assert.deepEqual(claims.filter(Boolean).length, 1);
+
+    await Promise.all(Array.from({ length: 10 }, (_, i) => (i % 2 ? a : b).incr('count')));
+    assert.equal(await a.get('count'), 10);
+    assert.equal(await new FileStateStore(file).get('count'), 10, 'survives a restart');
+    assert.equal(fs.existsSync(`${file}.lock`), false);
+});
+
+test('prefixed stores keep their keys apart', async () => {
+    const shared = new MemoryStateStore();
+    const chain = new PrefixedStateStore(shared, 'chain:10:');
+    await chain.set('initial_grant:x', 1);
+    await shared.set('initial_grant:x', 2);
+
+    assert.equal(await chain.get('initial_grant:x'), 1);
+    assert.deepEqual(await chain.keys('initial_grant:'), ['initial_grant:x']);
+    assert.deepEqual((await shared.keys()).sort(), ['chain:10:initial_grant:x', 'initial_grant:x']);
+});
+
+test('createStateStore builds the configured store', (t) => {
+    assert.ok(createStateStore() instanceof MemoryStateStore);
+    assert.ok(createStateStore({ type: 'file', filePath: tempFile(t) }) instanceof FileStateStore);
+    assert.throws(() => createStateStore({ type: 'redis' }), /Unknown state store type/);
+});
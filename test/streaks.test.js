@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { createTestOracle, randomAddress } = require('./helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const START = Date.UTC(2026, 0, 10, 12);
+
+test('consecutive days build a streak and reach a milestone once', async () => {
+    const oracle = createTestOracle();
+    const user = randomAddress();
+
+    const day1 = await oracle.streaks.recordActivity(user, 1, START);
+    assert.equal(day1.streak.current, 1);
+    assert.equal(day1.award, null);
+    await oracle.streaks.recordActivity(user, 1, START + DAY_MS);
+    const day3 = await oracle.streaks.recordActivity(user, 1, START + 2 * DAY_MS);
+    assert.equal(day3.streak.current, 3);
+    assert.ok(day3.award, 'the 3-day milestone queues a bonus');
+
+    // More prompts the same day change nothing
+    const again = await oracle.streaks.recordActivity(user, 1, START + 2 * DAY_MS + 1000);
+    assert.equal(again.streak.current, 3);
+    assert.equal(again.award, null);
+
+    const pending = await oracle.batcher.getPending();
+    assert.deepEqual(pending.awards, [{ user: ethers.getAddress(user), reason: 'prompt_streak', amount: 2 }]);
+});
+
+test('a missed day restarts the streak', async () => {
+    const oracle = createTestOracle();
+    const user = randomAddress();
+
+    await oracle.streaks.recordActivity(user, 1, START);
+    await oracle.streaks.recordActivity(user, 1, START + DAY_MS);
+    const after = await oracle.streaks.recordActivity(user, 1, START + 3 * DAY_MS);
+    assert.equal(after.streak.current, 1);
+    assert.equal(after.streak.longest, 2);
+
+    const view = await oracle.streaks.getStreak(user, START + 5 * DAY_MS);
+    assert.equal(view.current, 0, 'a streak not extended yesterday or today is over');
+});
+
+test('a day counts once streakMinPromptsPerDay prompts were made', async () => {
+    const oracle = createTestOracle({ pricing: { version: 'test', streakMinPromptsPerDay: 3 } });
+    const user = randomAddress();
+
+    assert.equal((await oracle.streaks.recordActivity(user, 2, START)).streak.countsToday, false);
+    const third = await oracle.streaks.recordActivity(user, 1, START + 1000);
+    assert.equal(third.streak.countsToday, true);
+    assert.equal(third.streak.current, 1);
+});
+
+test('only verified consumption counts towards streaks', async () => {
+    const user = randomAddress();
+    const oracle = createTestOracle({ users: { [user]: { credits: 100 } } });
+
+    const unverified = await oracle.consumeInference(user, { mode: 'basic', quantity: 1, authorization: { method: 'credits' } });
+    assert.equal(unverified.streak, null);
+
+    const signer = ethers.Wallet.createRandom();
+    const decision = await oracle.authorizeInference(user, 'basic', 1);
+    const signed = await oracle.signAuthorizationDecision(signer, user, 'basic', 1, decision);
+    const verified = await oracle.consumeSignedInference(user, { mode: 'basic', quantity: 1, signed }, signer.address);
+    assert.equal(verified.streak.streak.current, 1);
+});
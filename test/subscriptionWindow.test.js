@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestOracle, subscription, randomAddress, DAY_SECONDS } = require('./helpers');
+
+const START = Date.UTC(2026, 0, 1) / 1000;
+const at = days => (START + days * DAY_SECONDS) * 1000;
+
+test('usage counts within the current window', () => {
+    const oracle = createTestOracle();
+    const sub = subscription({ startTimestamp: START, usedThisWindow: 40, monthlyCap: 100 });
+
+    const window = oracle.computeSubscriptionWindow(sub, 5, at(10));
+    assert.equal(window.windowStartsAt, START);
+    assert.equal(window.windowEndsAt, START + 30 * DAY_SECONDS);
+    assert.equal(window.rolledOver, false);
+    assert.equal(window.used, 45);
+    assert.equal(window.remaining, 55);
+    assert.equal(window.lapsed, false);
+});
+
+test('an ended window starts from zero until the plan lapses', () => {
+    const oracle = createTestOracle();
+    const sub = subscription({ startTimestamp: START, usedThisWindow: 100, monthlyCap: 100 });
+
+    const grace = oracle.computeSubscriptionWindow(sub, 0, at(31));
+    assert.equal(grace.rolledOver, true);
+    assert.equal(grace.windowStartsAt, START + 30 * DAY_SECONDS);
+    assert.equal(grace.used, 0);
+    assert.equal(grace.remaining, 100);
+    assert.equal(grace.renewalDueAt, START + 30 * DAY_SECONDS);
+    assert.equal(grace.lapsed, false);
+
+    const lapsed = oracle.computeSubscriptionWindow(sub, 0, at(33));
+    assert.equal(lapsed.lapsed, true);
+    assert.equal(lapsed.remaining, 0);
+    assert.equal(oracle.isSubscriptionActive(sub, lapsed), false);
+});
+
+test('a renewal moves the window anchor', () => {
+    const oracle = createTestOracle();
+    const renewedAt = START + 30 * DAY_SECONDS;
+    const sub = subscription({ startTimestamp: START, lastRenewedAt: renewedAt, usedThisWindow: 10 });
+
+    const window = oracle.computeSubscriptionWindow(sub, 0, at(40));
+    assert.equal(window.windowStartsAt, renewedAt);
+    assert.equal(window.rolledOver, false);
+    assert.equal(window.used, 10);
+    assert.equal(window.renewalDueAt, renewedAt + 30 * DAY_SECONDS);
+});
+
+test('window and grace lengths are configurable', () => {
+    const oracle = createTestOracle({ subscriptionWindowSeconds: 7 * DAY_SECONDS, subscriptionGraceSeconds: 0 });
+    const sub = subscription({ startTimestamp: START });
+
+    assert.equal(oracle.computeSubscriptionWindow(sub, 0, at(6)).lapsed, false);
+    assert.equal(oracle.computeSubscriptionWindow(sub, 0, at(7)).lapsed, true);
+});
+
+test('authorize bills the subscription until the window cap, then credits', async () => {
+    const user = randomAddress();
+    const sub = subscription({ usedThisWindow: 98, monthlyCap: 100 });
+    const oracle = createTestOracle({ users: { [user]: { credits: 100, subscription: sub } } });
+
+    const within = await oracle.authorizeInference(user, 'basic', 2);
+    assert.equal(within.method, 'subscription');
+    await oracle.consumeInference(user, { mode: 'basic', quantity: 2, authorization: within });
+
+    const over = await oracle.authorizeInference(user, 'basic', 1);
+    assert.equal(over.method, 'credits');
+    assert.equal(over.cost, 1);
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const TxRelayer = require('../txRelayer');
+const { createTestOracle, ACCESS_ADDRESS } = require('./helpers');
+
+const GWEI = 10n ** 9n;
+
+// Signer and provider over a fake mempool. `nonce` is the account's next
+// nonce on-chain; mine(hash, status) includes a sent tx.
+function fakeChain({ eip1559 = true } = {}) {
+    const chain = { nonce: 3, sent: [], receipts: new Map(), failNext: null };
+    chain.signer = {
+        async getAddress() { return '0x00000000000000000000000000000000000000b0'; },
+        async getNonce() { return chain.nonce; },
+        async sendTransaction(request) {
+            if (chain.failNext) {
+                const code = chain.failNext;
+                chain.failNext = null;
+                throw Object.assign(new Error(code), { code });
+            }
+            const hash = ethers.id(`tx:${chain.sent.length}`);
+            chain.sent.push({ ...request, hash });
+            return { hash };
+        }
+    };
+    chain.provider = {
+        async estimateGas() { return 100000n; },
+        async getFeeData() { return eip1559 ? { maxFeePerGas: 20n * GWEI, maxPriorityFeePerGas: 2n * GWEI } : { gasPrice: 10n * GWEI }; },
+        async getTransactionReceipt(hash) { return chain.receipts.get(hash) || null; }
+    };
+    chain.mine = (hash, status = 1) => {
+        chain.receipts.set(hash, { status, blockNumber: 42, gasUsed: 90000n });
+        chain.nonce += 1;
+    };
+    chain.oracle = createTestOracle();
+    chain.oracle.provider = chain.provider;
+    return chain;
+}
+
+test('transactions get consecutive nonces, buffered gas and a stored record', async () => {
+    const chain = fakeChain();
+    const relayer = new TxRelayer(chain.oracle, chain.signer);
+
+    const [first, second] = await Promise.all([
+        relayer.submit({ to: ACCESS_ADDRESS, data: '0x01', label: 'a' }),
+        relayer.submit({ to: ACCESS_ADDRESS, data: '0x02', label: 'b' })
+    ]);
+    assert.deepEqual([first.nonce, second.nonce], [3, 4]);
+    assert.equal(first.gasLimit, '120000');
+    assert.equal(chain.sent[0].maxFeePerGas, 20n * GWEI);
+    assert.deepEqual(await relayer.getTransaction(first.id), first);
+    await assert.rejects(relayer.submit({ to: ACCESS_ADDRESS }), /to and data are required/);
+});
+
+test('a mined transaction is recorded from its receipt', async () => {
+    const chain = fakeChain({ eip1559: false });
+    const relayer = new TxRelayer(chain.oracle, chain.signer);
+    const ok = await relayer.submit({ to: ACCESS_ADDRESS, data: '0x01' });
+    const reverted = await relayer.submit({ to: ACCESS_ADDRESS, data: '0x02' });
+    assert.equal(chain.sent[0].gasPrice, 10n * GWEI);
+
+    assert.equal((await relayer.refresh(ok.id)).status, 'pending');
+    chain.mine(ok.hashes[0]);
+    chain.mine(reverted.hashes[0], 0);
+    await relayer.poll();
+
+    const done = await relayer.getTransaction(ok.id);
+    assert.deepEqual([done.status, done.txHash, done.blockNumber, done.gasUsed], ['confirmed', ok.hashes[0], 42, '90000']);
+    assert.deepEqual(await relayer.getTransaction(reverted.id).then(r => [r.status, r.error]), ['failed', 'reverted']);
+});
+
+test('a stuck transaction is re-sent with the same nonce and bumped fees', async () => {
+    const chain = fakeChain();
+    const relayer = new TxRelayer(chain.oracle, chain.signer, { stuckAfterMs: 1, maxBumps: 1 });
+    const record = await relayer.submit({ to: ACCESS_ADDRESS, data: '0x01' });
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    const bumped = await relayer.refresh(record.id);
+    assert.equal(bumped.bumps, 1);
+    assert.equal(bumped.hashes.length, 2);
+    assert.deepEqual([chain.sent[1].nonce, chain.sent[1].maxFeePerGas, chain.sent[1].maxPriorityFeePerGas], [3, 23n * GWEI, 23n * GWEI / 10n]);
+
+    // No more than maxBumps; the original may still be the one mined
+    await new Promise(resolve => setTimeout(resolve, 5));
+    assert.equal((await relayer.refresh(record.id)).hashes.length, 2);
+    chain.mine(record.hashes[0]);
+    assert.deepEqual(await relayer.refresh(record.id).then(r => [r.status, r.txHash]), ['confirmed', record.hashes[0]]);
+});
+
+test('bumps stop at the fee cap', async () => {
+    const chain = fakeChain();
+    const relayer = new TxRelayer(chain.oracle, chain.signer, { stuckAfterMs: 1, maxFeePerGasCap: 22n * GWEI });
+    const record = await relayer.submit({ to: ACCESS_ADDRESS, data: '0x01' });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    assert.equal((await relayer.refresh(record.id)).bumps, 0);
+    assert.equal(chain.sent.length, 1);
+});
+
+test('nonces taken by another sender are resynced or fail the record', async () => {
+    const chain = fakeChain();
+    const relayer = new TxRelayer(chain.oracle, chain.signer);
+    await relayer.submit({ to: ACCESS_ADDRESS, data: '0x01' });
+
+    // Someone else sent from the key: the next broadcast resyncs its nonce
+    chain.nonce = 9;
+    chain.failNext = 'NONCE_EXPIRED';
+    const resynced = await relayer.submit({ to: ACCESS_ADDRESS, data: '0x02' });
+    assert.equal(resynced.nonce, 9);
+
+    // ...and a pending tx whose nonce was used elsewhere never mines
+    chain.nonce = 10;
+    const lost = await relayer.refresh(resynced.id);
+    assert.deepEqual([lost.status, lost.error], ['failed', 'nonce used by another transaction']);
+});
@@ -0,0 +1,162 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { createTestOracle, randomAddress } = require('./helpers');
+
+// authorize -> sign -> consumeSigned, as /inference/authorize and /inference/consume do
+async function authorizeSigned(oracle, signer, user, mode, quantity = 1) {
+    const decision = await oracle.authorizeInference(user, mode, quantity);
+    assert.equal(decision.allowed, true, decision.reason);
+    decision.signed = await oracle.signAuthorizationDecision(signer, user, mode, quantity, decision);
+    return decision;
+}
+
+test('signed consume records the signed cost as a pending debit', async () => {
+    const user = randomAddress();
+    const oracle = createTestOracle({ users: { [user]: { credits: 100 } } });
+    const signer = ethers.Wallet.createRandom();
+
+    const decision = await authorizeSigned(oracle, signer, user, 'tags', 3);
+    assert.equal(decision.method, 'credits');
+    assert.equal(decision.cost, 6);
+
+    const result = await oracle.consumeSignedInference(user, { mode: 'tags', quantity: 3, signed: decision.signed }, signer.address);
+    assert.equal(result.record.method, 'credits');
+    assert.equal(result.record.cost, 6);
+    assert.equal(result.record.verified, true);
+    assert.deepEqual(result.pendingDebits, { credits: 6, subscriptionUnits: 0 });
+    assert.deepEqual(await oracle.usage.getPendingDebits(user), { credits: 6, subscriptionUnits: 0 });
+});
+
+test('a signed authorization is consumed once', async () => {
+    const user = randomAddress();
+    const oracle = createTestOracle({ users: { [user]: { credits: 100 } } });
+    const signer = ethers.Wallet.createRandom();
+    const decision = await authorizeSigned(oracle, signer, user, 'basic');
+
+    await oracle.consumeSignedInference(user, { mode: 'basic', quantity: 1, signed: decision.signed }, signer.address);
+    await assert.rejects(
+        oracle.consumeSignedInference(user, { mode: 'basic', quantity: 1, signed: decision.signed }, signer.address),
+        { code: 'invalid_authorization', status: 401 }
+    );
+    assert.deepEqual(await oracle.usage.getPendingDebits(user), { credits: 1, subscriptionUnits: 0 });
+});
+
+test('a verified authorization can still be consumed, once', async () => {
+    const user = randomAddress();
+    const oracle = createTestOracle({ users: { [user]: { credits: 100 } } });
+    const signer = ethers.Wallet.createRandom();
+    const decision = await authorizeSigned(oracle, signer, user, 'basic');
+
+    // A downstream service checks the token (as /inference/verify does) ...
+    const checked = await oracle.checkSignedAuthorization(decision.signed, signer.address);
+    assert.equal(checked.valid, true);
+    assert.equal((await oracle.checkSignedAuthorization(decision.signed, signer.address)).valid, true);
+
+    // ... then the caller consumes it
+    const result = await oracle.consumeSignedInference(user, { mode: 'basic', quantity: 1, signed: decision.signed }, signer.address);
+    assert.equal(result.record.verified, true);
+    assert.deepEqual(await oracle.checkSignedAuthorization(decision.signed, signer.address), { valid: false, reason: 'replayed' });
+});
+
+test('consume rejects a request that does not match the signed one', async () => {
+    const user = randomAddress();
+    const oracle = createTestOracle({ users: { [user]: { credits: 100 } } });
+    const signer = ethers.Wallet.createRandom();
+    const decision = await authorizeSigned(oracle, signer, user, 'basic', 1);
+
+    await assert.rejects(
+        oracle.consumeSignedInference(user, { mode: 'basic', quantity: 5, signed: decision.signed }, signer.address),
+        { code: 'authorization_mismatch', status: 401 }
+    );
+    await assert.rejects(
+        oracle.consumeSignedInference(user, { mode: 'full', quantity: 1, signed: decision.signed }, signer.address),
+        { code: 'authorization_mismatch' }
+    );
+    await assert.rejects(
+        oracle.consumeSignedInference(randomAddress(), { mode: 'basic', quantity: 1, signed: decision.signed }, signer.address),
+        { code: 'authorization_mismatch' }
+    );
+});
+
+test('consume rejects authorizations signed by another key', async () => {
+    const user = randomAddress();
+    const oracle = createTestOracle({ users: { [user]: { credits: 100 } } });
+    const forger = ethers.Wallet.createRandom();
+    const decision = await authorizeSigned(oracle, forger, user, 'basic');
+
+    await assert.rejects(
+        oracle.consumeSignedInference(user, { mode: 'basic', quantity: 1, signed: decision.signed }, ethers.Wallet.createRandom().address),
+        { code: 'invalid_authorization', status: 401 }
+    );
+    assert.deepEqual(await oracle.usage.getPendingDebits(user), { credits: 0, subscriptionUnits: 0 });
+});
+
+test('consume rejects fractional quantities and repeated request ids', async () => {
+    const user = randomAddress();
+    const oracle = createTestOracle({ users: { [user]: { credits: 100 } } });
+
+    await assert.rejects(
+        oracle.consumeInference(user, { mode: 'basic', quantity: 0.5, authorization: { method: 'credits' } }),
+        { code: 'invalid_quantity' }
+    );
+    await oracle.consumeInference(user, { mode: 'basic', quantity: 1, authorization: { method: 'credits' }, requestId: 'job-1' });
+    await assert.rejects(
+        oracle.consumeInference(user, { mode: 'basic', quantity: 1, authorization: { method: 'credits' }, requestId: 'job-1' }),
+        { code: 'duplicate_request', status: 409 }
+    );
+    assert.deepEqual(await oracle.usage.getPendingDebits(user), { credits: 1, subscriptionUnits: 0 });
+});
+
+test('pending debits reduce what authorize sees as spendable', async () => {
+    const user = randomAddress();
+    const oracle = createTestOracle({ users: { [user]: { credits: 10 } } });
+    const signer = ethers.Wallet.createRandom();
+
+    const first = await authorizeSigned(oracle, signer, user, 'full');
+    await oracle.consumeSignedInference(user, { mode: 'full', quantity: 1, signed: first.signed }, signer.address);
+
+    const second = await oracle.authorizeInference(user, 'full');
+    assert.equal(second.allowed, false);
+    assert.equal(second.reason, 'insufficient_balance_and_cap');
+});
+
+test('signed consume captures the signed global quota reservation', async () => {
+    const user = randomAddress();
+    const oracle = createTestOracle({ users: { [user]: { credits: 100 } } });
+    const signer = ethers.Wallet.createRandom();
+    const decision = await authorizeSigned(oracle, signer, user, 'price_accuracy', 2);
+    assert.equal(decision.reservation.units, 2);
+    assert.equal(decision.signed.message.reservationId, decision.reservation.reservationId);
+
+    const result = await oracle.consumeSignedInference(user, { mode: 'price_accuracy', quantity: 2, signed: decision.signed }, signer.address);
+    assert.equal(result.globalQuota.reserved, true);
+    const usage = await oracle.globalQuota.getUsage();
+    assert.equal(usage.consumed, 2);
+    assert.equal(usage.reserved, 0);
+});
+
+test("a signed authorization cannot be pointed at another caller's reservation", async () => {
+    const [user, victim] = [randomAddress(), randomAddress()];
+    const oracle = createTestOracle({ users: { [user]: { credits: 100 }, [victim]: { credits: 100 } } });
+    const signer = ethers.Wallet.createRandom();
+    const own = await authorizeSigned(oracle, signer, user, 'full');
+    const theirs = await authorizeSigned(oracle, signer, victim, 'full');
+
+    // The reservation a caller passes in the body is not used ...
+    const result = await oracle.consumeSignedInference(user, {
+        mode: 'full',
+        quantity: 1,
+        signed: own.signed,
+        reservationId: theirs.reservation.reservationId
+    }, signer.address);
+    assert.equal(result.globalQuota.reserved, true);
+    assert.deepEqual(Object.keys((await oracle.state.get(`global_quota:${oracle.globalQuota.window().id}`)).reservations), [theirs.reservation.reservationId]);
+
+    // ... and editing the signed one breaks the signature
+    const forged = { ...theirs.signed, message: { ...own.signed.message, reservationId: theirs.reservation.reservationId } };
+    await assert.rejects(
+        oracle.consumeSignedInference(user, { mode: 'full', quantity: 1, signed: forged }, signer.address),
+        { code: 'invalid_authorization' }
+    );
+});
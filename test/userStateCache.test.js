@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const UserStateCache = require('../userStateCache');
+const { createTestOracle, randomAddress } = require('./helpers');
+
+// A RavenAccess stand-in answering both Multicall3 aggregates and direct
+// reads. `users`: address -> { planId, usedThisWindow, credits }; `plans`:
+// planId -> active. Counts round trips in `aggregates` / `directReads`.
+function fakeChain({ users = {}, plans = {}, blockNumber = 100 } = {}) {
+    const oracle = createTestOracle();
+    const iface = new ethers.Interface(oracle.getAccessABI());
+    const multicall = new ethers.Interface(['function getBlockNumber() view returns (uint256 blockNumber)']);
+    const chain = { users, plans, blockNumber, aggregates: [], directReads: 0, reverting: new Set() };
+
+    const subscriptionOf = (user) => {
+        const u = chain.users[user] || {};
+        return [u.planId || 0, u.planId ? 1700000000 : 0, u.usedThisWindow || 0, 0, u.planId ? 100 : 0, 0].map(BigInt);
+    };
+    const answer = (fn, args) => {
+        if (fn === 'getUserSubscription') return subscriptionOf(args[0]);
+        if (fn === 'getUserCredits') return [(chain.users[args[0]] || {}).credits || 0];
+        return [0, 100, !!chain.plans[Number(args[0])]];
+    };
+
+    chain.oracle = oracle;
+    chain.cache = new UserStateCache(oracle);
+    chain.cache._aggregate = async (calls) => {
+        chain.aggregates.push(calls.length);
+        return calls.map(({ target, callData }) => {
+            if (target === chain.cache.multicallAddress) {
+                return { success: true, returnData: multicall.encodeFunctionResult('getBlockNumber', [chain.blockNumber]) };
+            }
+            const parsed = iface.parseTransaction({ data: callData });
+            if (chain.reverting.has(parsed.args[0])) return { success: false, returnData: '0x' };
+            return { success: true, returnData: iface.encodeFunctionResult(parsed.name, answer(parsed.name, parsed.args)) };
+        });
+    };
+    oracle.ravenAccess = {
+        target: oracle.ravenAccess.target,
+        async getUserSubscription(user) { chain.directReads += 1; return subscriptionOf(user); },
+        async getUserCredits(user) { chain.directReads += 1; return BigInt(answer('getUserCredits', [user])[0]); },
+        async plans(planId) { chain.directReads += 1; return { active: !!chain.plans[Number(planId)] }; }
+    };
+    return chain;
+}
+
+test('lookups in the same tick share one aggregate round trip', async () => {
+    const [a, b] = [randomAddress(), randomAddress()];
+    const chain = fakeChain({ users: { [a]: { credits: 7 }, [b]: { planId: 2, usedThisWindow: 5 } }, plans: { 2: true } });
+
+    const [stateA, stateB] = await Promise.all([chain.cache.get(a), chain.cache.get(b), chain.cache.get(a)]);
+    // 1 block number + 2 reads per user, then the newly seen plan 2
+    assert.deepEqual(chain.aggregates, [5, 1]);
+    assert.equal(stateA.credits, '7');
+    assert.equal(stateA.subscription.planId, 0n);
+    assert.equal(stateB.subscription.planId, 2n);
+    assert.equal(stateB.subscription.usedThisWindow, 5n);
+    assert.equal(stateB.subscription.plan.active, true);
+
+    // Cached until the TTL passes or a newer block arrives
+    await chain.cache.get(a);
+    assert.equal(chain.aggregates.length, 2);
+    chain.cache._latestBlock = 101;
+    chain.blockNumber = 101;
+    chain.users[a].credits = 9;
+    assert.equal((await chain.cache.get(a)).credits, '9');
+    assert.deepEqual(chain.aggregates.slice(2), [4]);
+});
+
+test('known plans are refreshed in the same aggregate', async () => {
+    const user = randomAddress();
+    const chain = fakeChain({ users: { [user]: { planId: 1 } }, plans: { 1: true } });
+    assert.equal((await chain.cache.get(user)).subscription.plan.active, true);
+
+    chain.plans[1] = false;
+    chain.cache.invalidate(user);
+    assert.equal((await chain.cache.get(user)).subscription.plan.active, false);
+    assert.deepEqual(chain.aggregates, [3, 1, 4]);
+});
+
+test('a reverted read fails only its own user', async () => {
+    const [good, bad] = [randomAddress(), randomAddress()];
+    const chain = fakeChain({ users: { [good]: { credits: 1 } } });
+    chain.reverting.add(bad);
+
+    const [ok, failed] = await Promise.allSettled([chain.cache.get(good), chain.cache.get(bad)]);
+    assert.equal(ok.value.credits, '1');
+    assert.equal(failed.reason.name, 'ContractRevertError');
+});
+
+test('without Multicall3 on the chain it falls back to direct reads', async () => {
+    const user = randomAddress();
+    const chain = fakeChain({ users: { [user]: { planId: 3, credits: 4 } }, plans: { 3: true } });
+    chain.cache._aggregate = async () => {
+        throw Object.assign(new Error('call revert exception'), { code: 'CALL_EXCEPTION' });
+    };
+
+    const state = (await chain.cache.getMany([user])).get(user);
+    assert.deepEqual([state.credits, state.subscription.planId, state.subscription.plan.active], ['4', 3n, true]);
+    assert.equal(chain.cache.multicall, null);
+    assert.equal(chain.directReads, 3);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+const { createTestOracle, subscription, randomAddress } = require('./helpers');
+
+// Oracle whose provider emits 'block' when the test mines one
+function streamingOracle(users, options = {}) {
+    const oracle = createTestOracle({ users, ...options });
+    const provider = new EventEmitter();
+    provider.blockNumber = 100;
+    provider.getBlockNumber = async () => provider.blockNumber;
+    oracle.provider = provider;
+    return oracle;
+}
+
+// Emit a block and wait for the refresh it starts
+async function mine(oracle) {
+    oracle.provider.blockNumber += 1;
+    oracle.provider.emit('block', oracle.provider.blockNumber);
+    await oracle.streams._refreshing;
+}
+
+test('subscribers get the current state, then only changes', async () => {
+    const user = randomAddress();
+    const users = { [user]: { credits: 20, subscription: subscription({ usedThisWindow: 10, monthlyCap: 100 }) } };
+    const oracle = streamingOracle(users);
+    const heard = [];
+
+    const { snapshot, unsubscribe } = await oracle.streams.subscribe(user, (event, data) => heard.push([event, data]));
+    assert.deepEqual([snapshot.blockNumber, snapshot.credits, snapshot.hasActiveSubscription], [100, '20', true]);
+    assert.deepEqual([snapshot.subscription.planId, snapshot.window.remaining], [1, 90]);
+
+    await mine(oracle);
+    assert.deepEqual(heard, [], 'an unchanged user is not re-sent');
+
+    users[user].credits = 14;
+    await mine(oracle);
+    assert.deepEqual(heard.map(([event, data]) => [event, data.blockNumber, data.credits]), [['state', 102, '14']]);
+
+    unsubscribe();
+    assert.equal(oracle.streams.clients, 0);
+    assert.equal(oracle.provider.listenerCount('block'), 0);
+});
+
+test('pending debits show as unspendable credits', async () => {
+    const user = randomAddress();
+    const oracle = streamingOracle({ [user]: { credits: 10 } });
+    await oracle.usage.consume(user, { mode: 'full', authorization: { method: 'credits', cost: 6 } });
+
+    const { snapshot } = await oracle.streams.subscribe(user, () => {});
+    assert.deepEqual([snapshot.credits, snapshot.spendableCredits], ['10', '4']);
+    assert.deepEqual([snapshot.subscription.planId, snapshot.hasActiveSubscription], [0, false]);
+});
+
+test('a failing refresh is reported once per outage', async () => {
+    const user = randomAddress();
+    const oracle = streamingOracle({ [user]: { credits: 1 } });
+    const heard = [];
+    await oracle.streams.subscribe(user, (event, data) => heard.push([event, data.error]));
+
+    const read = oracle.getUserStates;
+    oracle.getUserStates = async () => { throw new Error('rpc down'); };
+    await mine(oracle);
+    await mine(oracle);
+    assert.deepEqual(heard, [['error', 'rpc down']]);
+
+    oracle.getUserStates = read;
+    await mine(oracle);
+    assert.equal(oracle.streams._failing, false);
+});
+
+test('streams are capped and need a valid address', async () => {
+    const oracle = streamingOracle({}, { streams: { maxClients: 1 } });
+    await oracle.streams.subscribe(randomAddress(), () => {});
+    await assert.rejects(oracle.streams.subscribe(randomAddress(), () => {}), { code: 'too_many_streams', status: 503 });
+    await assert.rejects(oracle.streams.subscribe('nope', () => {}), { code: 'invalid_address', status: 400 });
+});
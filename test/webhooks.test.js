@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestOracle, subscription, noSubscription, randomAddress, DAY_SECONDS } = require('./helpers');
+
+// Webhook dispatcher whose events for the registered webhook are collected
+// instead of delivered
+async function watching(events, users) {
+    const oracle = createTestOracle();
+    const emitted = [];
+    oracle.webhooks.emit = async (event, user, data, eventId) => {
+        if (events.includes(event)) emitted.push({ event, user, data, eventId });
+    };
+    await oracle.webhooks.register({ url: 'https://hooks.example.com/raven', events, users });
+    return { oracle, emitted };
+}
+
+function windowOf(oracle, sub, now = Date.now()) {
+    return oracle.computeSubscriptionWindow(sub, 0, now);
+}
+
+// What authorize observes for a user without a subscription
+function unsubscribed(oracle, credits) {
+    const sub = noSubscription();
+    return { subscription: sub, window: windowOf(oracle, sub), credits };
+}
+
+test('credits.low fires on a drop below the threshold, not on the first sighting', async () => {
+    const user = randomAddress();
+    const { oracle, emitted } = await watching(['credits.low']);
+
+    // Threshold: 3 x the costliest mode (full = 6)
+    assert.deepEqual(await oracle.webhooks.observe(user, unsubscribed(oracle, 10n)), []);
+    assert.deepEqual(await oracle.webhooks.observe(user, unsubscribed(oracle, 30n)), []);
+    assert.deepEqual(await oracle.webhooks.observe(user, unsubscribed(oracle, 17n)), ['credits.low']);
+    assert.deepEqual(await oracle.webhooks.observe(user, unsubscribed(oracle, 5n)), []);
+    assert.equal(emitted.length, 1);
+    assert.equal(emitted[0].data.threshold, '18');
+});
+
+test('cap thresholds fire once per level and window', async () => {
+    const user = randomAddress();
+    const { oracle, emitted } = await watching(['subscription.cap_threshold']);
+    const observe = used => {
+        const sub = subscription({ usedThisWindow: used, monthlyCap: 100 });
+        return oracle.webhooks.observe(user, { subscription: sub, window: windowOf(oracle, sub), credits: 100n });
+    };
+
+    await observe(50);
+    await observe(80);
+    await observe(85);
+    await observe(100);
+    assert.deepEqual(emitted.map(e => [e.event, e.data.threshold]), [
+        ['subscription.cap_threshold', 0.8],
+        ['subscription.cap_threshold', 1]
+    ]);
+});
+
+test('activation and expiry fire on change, with stable event ids', async () => {
+    const user = randomAddress();
+    const { oracle, emitted } = await watching(['subscription.activated', 'subscription.expired']);
+    const start = Math.floor(Date.now() / 1000) - DAY_SECONDS;
+    const sub = subscription({ startTimestamp: start });
+
+    await oracle.webhooks.observe(user, { subscription: sub, window: windowOf(oracle, sub), credits: 100n });
+    await oracle.webhooks.observe(user, { subscription: sub, window: windowOf(oracle, sub), credits: 100n });
+    assert.deepEqual(emitted.map(e => e.event), ['subscription.activated']);
+    assert.equal(emitted[0].eventId, `subscription.activated:${user.toLowerCase()}:1:${start}`);
+
+    const later = Date.now() + 40 * DAY_SECONDS * 1000;
+    await oracle.webhooks.observe(user, { subscription: sub, window: windowOf(oracle, sub, later), credits: 100n });
+    assert.deepEqual(emitted.map(e => e.event), ['subscription.activated', 'subscription.expired']);
+});
+
+test('users no webhook watches are not tracked', async () => {
+    const watched = randomAddress();
+    const other = randomAddress();
+    const { oracle, emitted } = await watching(['credits.low'], [watched]);
+
+    await oracle.webhooks.observe(other, unsubscribed(oracle, 100n));
+    await oracle.webhooks.observe(other, unsubscribed(oracle, 1n));
+    assert.equal(emitted.length, 0);
+    assert.equal(await oracle.state.get(`webhook_watch:${other.toLowerCase()}`), undefined);
+});
+
+test('unchanged state is not written again', async () => {
+    const user = randomAddress();
+    const { oracle } = await watching(['credits.low']);
+    let writes = 0;
+    const update = oracle.state.update.bind(oracle.state);
+    oracle.state.update = (key, fn, ttlMs) => {
+        if (key.startsWith('webhook_watch:')) writes += 1;
+        return update(key, fn, ttlMs);
+    };
+
+    await oracle.webhooks.observe(user, unsubscribed(oracle, 100n));
+    await oracle.webhooks.observe(user, unsubscribed(oracle, 90n));
+    await oracle.webhooks.observe(user, unsubscribed(oracle, 80n));
+    assert.equal(writes, 1);
+});
+
+test('credits.awarded fires per user of a mined batch', async () => {
+    const [a, b] = [randomAddress(), randomAddress()];
+    const { oracle, emitted } = await watching(['credits.awarded']);
+
+    await oracle.webhooks.onAwarded({ reason: 'referral', users: [a, b], amounts: [6, 6] }, { txHash: '0xabc', blockNumber: 7 });
+    assert.deepEqual(emitted.map(e => [e.user, e.eventId]), [[a, `0xabc:${a.toLowerCase()}`], [b, `0xabc:${b.toLowerCase()}`]]);
+    assert.deepEqual(emitted[0].data, { amount: '6', reason: 'referral', txHash: '0xabc', blockNumber: 7 });
+});
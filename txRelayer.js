@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+
+// Server-side relayer for oracle/owner writes. Holds the oracle signer,
+// assigns nonces locally (one relayer process per key), estimates gas, and
+// re-sends stuck transactions with the same nonce and bumped fees.
+// Records are kept in the oracle's state store under tx:<id>:
+// { id, label, to, data, nonce, status: 'pending'|'confirmed'|'failed',
+//   hashes: [...], gasLimit, maxFeePerGas, maxPriorityFeePerGas, gasPrice,
+//   bumps, txHash?, blockNumber?, error?, createdAt, updatedAt }
+class TxRelayer {
+    constructor(oracle, signer, options = {}) {
+        if (!signer) throw new Error('Signer is required');
+        this.oracle = oracle;
+        this.signer = signer;
+        this.gasBufferPercent = options.gasBufferPercent ?? 20;
+        this.stuckAfterMs = options.stuckAfterMs || 90 * 1000;
+        this.bumpPercent = options.bumpPercent || 15; // nodes require >= 10% to replace
+        this.maxBumps = options.maxBumps ?? 5;
+        this.maxFeePerGasCap = options.maxFeePerGasCap ? BigInt(options.maxFeePerGasCap) : null;
+        this.pollInterval = options.pollInterval || 5 * 1000;
+        this.recordTtlMs = options.recordTtlMs || 7 * 24 * 60 * 60 * 1000;
+
+        this._nextNonce = null;
+        this._sendQueue = Promise.resolve(); // serialises nonce assignment
+        this._pending = new Set(); // ids still being watched
+        this._timer = null;
+    }
+
+    async _save(record) {
+        record.updatedAt = Date.now();
+        await this.oracle.state.set(`tx:${record.id}`, record, this.recordTtlMs);
+        return record;
+    }
+
+    async getTransaction(id) {
+        return (await this.oracle.state.get(`tx:${id}`)) || null;
+    }
+
+    async _syncNonce() {
+        this._nextNonce = await this.signer.getNonce('pending');
+    }
+
+    async _feeData() {
+        const fee = await this.oracle.provider.getFeeData();
+        if (fee.maxFeePerGas != null) {
+            return { maxFeePerGas: fee.maxFeePerGas, maxPriorityFeePerGas: fee.maxPriorityFeePerGas };
+        }
+        return { gasPrice: fee.gasPrice };
+    }
+
+    _bump(value) {
+        if (value == null) return value;
+        return (BigInt(value) * BigInt(100 + this.bumpPercent)) / 100n;
+    }
+
+    // Queue a transaction and broadcast it. Resolves with the stored record.
+    async submit({ to, data, value = 0n, label = 'tx' }) {
+        if (!to || !data) throw new Error('to and data are required');
+        const run = this._sendQueue.then(() => this._submit({ to, data, value: BigInt(value), label }));
+        this._sendQueue = run.catch(() => {});
+        return run;
+    }
+
+    async _submit({ to, data, value, label }) {
+        const from = await this.signer.getAddress();
+        const estimated = await this.oracle.provider.estimateGas({ from, to, data, value });
+        const gasLimit = (estimated * BigInt(100 + this.gasBufferPercent)) / 100n;
+        const fees = await this._feeData();
+
+        if (this._nextNonce === null) await this._syncNonce();
+        const record = {
+            id: crypto.randomUUID(),
+            label,
+            from,
+            to,
+            data,
+            value: value.toString(),
+            nonce: this._nextNonce,
+            gasLimit: gasLimit.toString(),
+            ...Object.fromEntries(Object.entries(fees).map(([k, v]) => [k, v.toString()])),
+            status: 'pending',
+            hashes: [],
+            bumps: 0,
+            createdAt: Date.now(),
+            lastSentAt: null
+        };
+
+        try {
+            await this._broadcast(record);
+        } catch (error) {
+            // Another sender used our nonce: resync once and retry
+            if (error.code !== 'NONCE_EXPIRED') throw error;
+            await this._syncNonce();
+            record.nonce = this._nextNonce;
+            await this._broadcast(record);
+        }
+        this._nextNonce = record.nonce + 1;
+        this._pending.add(record.id);
+        return this._save(record);
+    }
+
+    async _broadcast(record) {
+        const request = {
+            to: record.to,
+            data: record.data,
+            value: BigInt(record.value),
+            nonce: record.nonce,
+            gasLimit: BigInt(record.gasLimit)
+        };
+        if (record.maxFeePerGas) {
+            request.maxFeePerGas = BigInt(record.maxFeePerGas);
+            request.maxPriorityFeePerGas = BigInt(record.maxPriorityFeePerGas);
+        } else {
+            request.gasPrice = BigInt(record.gasPrice);
+        }
+        const tx = await this.signer.sendTransaction(request);
+        record.hashes.push(tx.hash);
+        record.lastSentAt = Date.now();
+        return tx;
+    }
+
+    // Check every pending tx: record receipts, bump fees on stuck ones
+    async poll() {
+        for (const id of [...this._pending]) {
+            const record = await this.getTransaction(id);
+            if (!record || record.status !== 'pending') {
+                this._pending.delete(id);
+                continue;
+            }
+            await this._check(record);
+        }
+    }
+
+    async _check(record) {
+        // Read the nonce before the receipts so a tx mined in between is not
+        // mistaken for a foreign one
+        const latestNonce = await this.signer.getNonce('latest');
+
+        // Any broadcast version (original or replacement) may be the one mined
+        for (const hash of record.hashes) {
+            const receipt = await this.oracle.provider.getTransactionReceipt(hash);
+            if (!receipt) continue;
+            record.status = receipt.status === 1 ? 'confirmed' : 'failed';
+            record.txHash = hash;
+            record.blockNumber = receipt.blockNumber;
+            record.gasUsed = receipt.gasUsed.toString();
+            if (receipt.status !== 1) record.error = 'reverted';
+            this._pending.delete(record.id);
+            return this._save(record);
+        }
+
+        // Nonce consumed by a tx we don't know about (e.g. sent from a wallet)
+        if (latestNonce > record.nonce) {
+            record.status = 'failed';
+            record.error = 'nonce used by another transaction';
+            this._pending.delete(record.id);
+            return this._save(record);
+        }
+
+        if (Date.now() - record.lastSentAt < this.stuckAfterMs || record.bumps >= this.maxBumps) return record;
+
+        const bumped = record.maxFeePerGas
+            ? { maxFeePerGas: this._bump(record.maxFeePerGas), maxPriorityFeePerGas: this._bump(record.maxPriorityFeePerGas) }
+            : { gasPrice: this._bump(record.gasPrice) };
+        const fee = bumped.maxFeePerGas ?? bumped.gasPrice;
+        if (this.maxFeePerGasCap && fee > this.maxFeePerGasCap) return record;
+
+        Object.assign(record, Object.fromEntries(Object.entries(bumped).map(([k, v]) => [k, v.toString()])));
+        record.bumps += 1;
+        try {
+            await this._broadcast(record);
+        } catch (error) {
+            // Mined between the receipt check and the replacement: picked up next poll
+            if (error.code !== 'NONCE_EXPIRED' && error.code !== 'REPLACEMENT_UNDERPRICED') throw error;
+        }
+        return this._save(record);
+    }
+
+    // Current record, re-checked on-chain if still pending (for serverless
+    // deployments where no poll loop is running)
+    async refresh(id) {
+        const record = await this.getTransaction(id);
+        if (!record || record.status !== 'pending') return record;
+        return this._check(record);
+    }
+
+    start() {
+        if (this._timer) return;
+        this._timer = setInterval(() => {
+            this.poll().catch(error => this.oracle.logger.error('relayed transaction poll failed', { error }));
+        }, this.pollInterval);
+        if (this._timer.unref) this._timer.unref();
+    }
+
+    stop() {
+        if (this._timer) clearInterval(this._timer);
+        this._timer = null;
+    }
+}
+
+module.exports = TxRelayer;
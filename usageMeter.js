@@ -0,0 +1,159 @@
+const { ethers } = require('ethers');
+
+// Records consumed inferences (authorize -> run -> consume) and keeps the
+// per-user debits that still have to be settled on-chain:
+//   credits           -> credits spent on inferences
+//   subscriptionUnits -> units to add to usedThisWindow
+// The contract has no write for either, so debits are settled by the operator
+// and cleared with markSettled(). Until then authorizeInference subtracts them
+// from the on-chain state.
+class UsageError extends Error {
+    constructor(message, code, status = 400) {
+        super(message);
+        this.name = 'UsageError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+class UsageMeter {
+    constructor(oracle, options = {}) {
+        this.oracle = oracle;
+        this.maxRecordsPerUser = options.maxRecordsPerUser || 100;
+        this.consumptionTtlMs = options.consumptionTtlMs || 24 * 60 * 60 * 1000; // idempotency window
+    }
+
+    _key(kind, userAddress) {
+        return `${kind}:${String(userAddress).toLowerCase()}`;
+    }
+
+    // Record a consumed inference for an authorization decision.
+    // authorization: { method: 'subscription'|'credits'|'initial_grant', cost?, reservation?, verified? }
+    // comes from a trusted caller: a verified signed authorization
+    // (consumeSigned) or a quote capture. cost defaults to the current price;
+    // verified marks usage backed by a server-signed authorization.
+    // requestId (optional) makes the call idempotent.
+    async consume(userAddress, { mode, quantity = 1, authorization, requestId } = {}) {
+        if (!ethers.isAddress(userAddress)) throw new UsageError('valid user address required', 'invalid_address');
+        if (!Number.isInteger(quantity) || quantity <= 0) throw new UsageError('quantity must be a positive integer', 'invalid_quantity');
+        if (!authorization || typeof authorization !== 'object') throw new UsageError('authorization required', 'invalid_authorization');
+        const { method } = authorization;
+        if (!['subscription', 'credits', 'initial_grant'].includes(method)) {
+            throw new UsageError('authorization method must be subscription, credits or initial_grant', 'invalid_authorization');
+        }
+        let cost = 0;
+        if (method === 'credits' && authorization.cost !== undefined) {
+            cost = Number(authorization.cost);
+            if (!Number.isInteger(cost) || cost < 0) throw new UsageError('authorization cost must be a non-negative integer', 'invalid_authorization');
+        } else if (method === 'credits') {
+            const subscription = await this.oracle.getUserSubscription(userAddress);
+            cost = this.oracle.getInferenceCost(mode, quantity, subscription ? Number(subscription.planId) : 0);
+        } else {
+            this.oracle.getInferenceCost(mode, quantity); // validates the mode
+        }
+
+        if (requestId !== undefined) {
+            const fresh = await this.oracle.state.setIfAbsent(`consumption:${requestId}`, Date.now(), this.consumptionTtlMs);
+            if (!fresh) throw new UsageError('requestId already consumed', 'duplicate_request', 409);
+        }
+
+        const record = {
+            id: requestId !== undefined ? String(requestId) : `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`,
+            user: ethers.getAddress(userAddress),
+            mode,
+            quantity,
+            method,
+            cost,
+            verified: authorization.verified === true,
+            at: Date.now()
+        };
+
+        await this.oracle.state.update(this._key('usage', userAddress), (list = []) => {
+            const next = [...list, record];
+            return next.slice(-this.maxRecordsPerUser);
+        });
+
+        const pendingDebits = await this.oracle.state.update(this._key('debits', userAddress), (current) => {
+            const debits = { credits: 0, subscriptionUnits: 0, ...current };
+            if (method === 'credits') debits.credits += cost;
+            if (method === 'subscription') debits.subscriptionUnits += quantity;
+            return debits;
+        });
+
+        // Global-cap modes count against the shared quota (captures the
+        // authorize-time reservation when there is one)
+        const globalQuota = this.oracle.isGlobalCapMode(mode)
+            ? await this.oracle.globalQuota.capture({
+                reservationId: authorization.reservation && authorization.reservation.reservationId,
+                mode,
+                units: quantity
+            }, record.at)
+            : null;
+
+        // Prompts backed by a server-signed authorization count towards the
+        // user's daily streak (its milestones pay credits)
+        const streak = record.verified ? await this.oracle.streaks.recordActivity(userAddress, quantity, record.at) : null;
+
+        return { record, pendingDebits, streak, globalQuota };
+    }
+
+    // Consume against a signed authorization from /inference/authorize. The
+    // request must match the signed user, mode and quantity; method, cost and
+    // the global quota reservation are taken from the signed message and its
+    // nonce is spent here, so each authorization is consumed once.
+    async consumeSigned(userAddress, { mode, quantity = 1, signed, requestId } = {}, expectedSigner) {
+        if (!ethers.isAddress(userAddress)) throw new UsageError('valid user address required', 'invalid_address');
+        if (!Number.isInteger(quantity) || quantity <= 0) throw new UsageError('quantity must be a positive integer', 'invalid_quantity');
+        const message = signed && signed.message;
+        if (!message || typeof signed.signature !== 'string') {
+            throw new UsageError('signed authorization required', 'invalid_authorization', 401);
+        }
+        if (String(message.user).toLowerCase() !== String(userAddress).toLowerCase() ||
+            message.mode !== mode || Number(message.quantity) !== quantity) {
+            throw new UsageError('request does not match the signed authorization', 'authorization_mismatch', 401);
+        }
+        const verified = await this.oracle.verifySignedAuthorization(signed, expectedSigner);
+        if (!verified.valid) throw new UsageError(`invalid authorization (${verified.reason})`, 'invalid_authorization', 401);
+
+        return this.consume(userAddress, {
+            mode,
+            quantity,
+            requestId,
+            authorization: {
+                method: verified.message.method,
+                cost: Number(verified.message.cost),
+                reservation: verified.message.reservationId ? { reservationId: verified.message.reservationId } : undefined,
+                verified: true
+            }
+        });
+    }
+
+    async getPendingDebits(userAddress) {
+        const debits = await this.oracle.state.get(this._key('debits', userAddress));
+        return { credits: 0, subscriptionUnits: 0, ...debits };
+    }
+
+    // Recent usage records, newest first
+    async getUsage(userAddress, limit = 50) {
+        const list = (await this.oracle.state.get(this._key('usage', userAddress))) || [];
+        return list.slice(-limit).reverse();
+    }
+
+    // Subtract amounts the operator settled from the pending debits
+    async markSettled(userAddress, { credits = 0, subscriptionUnits = 0 } = {}) {
+        if (!Number.isInteger(credits) || credits < 0) throw new UsageError('credits must be a non-negative integer', 'invalid_amount');
+        if (!Number.isInteger(subscriptionUnits) || subscriptionUnits < 0) {
+            throw new UsageError('subscriptionUnits must be a non-negative integer', 'invalid_amount');
+        }
+        const next = await this.oracle.state.update(this._key('debits', userAddress), (current) => {
+            const debits = { credits: 0, subscriptionUnits: 0, ...current };
+            debits.credits = Math.max(0, debits.credits - credits);
+            debits.subscriptionUnits = Math.max(0, debits.subscriptionUnits - subscriptionUnits);
+            return debits.credits === 0 && debits.subscriptionUnits === 0 ? undefined : debits;
+        });
+        return { credits: 0, subscriptionUnits: 0, ...next };
+    }
+}
+
+module.exports = UsageMeter;
+module.exports.UsageError = UsageError;
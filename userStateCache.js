@@ -0,0 +1,221 @@
+const { ethers } = require('ethers');
+const { ContractRevertError } = require('./rpcErrors');
+
+// Canonical Multicall3 deployment (same address on most EVM chains)
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+const MULTICALL3_ABI = [
+    "function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)",
+    "function getBlockNumber() view returns (uint256 blockNumber)"
+];
+
+// Read-through cache for per-user on-chain state ({ subscription, credits }).
+// Lookups made in the same tick are coalesced into one Multicall3 aggregate3
+// round trip (getUserSubscription + getUserCredits per user, plans(planId) for
+// known plans, and the block number). Entries expire after ttlMs and, once
+// watchBlocks() is called, whenever a newer block arrives.
+class UserStateCache {
+    constructor(oracle, options = {}) {
+        this.oracle = oracle;
+        this.ttlMs = options.ttlMs ?? 5000;
+        this.planTtlMs = options.planTtlMs ?? 60 * 1000;
+        this.multicallAddress = options.multicallAddress === undefined ? MULTICALL3_ADDRESS : options.multicallAddress;
+        this.iface = new ethers.Interface(oracle.getAccessABI());
+        this.multicall = this.multicallAddress
+            ? new ethers.Contract(this.multicallAddress, MULTICALL3_ABI, oracle.provider)
+            : null;
+
+        this._entries = new Map(); // user -> { value, fetchedAt, blockNumber }
+        this._plans = new Map(); // planId -> { active, fetchedAt }
+        this._waiting = new Map(); // user -> [{ resolve, reject }]
+        this._scheduled = false;
+        this._latestBlock = 0;
+        this._blockListener = null;
+    }
+
+    _fresh(entry, now = Date.now()) {
+        return !!entry && now - entry.fetchedAt < this.ttlMs && entry.blockNumber >= this._latestBlock;
+    }
+
+    // { subscription, credits } for one user
+    async get(userAddress) {
+        const key = ethers.getAddress(userAddress);
+        const entry = this._entries.get(key);
+        if (this._fresh(entry)) return entry.value;
+
+        return new Promise((resolve, reject) => {
+            if (!this._waiting.has(key)) this._waiting.set(key, []);
+            this._waiting.get(key).push({ resolve, reject });
+            if (!this._scheduled) {
+                this._scheduled = true;
+                setImmediate(() => this._flush());
+            }
+        });
+    }
+
+    // Map(address -> { subscription, credits }) for many users, one round trip
+    async getMany(addresses) {
+        const values = await Promise.all(addresses.map(a => this.get(a)));
+        return new Map(addresses.map((a, i) => [ethers.getAddress(a), values[i]]));
+    }
+
+    invalidate(userAddress) {
+        if (userAddress) this._entries.delete(ethers.getAddress(userAddress));
+        else this._entries.clear();
+    }
+
+    async _flush() {
+        this._scheduled = false;
+        const waiting = this._waiting;
+        this._waiting = new Map();
+        const users = [...waiting.keys()];
+        if (users.length === 0) return;
+
+        try {
+            const fetched = await this._fetch(users);
+            for (const user of users) {
+                const result = fetched.get(user);
+                for (const w of waiting.get(user)) {
+                    if (result.error) w.reject(result.error);
+                    else w.resolve(result.value);
+                }
+            }
+        } catch (error) {
+            for (const list of waiting.values()) list.forEach(w => w.reject(error));
+        }
+    }
+
+    async _fetch(users) {
+        if (!this.multicall) return this._fetchDirect(users);
+        try {
+            return await this._fetchMulticall(users);
+        } catch (error) {
+            // No Multicall3 at that address on this chain: read directly from now on
+            if (error.code !== 'CALL_EXCEPTION' && error.code !== 'BAD_DATA') throw error;
+            this.multicall = null;
+            return this._fetchDirect(users);
+        }
+    }
+
+    _store(user, value, blockNumber) {
+        this._entries.set(user, { value, fetchedAt: Date.now(), blockNumber });
+        return { value };
+    }
+
+    // Plain sequential reads (no Multicall3 on this chain)
+    async _fetchDirect(users) {
+        const out = new Map();
+        for (const user of users) {
+            try {
+                const raw = await this.oracle.ravenAccess.getUserSubscription(user);
+                const planId = raw.planId ?? raw[0];
+                const active = Number(planId) > 0 ? await this._planActive(planId) : false;
+                const credits = (await this.oracle.ravenAccess.getUserCredits(user)).toString();
+                out.set(user, this._store(user, {
+                    subscription: this.oracle.formatSubscription(raw, active),
+                    credits
+                }, this._latestBlock));
+            } catch (error) {
+                out.set(user, { error });
+            }
+        }
+        return out;
+    }
+
+    async _planActive(planId) {
+        const cached = this._plans.get(Number(planId));
+        if (cached && Date.now() - cached.fetchedAt < this.planTtlMs) return cached.active;
+        const plan = await this.oracle.ravenAccess.plans(planId);
+        this._plans.set(Number(planId), { active: Boolean(plan.active), fetchedAt: Date.now() });
+        return Boolean(plan.active);
+    }
+
+    async _aggregate(calls) {
+        return this.multicall.aggregate3.staticCall(calls.map(c => ({ target: c.target, allowFailure: true, callData: c.callData })));
+    }
+
+    async _fetchMulticall(users) {
+        const target = this.oracle.ravenAccess.target;
+        const planIds = [...this._plans.keys()];
+        const calls = [{ target: this.multicallAddress, callData: this.multicall.interface.encodeFunctionData('getBlockNumber') }];
+        for (const user of users) {
+            calls.push({ target, callData: this.iface.encodeFunctionData('getUserSubscription', [user]) });
+            calls.push({ target, callData: this.iface.encodeFunctionData('getUserCredits', [user]) });
+        }
+        for (const planId of planIds) {
+            calls.push({ target, callData: this.iface.encodeFunctionData('plans', [planId]) });
+        }
+
+        const results = await this._aggregate(calls);
+        const blockNumber = Number(this.multicall.interface.decodeFunctionResult('getBlockNumber', results[0].returnData)[0]);
+        this._latestBlock = Math.max(this._latestBlock, blockNumber);
+
+        planIds.forEach((planId, i) => {
+            const r = results[1 + users.length * 2 + i];
+            if (!r.success) return;
+            const plan = this.iface.decodeFunctionResult('plans', r.returnData);
+            this._plans.set(planId, { active: Boolean(plan.active ?? plan[2]), fetchedAt: Date.now() });
+        });
+
+        const decoded = users.map((user, i) => {
+            const subRes = results[1 + i * 2];
+            const credRes = results[2 + i * 2];
+            if (!subRes.success || !credRes.success) {
+                return { user, error: new ContractRevertError(`on-chain read reverted for ${user}`) };
+            }
+            return {
+                user,
+                raw: this.iface.decodeFunctionResult('getUserSubscription', subRes.returnData),
+                credits: this.iface.decodeFunctionResult('getUserCredits', credRes.returnData)[0].toString()
+            };
+        });
+
+        // Plans seen for the first time: one extra round trip, then cached
+        const missing = [...new Set(decoded
+            .filter(d => !d.error && Number(d.raw[0]) > 0 && !this._plans.has(Number(d.raw[0])))
+            .map(d => Number(d.raw[0])))];
+        if (missing.length) {
+            const planResults = await this._aggregate(missing.map(planId => ({
+                target,
+                callData: this.iface.encodeFunctionData('plans', [planId])
+            })));
+            missing.forEach((planId, i) => {
+                if (!planResults[i].success) return;
+                const plan = this.iface.decodeFunctionResult('plans', planResults[i].returnData);
+                this._plans.set(planId, { active: Boolean(plan.active ?? plan[2]), fetchedAt: Date.now() });
+            });
+        }
+
+        const out = new Map();
+        for (const d of decoded) {
+            if (d.error) {
+                out.set(d.user, { error: d.error });
+                continue;
+            }
+            const planId = Number(d.raw[0]);
+            const active = planId > 0 ? Boolean(this._plans.get(planId) && this._plans.get(planId).active) : false;
+            out.set(d.user, this._store(d.user, {
+                subscription: this.oracle.formatSubscription(d.raw, active),
+                credits: d.credits
+            }, blockNumber));
+        }
+        return out;
+    }
+
+    // Expire entries read at older blocks as new blocks arrive
+    watchBlocks() {
+        if (this._blockListener) return;
+        this._blockListener = (blockNumber) => {
+            this._latestBlock = Math.max(this._latestBlock, Number(blockNumber));
+        };
+        this.oracle.provider.on('block', this._blockListener);
+    }
+
+    unwatchBlocks() {
+        if (!this._blockListener) return;
+        this.oracle.provider.off('block', this._blockListener);
+        this._blockListener = null;
+    }
+}
+
+module.exports = UserStateCache;
+module.exports.MULTICALL3_ADDRESS = MULTICALL3_ADDRESS;
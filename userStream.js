@@ -0,0 +1,194 @@
+const { ethers } = require('ethers');
+
+// Live per-user state for streaming clients (GET /users/:address/stream).
+// One 'block' listener on the oracle's provider serves every client: on each
+// new block the watched users are re-read together (one Multicall3 round trip
+// through the cache) and listeners hear about a user only when the snapshot
+// changed. The block listener is removed when the last client leaves.
+class UserStreamError extends Error {
+    constructor(message, code, status = 400) {
+        super(message);
+        this.name = 'UserStreamError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+class UserStateStream {
+    // options: { maxClients }
+    constructor(oracle, options = {}) {
+        this.oracle = oracle;
+        this.maxClients = options.maxClients || 1000;
+        this._watched = new Map(); // user -> { listeners: Set, snapshot, key }
+        this._clients = 0;
+        this._blockListener = null;
+        this._latestBlock = null;
+        this._refreshing = null;
+        this._again = false;
+        this._failing = false;
+    }
+
+    get clients() {
+        return this._clients;
+    }
+
+    // { address, blockNumber, credits, spendableCredits, subscription, hasActiveSubscription, window }
+    async _snapshot(user, { subscription, credits }, blockNumber) {
+        const pending = await this.oracle.usage.getPendingDebits(user);
+        const onChain = BigInt(credits);
+        const spendable = onChain > BigInt(pending.credits) ? onChain - BigInt(pending.credits) : 0n;
+        const window = subscription ? await this.oracle.getSubscriptionWindow(user, subscription) : null;
+        return {
+            address: user,
+            blockNumber,
+            credits: onChain.toString(),
+            spendableCredits: spendable.toString(),
+            subscription: subscription ? {
+                planId: Number(subscription.planId),
+                active: !!subscription.plan.active,
+                usedThisWindow: Number(subscription.usedThisWindow),
+                monthlyCap: Number(subscription.plan.monthlyCap),
+                lastRenewedAt: Number(subscription.lastRenewedAt)
+            } : null,
+            hasActiveSubscription: this.oracle.isSubscriptionActive(subscription, window),
+            window: window ? {
+                used: window.used,
+                cap: window.cap,
+                remaining: window.remaining,
+                windowEndsAt: window.windowEndsAt,
+                lapsed: window.lapsed
+            } : null
+        };
+    }
+
+    // Snapshot minus the block number: what counts as a change
+    _key(snapshot) {
+        const { blockNumber, ...state } = snapshot;
+        return JSON.stringify(state);
+    }
+
+    // Watch a user. listener(event, data) hears 'state' (snapshot) on every
+    // change and 'error' ({ error, code }) when a refresh fails. Resolves to
+    // { snapshot, unsubscribe } with the current state.
+    async subscribe(userAddress, listener) {
+        if (!ethers.isAddress(userAddress)) throw new UserStreamError('valid address required', 'invalid_address');
+        if (this._clients >= this.maxClients) throw new UserStreamError('too many open streams', 'too_many_streams', 503);
+        const user = ethers.getAddress(userAddress);
+
+        this._clients += 1;
+        let watcher = this._watched.get(user);
+        if (!watcher) {
+            watcher = { listeners: new Set(), snapshot: null, key: null };
+            this._watched.set(user, watcher);
+        }
+        watcher.listeners.add(listener);
+        this._watchBlocks();
+
+        let closed = false;
+        const unsubscribe = () => {
+            if (closed) return;
+            closed = true;
+            this._clients -= 1;
+            watcher.listeners.delete(listener);
+            if (watcher.listeners.size === 0 && this._watched.get(user) === watcher) this._watched.delete(user);
+            if (this._watched.size === 0) this._unwatchBlocks();
+        };
+
+        try {
+            if (!watcher.snapshot) {
+                if (this._latestBlock === null) this._latestBlock = await this.oracle.provider.getBlockNumber();
+                const states = await this.oracle.getUserStates([user]);
+                const snapshot = await this._snapshot(user, states.get(user), this._latestBlock);
+                if (!watcher.snapshot) Object.assign(watcher, { snapshot, key: this._key(snapshot) });
+            }
+        } catch (error) {
+            unsubscribe();
+            throw error;
+        }
+        return { snapshot: watcher.snapshot, unsubscribe };
+    }
+
+    _watchBlocks() {
+        if (this._blockListener) return;
+        this._blockListener = (blockNumber) => {
+            this._latestBlock = Number(blockNumber);
+            if (this._refreshing) {
+                this._again = true;
+                return;
+            }
+            this._refreshing = this._refreshLoop().finally(() => {
+                this._refreshing = null;
+            });
+        };
+        this.oracle.provider.on('block', this._blockListener);
+    }
+
+    _unwatchBlocks() {
+        if (!this._blockListener) return;
+        this.oracle.provider.off('block', this._blockListener);
+        this._blockListener = null;
+    }
+
+    // Blocks that arrive during a refresh collapse into one more pass
+    async _refreshLoop() {
+        do {
+            this._again = false;
+            await this.refresh(this._latestBlock);
+        } while (this._again && this._watched.size > 0);
+    }
+
+    // Re-read every watched user and notify listeners of changed snapshots
+    async refresh(blockNumber = this._latestBlock) {
+        const users = [...this._watched.keys()];
+        if (users.length === 0) return 0;
+        // The new block makes cached reads stale
+        if (this.oracle.cache) users.forEach(user => this.oracle.cache.invalidate(user));
+
+        let states;
+        try {
+            states = await this.oracle.getUserStates(users);
+        } catch (error) {
+            // Tell clients once per outage, not on every block
+            if (!this._failing) {
+                this.oracle.logger.warn('stream refresh failed', { users: users.length, error });
+                this._notifyAll('error', { error: error.message, ...(typeof error.code === 'string' && error.status && { code: error.code }) });
+            }
+            this._failing = true;
+            return 0;
+        }
+        this._failing = false;
+
+        let changed = 0;
+        for (const user of users) {
+            const watcher = this._watched.get(user);
+            if (!watcher) continue;
+            const snapshot = await this._snapshot(user, states.get(user), blockNumber);
+            const key = this._key(snapshot);
+            watcher.snapshot = snapshot;
+            if (key === watcher.key) continue;
+            watcher.key = key;
+            changed += 1;
+            this._notify(watcher, 'state', snapshot);
+        }
+        return changed;
+    }
+
+    _notify(watcher, event, data) {
+        for (const listener of [...watcher.listeners]) {
+            try {
+                listener(event, data);
+            } catch (error) {
+                this.oracle.logger.error('stream listener failed', { error });
+            }
+        }
+    }
+
+    _notifyAll(event, data) {
+        for (const watcher of this._watched.values()) this._notify(watcher, event, data);
+    }
+}
+
+module.exports = {
+    UserStateStream,
+    UserStreamError
+};
@@ -0,0 +1,393 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+
+// Webhook subscriptions and signed, retried deliveries, kept in the state store:
+//   webhook:<id>            -> { id, url, events, users, secret, createdAt }
+//   webhook_deliveries:<id> -> [delivery, ...] (oldest first, at most maxDeliveries)
+//   webhook_watch:<user>    -> what was last seen for the user (lapsed, cap level, low balance)
+// Events:
+//   credits.awarded              an awardCreditsBatch sent by the oracle was mined (per user)
+//   subscription.activated       a paid plan was bought or renewed (new start / renewal time)
+//   subscription.expired         the user's plan lapsed (no renewal within the grace period)
+//   subscription.cap_threshold   window usage reached a capThresholds share of monthlyCap
+//   credits.low                  spendable credits fell below lowCreditsInferences x the costliest mode
+// The last four fire once per change, when the oracle evaluates the user.
+//
+// Each delivery is POSTed as JSON { id, event, eventId, createdAt, contract, data } with
+//   X-Raven-Event, X-Raven-Delivery, X-Raven-Timestamp (unix seconds) and
+//   X-Raven-Signature = hex HMAC-SHA256(secret, `${timestamp}.${body}`)
+// Non-2xx answers and timeouts are retried with exponential backoff.
+const WEBHOOK_EVENTS = [
+    'credits.awarded',
+    'subscription.activated',
+    'subscription.expired',
+    'subscription.cap_threshold',
+    'credits.low'
+];
+
+// Derived from user state in observe()
+const WATCHED_EVENTS = ['subscription.activated', 'subscription.expired', 'subscription.cap_threshold', 'credits.low'];
+
+class WebhookError extends Error {
+    constructor(message, code, status = 400) {
+        super(message);
+        this.name = 'WebhookError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+class WebhookDispatcher {
+    // options: { capThresholds, lowCreditsInferences, maxAttempts, retryBaseMs,
+    //            retryMaxMs, timeoutMs, maxDeliveries, pollInterval }
+    constructor(oracle, options = {}) {
+        this.oracle = oracle;
+        this.capThresholds = [...(options.capThresholds || [0.8, 1])].sort((a, b) => a - b);
+        if (this.capThresholds.some(t => !(t > 0 && t <= 1))) throw new Error('capThresholds must be between 0 and 1');
+        this.lowCreditsInferences = options.lowCreditsInferences ?? 3;
+        this.maxAttempts = options.maxAttempts || 6;
+        this.retryBaseMs = options.retryBaseMs || 30 * 1000;
+        this.retryMaxMs = options.retryMaxMs || 60 * 60 * 1000;
+        this.timeoutMs = options.timeoutMs || 10 * 1000;
+        this.maxDeliveries = options.maxDeliveries || 200;
+        this.pollInterval = options.pollInterval || 15 * 1000;
+        this._inFlight = new Set();
+        this._timer = null;
+    }
+
+    _validate({ url, events, users }) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (_) {
+            throw new WebhookError('url must be an http(s) URL', 'invalid_url');
+        }
+        if (!['http:', 'https:'].includes(parsed.protocol)) throw new WebhookError('url must be an http(s) URL', 'invalid_url');
+        if (!Array.isArray(events) || events.length === 0) throw new WebhookError('events must list at least one event type', 'invalid_events');
+        const unknown = events.filter(e => !WEBHOOK_EVENTS.includes(e));
+        if (unknown.length) throw new WebhookError(`unknown event types: ${unknown.join(', ')}`, 'invalid_events');
+        if (users !== undefined && users !== null) {
+            if (!Array.isArray(users) || users.some(u => !ethers.isAddress(u))) {
+                throw new WebhookError('users must be a list of addresses', 'invalid_address');
+            }
+        }
+    }
+
+    // Public view (the secret is only returned by register)
+    _describe(webhook) {
+        const { secret, ...rest } = webhook;
+        return rest;
+    }
+
+    // Register a callback URL. `users` limits it to those addresses (all users
+    // when omitted). Returns the webhook including its signing secret.
+    async register({ url, events, users, secret } = {}) {
+        this._validate({ url, events, users });
+        if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+            throw new WebhookError('secret must be a string of at least 16 characters', 'invalid_secret');
+        }
+        const webhook = {
+            id: crypto.randomBytes(8).toString('hex'),
+            url,
+            events: [...new Set(events)],
+            users: users ? users.map(u => ethers.getAddress(u)) : null,
+            secret: secret || crypto.randomBytes(32).toString('hex'),
+            createdAt: Date.now()
+        };
+        await this.oracle.state.set(`webhook:${webhook.id}`, webhook);
+        return webhook;
+    }
+
+    async _get(id) {
+        const webhook = await this.oracle.state.get(`webhook:${id}`);
+        if (!webhook) throw new WebhookError(`unknown webhook ${id}`, 'unknown_webhook', 404);
+        return webhook;
+    }
+
+    async get(id) {
+        return this._describe(await this._get(id));
+    }
+
+    async _all() {
+        const keys = await this.oracle.state.keys('webhook:');
+        const webhooks = await Promise.all(keys.map(key => this.oracle.state.get(key)));
+        return webhooks.filter(Boolean).sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    async list() {
+        return (await this._all()).map(w => this._describe(w));
+    }
+
+    // Remove a webhook and its delivery log
+    async remove(id) {
+        await this._get(id);
+        await this.oracle.state.delete(`webhook:${id}`);
+        await this.oracle.state.delete(`webhook_deliveries:${id}`);
+        return true;
+    }
+
+    // Delivery log, newest first. filters: { status?, limit? }
+    async getDeliveries(id, { status, limit = 50 } = {}) {
+        await this._get(id);
+        const list = (await this.oracle.state.get(`webhook_deliveries:${id}`)) || [];
+        return list
+            .filter(d => (status ? d.status === status : true))
+            .reverse()
+            .slice(0, limit);
+    }
+
+    // Queue `event` for every webhook subscribed to it (and to this user) and
+    // make the first attempt right away. Returns the deliveries created.
+    async emit(event, userAddress, data, eventId = crypto.randomUUID()) {
+        if (!WEBHOOK_EVENTS.includes(event)) throw new Error(`unknown webhook event ${event}`);
+        const user = ethers.getAddress(userAddress);
+        const targets = (await this._all()).filter(w => w.events.includes(event) && (!w.users || w.users.includes(user)));
+        const deliveries = [];
+        for (const webhook of targets) {
+            deliveries.push(await this._enqueue(webhook, {
+                event,
+                eventId,
+                payload: { event, eventId, user, data }
+            }));
+        }
+        deliveries.forEach(d => this._attemptInBackground(d.webhookId, d.id));
+        return deliveries;
+    }
+
+    async _enqueue(webhook, { event, eventId, payload, redeliveryOf }) {
+        const delivery = {
+            id: crypto.randomBytes(8).toString('hex'),
+            webhookId: webhook.id,
+            event,
+            eventId,
+            payload,
+            status: 'pending',
+            attempts: [],
+            nextAttemptAt: Date.now(),
+            createdAt: Date.now(),
+            ...(redeliveryOf && { redeliveryOf })
+        };
+        await this.oracle.state.update(`webhook_deliveries:${webhook.id}`, (list = []) => [...list, delivery].slice(-this.maxDeliveries));
+        return delivery;
+    }
+
+    // Send a logged delivery again as a new delivery (same payload and eventId)
+    async redeliver(webhookId, deliveryId) {
+        const webhook = await this._get(webhookId);
+        const list = (await this.oracle.state.get(`webhook_deliveries:${webhookId}`)) || [];
+        const original = list.find(d => d.id === deliveryId);
+        if (!original) throw new WebhookError(`unknown delivery ${deliveryId}`, 'unknown_delivery', 404);
+        const delivery = await this._enqueue(webhook, {
+            event: original.event,
+            eventId: original.eventId,
+            payload: original.payload,
+            redeliveryOf: original.id
+        });
+        return this.deliver(webhookId, delivery.id);
+    }
+
+    _attemptInBackground(webhookId, deliveryId) {
+        this.deliver(webhookId, deliveryId).catch(error => this.oracle.logger.error('webhook delivery failed', { webhookId, deliveryId, error }));
+    }
+
+    sign(secret, timestamp, body) {
+        return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    }
+
+    // One attempt for a pending delivery; returns the updated delivery
+    async deliver(webhookId, deliveryId) {
+        if (this._inFlight.has(deliveryId)) return null;
+        this._inFlight.add(deliveryId);
+        try {
+            const webhook = await this._get(webhookId);
+            const list = (await this.oracle.state.get(`webhook_deliveries:${webhookId}`)) || [];
+            const delivery = list.find(d => d.id === deliveryId);
+            if (!delivery || delivery.status !== 'pending') return delivery || null;
+
+            const timestamp = Math.floor(Date.now() / 1000);
+            const body = JSON.stringify({
+                id: delivery.id,
+                createdAt: new Date(delivery.createdAt).toISOString(),
+                contract: this.oracle.ravenAccess.target,
+                ...delivery.payload
+            });
+            const started = Date.now();
+            const attempt = { at: started };
+            try {
+                const res = await fetch(webhook.url, {
+                    method: 'POST',
+                    headers: {
+                        'content-type': 'application/json',
+                        'user-agent': 'raven-oracle-webhooks',
+                        'x-raven-event': delivery.event,
+                        'x-raven-delivery': delivery.id,
+                        'x-raven-timestamp': String(timestamp),
+                        'x-raven-signature': this.sign(webhook.secret, timestamp, body)
+                    },
+                    body,
+                    redirect: 'manual',
+                    signal: AbortSignal.timeout(this.timeoutMs)
+                });
+                attempt.status = res.status;
+                if (!res.ok) attempt.error = `HTTP ${res.status}`;
+            } catch (error) {
+                attempt.error = error.name === 'TimeoutError' ? 'timeout' : (error.cause && error.cause.code) || error.message;
+            }
+            attempt.durationMs = Date.now() - started;
+
+            let updated = null;
+            await this.oracle.state.update(`webhook_deliveries:${webhookId}`, (current = []) => current.map((d) => {
+                if (d.id !== deliveryId) return d;
+                const attempts = [...d.attempts, attempt];
+                const next = { ...d, attempts };
+                if (!attempt.error) {
+                    next.status = 'delivered';
+                    next.deliveredAt = Date.now();
+                    delete next.nextAttemptAt;
+                } else if (attempts.length >= this.maxAttempts) {
+                    next.status = 'failed';
+                    delete next.nextAttemptAt;
+                } else {
+                    next.nextAttemptAt = Date.now() + Math.min(this.retryMaxMs, this.retryBaseMs * 4 ** (attempts.length - 1));
+                }
+                updated = next;
+                return next;
+            }));
+            if (updated && this.oracle.metrics) {
+                this.oracle.metrics.webhookDelivery(updated.event, updated.status === 'pending' ? 'retrying' : updated.status);
+            }
+            return updated;
+        } finally {
+            this._inFlight.delete(deliveryId);
+        }
+    }
+
+    // Attempt every pending delivery whose retry time has come
+    async processDue(now = Date.now()) {
+        let attempted = 0;
+        for (const webhook of await this._all()) {
+            const list = (await this.oracle.state.get(`webhook_deliveries:${webhook.id}`)) || [];
+            for (const delivery of list) {
+                if (delivery.status !== 'pending' || delivery.nextAttemptAt > now) continue;
+                await this.deliver(webhook.id, delivery.id);
+                attempted += 1;
+            }
+        }
+        return attempted;
+    }
+
+    // credits.awarded for each user of a mined awardCreditsBatch
+    // chunk: { reason, users, amounts }, receipt: { txHash, blockNumber }
+    async onAwarded(chunk, { txHash, blockNumber }) {
+        for (let i = 0; i < chunk.users.length; i++) {
+            const data = { amount: String(chunk.amounts[i]), reason: chunk.reason, txHash, blockNumber };
+            await this.emit('credits.awarded', chunk.users[i], data, `${txHash}:${chunk.users[i].toLowerCase()}`);
+        }
+    }
+
+    // Edge-triggered checks on a user's evaluated state:
+    // { subscription, window, credits } with credits = spendable (after pending debits)
+    // Skipped unless a webhook watches one of these events for the user; the
+    // watch entry is only written when it changes.
+    async observe(userAddress, { subscription, window, credits }) {
+        const user = ethers.getAddress(userAddress);
+        const webhooks = await this._all();
+        const covered = webhooks.some(w => w.events.some(e => WATCHED_EVENTS.includes(e)) && (!w.users || w.users.includes(user)));
+        if (!covered) return [];
+        const key = `webhook_watch:${user.toLowerCase()}`;
+        const state = { subscription, window, credits };
+
+        // Cheap read first: most authorize calls change nothing
+        const seen = (await this.oracle.state.get(key)) || {};
+        const preview = this._watch(user, seen, state);
+        if (preview.fired.length === 0 && JSON.stringify(preview.next) === JSON.stringify(seen)) return [];
+
+        let fired = [];
+        await this.oracle.state.update(key, (current = {}) => {
+            const result = this._watch(user, current, state);
+            fired = result.fired;
+            return result.next;
+        });
+
+        for (const [event, data, eventId] of fired) await this.emit(event, user, data, eventId);
+        return fired.map(([event]) => event);
+    }
+
+    // Next watch entry for a user and the events its changes fire:
+    // { next, fired: [[event, data, eventId?]] }
+    _watch(user, seen, { subscription, window, credits }) {
+        const costliest = Math.max(...Object.values(this.oracle.COSTS));
+        const lowThreshold = BigInt(costliest * this.lowCreditsInferences);
+        const fired = [];
+        const next = { ...seen };
+        const paid = !!subscription && Number(subscription.planId) > 0;
+
+        if (paid && window) {
+            // A purchase or renewal moves the start / renewal time
+            const activation = `${Number(subscription.planId)}:${Number(subscription.lastRenewedAt) || Number(subscription.startTimestamp)}`;
+            if (!window.lapsed && seen.activation !== activation) {
+                fired.push(['subscription.activated', {
+                    planId: Number(subscription.planId),
+                    startTimestamp: Number(subscription.startTimestamp),
+                    lastRenewedAt: Number(subscription.lastRenewedAt),
+                    windowEndsAt: window.windowEndsAt
+                }, `subscription.activated:${user.toLowerCase()}:${activation}`]);
+            }
+            if (!window.lapsed) next.activation = activation;
+
+            if (window.lapsed && !seen.lapsed) {
+                fired.push(['subscription.expired', {
+                    planId: Number(subscription.planId),
+                    renewalDueAt: window.renewalDueAt,
+                    lapsedAt: window.renewalDueAt + this.oracle.SUBSCRIPTION_GRACE_SECONDS
+                }]);
+            }
+            next.lapsed = window.lapsed;
+
+            if (!window.lapsed && window.cap > 0) {
+                const reached = this.capThresholds.filter(t => window.used >= t * window.cap);
+                const level = reached.length ? reached[reached.length - 1] : 0;
+                const previous = seen.cap && seen.cap.window === window.windowStartsAt ? seen.cap.level : 0;
+                if (level > previous) {
+                    fired.push(['subscription.cap_threshold', {
+                        threshold: level,
+                        used: window.used,
+                        cap: window.cap,
+                        remaining: window.remaining,
+                        windowStartsAt: window.windowStartsAt,
+                        windowEndsAt: window.windowEndsAt
+                    }]);
+                }
+                next.cap = { window: window.windowStartsAt, level: Math.max(level, previous) };
+            }
+        }
+
+        // Only a drop below the threshold fires (not the first sighting)
+        const low = BigInt(credits) < lowThreshold;
+        if (low && seen.low === false) {
+            fired.push(['credits.low', { credits: String(credits), threshold: String(lowThreshold), costs: this.oracle.COSTS }]);
+        }
+        next.low = low;
+        return { next, fired };
+    }
+
+    // Retry due deliveries every pollInterval while a long-running process is up
+    start() {
+        if (this._timer) return;
+        this._timer = setInterval(() => {
+            this.processDue().catch(error => this.oracle.logger.error('webhook retry pass failed', { error }));
+        }, this.pollInterval);
+        if (this._timer.unref) this._timer.unref();
+    }
+
+    stop() {
+        if (this._timer) clearInterval(this._timer);
+        this._timer = null;
+    }
+}
+
+module.exports = {
+    WebhookDispatcher,
+    WebhookError,
+    WEBHOOK_EVENTS
+};